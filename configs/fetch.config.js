@@ -0,0 +1,87 @@
+export const config = {
+    // RPC endpoint to read the memo transactions from
+    rpcUrl: 'http://127.0.0.1:8899',
+
+    // Commitment level used when reading transactions
+    commitment: 'confirmed',
+
+    // Memo program (v2) the payloads were sent to
+    memoProgramId: 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+
+    // Where chunk signatures come from: 'manifest', 'scene' or 'address'
+    source: 'manifest',
+
+    // For source 'manifest': upload manifest written by `npm run upload`
+    manifestPath: 'outputs/upload_manifest.json',
+
+    // For source 'scene': signature of the first scene manifest memo, printed by `npm run upload`.
+    // Chunks are the memos sent after it by the same payer, matched by their manifest hashes.
+    sceneSignature: '',
+
+    // For source 'address': uploader address, and an optional signature range.
+    // Memo transactions are taken as chunks in the order they landed on-chain.
+    address: '',
+    before: null,
+    until: null,
+
+    // Root directory for fetched payloads, decoded chunks and the merged scene
+    outputRoot: 'outputs/fetched',
+
+    // Number of chunks per merged PLY (-1 merges the whole scene into one file)
+    groupSize: -1,
+
+    // Cumulative preview PLYs merging the first N groups (see merge.levels in preprocess.config.js)
+    levels: [],
+
+    // Worker threads for decoding and group verification
+    concurrency: 4,
+};
+
+export function validateConfig(config) {
+    if (!config.rpcUrl || typeof config.rpcUrl !== 'string') {
+        throw new Error('Invalid rpcUrl: Must be a non-empty string');
+    }
+
+    if (!['processed', 'confirmed', 'finalized'].includes(config.commitment)) {
+        throw new Error('Invalid commitment: Must be "processed", "confirmed", or "finalized"');
+    }
+
+    if (!config.memoProgramId || typeof config.memoProgramId !== 'string') {
+        throw new Error('Invalid memoProgramId: Must be a non-empty string');
+    }
+
+    if (!['manifest', 'scene', 'address'].includes(config.source)) {
+        throw new Error('Invalid source: Must be "manifest", "scene", or "address"');
+    }
+
+    if (config.source === 'manifest' && (!config.manifestPath || typeof config.manifestPath !== 'string')) {
+        throw new Error('Invalid manifestPath: Must be a non-empty string');
+    }
+
+    if (config.source === 'scene' && (!config.sceneSignature || typeof config.sceneSignature !== 'string')) {
+        throw new Error('Invalid sceneSignature: Must be a non-empty string');
+    }
+
+    if (config.source === 'address' && (!config.address || typeof config.address !== 'string')) {
+        throw new Error('Invalid address: Must be a non-empty string');
+    }
+
+    if (!config.outputRoot || typeof config.outputRoot !== 'string') {
+        throw new Error('Invalid outputRoot: Must be a non-empty string');
+    }
+
+    if (!config.groupSize || (config.groupSize !== -1 && config.groupSize <= 0)) {
+        throw new Error('Invalid groupSize: Must be -1 (merge all) or a positive number');
+    }
+
+    if (config.levels && (!Array.isArray(config.levels)
+        || !config.levels.every(level => Number.isInteger(level) && level > 0))) {
+        throw new Error('Invalid levels: Must be an array of positive group counts');
+    }
+
+    if (config.concurrency !== undefined && (!Number.isInteger(config.concurrency) || config.concurrency <= 0)) {
+        throw new Error('Invalid concurrency: Must be a positive integer');
+    }
+
+    return true;
+}
@@ -1,30 +1,187 @@
+import { CODECS } from '../src/core/CodebookCodec.js';
+import { MAX_PARITY_GROUP, PARITY_OVERHEAD } from '../src/core/ParityCoder.js';
+import { PAYLOAD_ENCODINGS } from '../src/core/PayloadEncoding.js';
+import { OUTPUT_FORMATS } from '../src/core/SceneFormats.js';
+
 export const config = {
     // Operation mode: 'split', 'merge', or 'all'
+    // (the onchaings CLI also sets 'encode', 'decode', 'verify', 'quality', 'render' or 'estimate')
     operation: 'all',
     
+    // Root directory for every file the pipeline writes
+    outputRoot: 'outputs',
+    
+    // Worker threads for encode, decode and group verification
+    concurrency: 4,
+    
     split: {
         // Max size for Solana memo program
         targetSizeBytes: 566,
         
-        // Input PLY file path for splitting
+        // Chunk packing: 'estimate' (fixed vertex count from a compression guess)
+        // or 'exact' (measure real SPZ + Base64 size so every payload fits targetSizeBytes)
+        packing: 'estimate',
+        
+        // Vertex ordering before chunking: 'linear' (file order), 'morton'
+        // (sorted along a Morton curve / octree cells, so each chunk covers a compact region)
+        // or 'importance' (most significant splats across the whole scene first, for progressive loading)
+        ordering: 'linear',
+        
+        // Importance score for 'importance' ordering: 'opacityVolume', 'opacity', 'volume',
+        // or a function ({ opacity, volume, scales }) => number
+        importance: 'opacityVolume',
+        
+        // Wrap each SPZ payload in a binary envelope (magic, version, scene ID,
+        // chunk index, total chunks, checksum) so chunks can be reordered without filenames.
+        // Its 34 bytes count against targetSizeBytes.
+        envelope: false,
+        
+        // Chunk codec: 'spz' (each chunk a standalone SPZ blob) or 'codebook'
+        // (quantization ranges fitted once over the scene and stored in header
+        // payloads after the chunks, each chunk a compact record against them)
+        codec: 'spz',
+        
+        // Memo payload text: 'base64', 'base85' (Z85, ASCII only) or 'base122' (7 bits
+        // per UTF-8 byte). Payloads other than Base64 start with a prefix naming their
+        // encoding, so decode needs no setting.
+        payloadEncoding: 'base64',
+        
+        // Input scene for splitting: PLY (any layout), compressed PLY, .spz or .splat
         inputFile: 'inputs/scene.ply',
     },
     
+    prune: {
+        // Prune the scene before splitting (writes outputs/pruned_scene.ply and outputs/prune_report.json)
+        enabled: false,
+        
+        // Drop splats whose opacity (after sigmoid) is below this value
+        minOpacity: 0.005,
+        
+        // Drop splats whose largest scale (in scene units) is below this value (0 keeps all)
+        minScale: 0,
+        
+        // Drop splats with non-finite values or a zero rotation
+        dropDegenerate: true,
+        
+        // Keep at most this many splats, ranked by split.importance (0 means no cap)
+        maxSplats: 0,
+        
+        // Target SH degree (0-3); higher bands are removed from the header and data
+        shDegree: 3,
+    },
+    
+    parity: {
+        // Add Reed-Solomon parity payloads at encode time, so decode and fetch can
+        // rebuild payloads that are missing or corrupt. Each parity payload reserves
+        // 24 bytes of split.targetSizeBytes in every data payload.
+        enabled: false,
+        
+        // Data payloads per parity group
+        groupSize: 16,
+        
+        // Parity payloads per group: up to this many lost payloads per group are rebuilt
+        parityChunks: 2,
+    },
+    
+    estimate: {
+        // Payload sizes to compare (default: [split.targetSizeBytes])
+        targetSizes: [],
+        
+        // SH degrees to compare (default: the scene's SH degree)
+        shDegrees: [],
+        
+        // Also estimate with the prune rules above applied (prune.shDegree is replaced by shDegrees)
+        includePrune: false,
+        
+        // Count transactions packed with as many chunks as fit (upload's packTransactions)
+        packTransactions: true,
+        
+        // Base fee per signature in lamports
+        lamportsPerSignature: 5000,
+        
+        // Priority fee in micro-lamports per compute unit (0 means none)
+        priorityFeeMicroLamports: 0,
+        
+        // Compute units each memo transaction requests; the priority fee is charged on these
+        computeUnitLimit: 200000,
+    },
+    
     merge: {
         // Number of PLY chunks per group (-1 means all chunks will be merged into one file for validation) 
         groupSize: 500,
         
-        // Input directory containing PLY chunks
-        inputDir: 'outputs/plysplit/chunks_decoded',
+        // Directory of PLY or SPZ chunks to merge, e.g. the split chunks ('outputs/plysplit/chunks'),
+        // decoded ones or chunks fetched from chain (operation 'all' always merges the split chunks).
+        // Gaps in the chunk numbering are reported, and groups merged from other chunks than
+        // the split ones are diffed against them. Null merges the decoded chunks of outputRoot
+        // (<outputRoot>/plysplit/chunks_decoded).
+        inputDir: null,
+        
+        // Cumulative preview PLYs: one per entry, merging the first N groups (e.g. [1, 4, 16])
+        levels: [],
+        
+        // Also write each group and level as 'spz', 'splat' or 'compressed-ply' to outputs/exported
+        // (default: 'ply', which writes only the merged PLYs)
+        outputFormat: 'ply',
+    },
+    
+    render: {
+        // Scene to render: PLY, compressed PLY, .spz or .splat, e.g. a merged
+        // 'outputs/plysplit/grouped_chunks/group_000000.ply' (default: split.inputFile)
+        inputFile: null,
+        
+        // Scene to compare with inputFile, e.g. the merged on-chain reconstruction.
+        // Both are rendered from the same cameras and scored with PSNR and SSIM.
+        compareFile: null,
+        
+        // Image size in pixels
+        width: 512,
+        height: 512,
+        
+        // Vertical field of view in degrees
+        fovDegrees: 50,
+        
+        // World up direction; scenes trained from COLMAP data usually have -y up
+        up: [0, -1, 0],
+        
+        // Background RGB in [0, 1]
+        background: [0, 0, 0],
+        
+        // Cameras orbiting the scene at a distance where it fills the image,
+        // in degrees around `up` (azimuth) and above the horizon (elevation)
+        views: [
+            { azimuth: 0, elevation: 20 },
+            { azimuth: 90, elevation: 20 },
+            { azimuth: 180, elevation: 20 },
+            { azimuth: 270, elevation: 20 },
+        ],
+        
+        // Explicit cameras ({ position, target, up?, fovDegrees? }) used instead of views
+        cameras: [],
+        
+        // A comparison fails when any view scores below these
+        minPsnr: 30,
+        minSsim: 0.9,
     }
 };
 
+const OPERATIONS = ['split', 'merge', 'all', 'encode', 'decode', 'verify', 'quality', 'render', 'estimate'];
+
 export function validateConfig(config) {
-    if (!config.operation || !['split', 'merge', 'all'].includes(config.operation)) {
-        throw new Error('Invalid operation: Must be "split", "merge", or "all"');
+    if (!config.operation || !OPERATIONS.includes(config.operation)) {
+        throw new Error(`Invalid operation: Must be one of ${OPERATIONS.map(op => `"${op}"`).join(', ')}`);
+    }
+
+    if (config.outputRoot !== undefined && (typeof config.outputRoot !== 'string' || !config.outputRoot)) {
+        throw new Error('Invalid outputRoot: Must be a non-empty string');
     }
 
-    if (config.operation === 'split' || config.operation === 'all') {
+    if (config.concurrency !== undefined && (!Number.isInteger(config.concurrency) || config.concurrency <= 0)) {
+        throw new Error('Invalid concurrency: Must be a positive integer');
+    }
+
+    // Encode only needs the target size, for its oversized payload check, the codec and the payload encoding
+    if (['split', 'all', 'encode', 'estimate'].includes(config.operation)) {
         if (!config.split) {
             throw new Error('Split configuration is missing');
         }
@@ -32,12 +189,166 @@ export function validateConfig(config) {
         if (!config.split.targetSizeBytes || config.split.targetSizeBytes <= 0) {
             throw new Error('Invalid targetSizeBytes: Must be a positive number');
         }
+
+        if (config.split.codec && !CODECS.includes(config.split.codec)) {
+            throw new Error(`Invalid split.codec: Must be one of ${CODECS.map(c => `"${c}"`).join(', ')}`);
+        }
+
+        if (config.split.payloadEncoding && !PAYLOAD_ENCODINGS.includes(config.split.payloadEncoding)) {
+            throw new Error(`Invalid split.payloadEncoding: Must be one of ${PAYLOAD_ENCODINGS.map(e => `"${e}"`).join(', ')}`);
+        }
+    }
+
+    if (['split', 'all', 'estimate'].includes(config.operation)) {
+        if (config.split.packing && !['estimate', 'exact'].includes(config.split.packing)) {
+            throw new Error('Invalid split.packing: Must be "estimate" or "exact"');
+        }
+        
+        if (config.split.ordering && !['linear', 'morton', 'importance'].includes(config.split.ordering)) {
+            throw new Error('Invalid split.ordering: Must be "linear", "morton" or "importance"');
+        }
+        
+        if (config.split.importance && typeof config.split.importance !== 'function'
+            && !['opacityVolume', 'opacity', 'volume'].includes(config.split.importance)) {
+            throw new Error('Invalid split.importance: Must be "opacityVolume", "opacity", "volume" or a function');
+        }
+        
+        if (config.split.envelope !== undefined && typeof config.split.envelope !== 'boolean') {
+            throw new Error('Invalid split.envelope: Must be a boolean');
+        }
         
         if (!config.split.inputFile || typeof config.split.inputFile !== 'string') {
             throw new Error('Invalid split.inputFile: Must be a non-empty string');
         }
     }
     
+    if (config.operation === 'estimate' && config.estimate) {
+        const { targetSizes, shDegrees, lamportsPerSignature, priorityFeeMicroLamports, computeUnitLimit } = config.estimate;
+        
+        if (targetSizes !== undefined && (!Array.isArray(targetSizes)
+            || !targetSizes.every(size => Number.isInteger(size) && size > 0))) {
+            throw new Error('Invalid estimate.targetSizes: Must be an array of positive integers');
+        }
+        
+        if (shDegrees !== undefined && (!Array.isArray(shDegrees)
+            || !shDegrees.every(degree => Number.isInteger(degree) && degree >= 0 && degree <= 3))) {
+            throw new Error('Invalid estimate.shDegrees: Must be an array of SH degrees (0-3)');
+        }
+        
+        if (lamportsPerSignature !== undefined && (!Number.isInteger(lamportsPerSignature) || lamportsPerSignature < 0)) {
+            throw new Error('Invalid estimate.lamportsPerSignature: Must be a non-negative integer');
+        }
+        
+        if (priorityFeeMicroLamports !== undefined && (typeof priorityFeeMicroLamports !== 'number' || priorityFeeMicroLamports < 0)) {
+            throw new Error('Invalid estimate.priorityFeeMicroLamports: Must be a non-negative number');
+        }
+        
+        if (computeUnitLimit !== undefined && (!Number.isInteger(computeUnitLimit) || computeUnitLimit <= 0)) {
+            throw new Error('Invalid estimate.computeUnitLimit: Must be a positive integer');
+        }
+        
+        if (config.estimate.packTransactions !== undefined && typeof config.estimate.packTransactions !== 'boolean') {
+            throw new Error('Invalid estimate.packTransactions: Must be a boolean');
+        }
+        
+        if (config.estimate.includePrune && !config.prune) {
+            throw new Error('Invalid estimate.includePrune: Needs a prune section with the rules to apply');
+        }
+    }
+    
+    if (config.prune && config.prune.enabled) {
+        const { minOpacity, minScale, maxSplats, shDegree } = config.prune;
+        
+        if (minOpacity !== undefined && (typeof minOpacity !== 'number' || minOpacity < 0 || minOpacity > 1)) {
+            throw new Error('Invalid prune.minOpacity: Must be a number between 0 and 1');
+        }
+        
+        if (minScale !== undefined && (typeof minScale !== 'number' || minScale < 0)) {
+            throw new Error('Invalid prune.minScale: Must be a non-negative number');
+        }
+        
+        if (maxSplats !== undefined && (!Number.isInteger(maxSplats) || maxSplats < 0)) {
+            throw new Error('Invalid prune.maxSplats: Must be 0 (no cap) or a positive integer');
+        }
+        
+        if (shDegree !== undefined && (!Number.isInteger(shDegree) || shDegree < 0 || shDegree > 3)) {
+            throw new Error('Invalid prune.shDegree: Must be 0, 1, 2 or 3');
+        }
+    }
+    
+    if (config.parity && config.parity.enabled) {
+        const { groupSize, parityChunks } = config.parity;
+        
+        if (!Number.isInteger(groupSize) || groupSize <= 0) {
+            throw new Error('Invalid parity.groupSize: Must be a positive integer');
+        }
+        
+        if (!Number.isInteger(parityChunks) || parityChunks <= 0) {
+            throw new Error('Invalid parity.parityChunks: Must be a positive integer');
+        }
+        
+        if (groupSize + parityChunks > MAX_PARITY_GROUP) {
+            throw new Error(`Invalid parity: groupSize + parityChunks must be at most ${MAX_PARITY_GROUP}`);
+        }
+        
+        if (config.split && config.split.targetSizeBytes <= PARITY_OVERHEAD) {
+            throw new Error(`Invalid parity: split.targetSizeBytes must leave room for the ${PARITY_OVERHEAD}-byte parity overhead`);
+        }
+    }
+    
+    if (config.operation === 'render') {
+        const settings = config.render || {};
+        const isVector = v => Array.isArray(v) && v.length === 3 && v.every(c => typeof c === 'number' && Number.isFinite(c));
+        
+        if (!settings.inputFile && !(config.split && config.split.inputFile)) {
+            throw new Error('Invalid render.inputFile: Must be set when split.inputFile is not');
+        }
+        
+        if (settings.compareFile && typeof settings.compareFile !== 'string') {
+            throw new Error('Invalid render.compareFile: Must be a string if specified');
+        }
+        
+        for (const dimension of ['width', 'height']) {
+            if (settings[dimension] !== undefined && (!Number.isInteger(settings[dimension]) || settings[dimension] < 16)) {
+                throw new Error(`Invalid render.${dimension}: Must be an integer of at least 16 pixels`);
+            }
+        }
+        
+        if (settings.fovDegrees !== undefined && (typeof settings.fovDegrees !== 'number' || settings.fovDegrees <= 0 || settings.fovDegrees >= 180)) {
+            throw new Error('Invalid render.fovDegrees: Must be between 0 and 180');
+        }
+        
+        if (settings.up !== undefined && (!isVector(settings.up) || settings.up.every(c => c === 0))) {
+            throw new Error('Invalid render.up: Must be a non-zero [x, y, z] vector');
+        }
+        
+        if (settings.background !== undefined && (!isVector(settings.background) || !settings.background.every(c => c >= 0 && c <= 1))) {
+            throw new Error('Invalid render.background: Must be an [r, g, b] array of values between 0 and 1');
+        }
+        
+        if (settings.views !== undefined && (!Array.isArray(settings.views)
+            || !settings.views.every(view => view && ['azimuth', 'elevation'].every(key => view[key] === undefined || typeof view[key] === 'number')))) {
+            throw new Error('Invalid render.views: Must be an array of { azimuth, elevation } in degrees');
+        }
+        
+        if (settings.cameras !== undefined && (!Array.isArray(settings.cameras)
+            || !settings.cameras.every(camera => camera && isVector(camera.position) && isVector(camera.target)))) {
+            throw new Error('Invalid render.cameras: Must be an array of { position, target } with [x, y, z] vectors');
+        }
+        
+        if ((!settings.cameras || settings.cameras.length === 0) && Array.isArray(settings.views) && settings.views.length === 0) {
+            throw new Error('Invalid render: Needs at least one entry in render.views or render.cameras');
+        }
+        
+        if (settings.minPsnr !== undefined && typeof settings.minPsnr !== 'number') {
+            throw new Error('Invalid render.minPsnr: Must be a number');
+        }
+        
+        if (settings.minSsim !== undefined && (typeof settings.minSsim !== 'number' || settings.minSsim > 1)) {
+            throw new Error('Invalid render.minSsim: Must be a number up to 1');
+        }
+    }
+    
     if (config.operation === 'merge' || config.operation === 'all') {
         if (!config.merge) {
             throw new Error('Merge configuration is missing');
@@ -54,6 +365,15 @@ export function validateConfig(config) {
         if (config.merge.inputDir && typeof config.merge.inputDir !== 'string') {
             throw new Error('Invalid merge.inputDir: Must be a string if specified');
         }
+        
+        if (config.merge.levels && (!Array.isArray(config.merge.levels)
+            || !config.merge.levels.every(level => Number.isInteger(level) && level > 0))) {
+            throw new Error('Invalid merge.levels: Must be an array of positive group counts');
+        }
+        
+        if (config.merge.outputFormat && !OUTPUT_FORMATS.includes(config.merge.outputFormat)) {
+            throw new Error(`Invalid merge.outputFormat: Must be one of ${OUTPUT_FORMATS.map(f => `"${f}"`).join(', ')}`);
+        }
     }
     
     return true;
@@ -0,0 +1,98 @@
+export const config = {
+    // RPC endpoint (e.g. http://127.0.0.1:8899 for solana-test-validator)
+    rpcUrl: 'http://127.0.0.1:8899',
+
+    // Commitment level a memo transaction must reach before it counts as uploaded
+    commitment: 'confirmed',
+
+    // Solana CLI keypair file (JSON array of secret key bytes) that signs and pays for every memo
+    keypairPath: 'keys/uploader.json',
+
+    // Memo program (v2) that receives the payloads
+    memoProgramId: 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+
+    // Directory containing the Base64 payloads produced by `npm run encode`
+    inputDir: 'outputs/base64split/chunks',
+
+    // Pack consecutive chunks as several memo instructions into one transaction, up to
+    // the 1232-byte transaction size limit, so fewer base fees are paid.
+    // false sends every chunk in a transaction of its own.
+    packTransactions: true,
+
+    // Priority fee in micro-lamports per compute unit (0 means none). When set, every
+    // transaction requests computeUnitLimit units and pays the fee on all of them.
+    priorityFeeMicroLamports: 0,
+    computeUnitLimit: 200000,
+
+    // Output manifest mapping chunk index to transaction signature
+    manifestPath: 'outputs/upload_manifest.json',
+
+    // Upload journal recording each chunk's state, so interrupted uploads can resume
+    journalPath: 'outputs/upload_journal.jsonl',
+
+    // Upload the scene manifest written by `npm run encode` before the chunks.
+    // Its first memo's signature is the entry point for `npm run fetch` with source 'scene'.
+    uploadSceneManifest: true,
+    sceneManifestPath: 'outputs/scene_manifest.json',
+    sceneJournalPath: 'outputs/upload_journal_scene.jsonl',
+
+    // Send attempts per chunk after the first, with exponential backoff starting at retryDelayMs
+    maxRetries: 5,
+    retryDelayMs: 1000,
+};
+
+export function validateConfig(config) {
+    if (!config.rpcUrl || typeof config.rpcUrl !== 'string') {
+        throw new Error('Invalid rpcUrl: Must be a non-empty string');
+    }
+
+    if (!['processed', 'confirmed', 'finalized'].includes(config.commitment)) {
+        throw new Error('Invalid commitment: Must be "processed", "confirmed", or "finalized"');
+    }
+
+    if (!config.keypairPath || typeof config.keypairPath !== 'string') {
+        throw new Error('Invalid keypairPath: Must be a non-empty string');
+    }
+
+    if (!config.memoProgramId || typeof config.memoProgramId !== 'string') {
+        throw new Error('Invalid memoProgramId: Must be a non-empty string');
+    }
+
+    if (!config.inputDir || typeof config.inputDir !== 'string') {
+        throw new Error('Invalid inputDir: Must be a non-empty string');
+    }
+
+    if (!config.manifestPath || typeof config.manifestPath !== 'string') {
+        throw new Error('Invalid manifestPath: Must be a non-empty string');
+    }
+
+    if (!config.journalPath || typeof config.journalPath !== 'string') {
+        throw new Error('Invalid journalPath: Must be a non-empty string');
+    }
+
+    if (typeof config.packTransactions !== 'boolean') {
+        throw new Error('Invalid packTransactions: Must be a boolean');
+    }
+
+    if (!Number.isInteger(config.priorityFeeMicroLamports) || config.priorityFeeMicroLamports < 0) {
+        throw new Error('Invalid priorityFeeMicroLamports: Must be a non-negative integer');
+    }
+
+    if (!Number.isInteger(config.computeUnitLimit) || config.computeUnitLimit <= 0) {
+        throw new Error('Invalid computeUnitLimit: Must be a positive integer');
+    }
+
+    if (config.uploadSceneManifest && (!config.sceneManifestPath || !config.sceneJournalPath)) {
+        throw new Error('Invalid scene manifest settings: sceneManifestPath and sceneJournalPath are required');
+    }
+
+    if (!Number.isInteger(config.maxRetries) || config.maxRetries < 0) {
+        throw new Error('Invalid maxRetries: Must be a non-negative integer');
+    }
+
+    if (!config.retryDelayMs || config.retryDelayMs <= 0) {
+        throw new Error('Invalid retryDelayMs: Must be a positive number');
+    }
+
+    return true;
+}
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+import path from 'path';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { cloneDeep } from 'lodash-es';
+import { formatConsoleOutput } from './utils.js';
+import { runSplit } from './commands/split.js';
+import { runMerge } from './commands/merge.js';
+import { runEncode } from './commands/encode.js';
+import { runDecode } from './commands/decode.js';
+import { runVerify } from './commands/verify.js';
+import { runQuality } from './commands/quality.js';
+import { runRender } from './commands/render.js';
+import { runEstimate } from './commands/estimate.js';
+
+const DEFAULT_CONFIG = new URL('../configs/preprocess.config.js', import.meta.url);
+
+const USAGE = `Usage: onchaings <command> [options]
+
+Commands:
+  split       Split a PLY scene into memo-sized chunks
+  merge       Merge PLY chunks into groups
+  encode      Encode PLY chunks to SPZ and Base64 payloads
+  decode      Decode Base64 payloads back to SPZ and PLY
+  verify      Check encoded chunks against their hashes and the source scene
+  quality     Report per-attribute error of decoded chunks against the split ones
+  render      Render a scene to PNG, or compare renders of two scenes
+  estimate    Estimate chunks, transactions and fees for a scene
+
+Options:
+  -c, --config <file>       Config module exporting \`config\` (default: configs/preprocess.config.js)
+  -i, --input <path>        Input scene (split, estimate, render) or input directory (merge, encode, decode, quality)
+  -o, --output <dir>        Output root (default: outputs)
+  -t, --target-size <n>     Max payload size in bytes per chunk
+  -g, --group-size <n>      Chunks per merged group (--group-size=-1 merges all)
+  -j, --concurrency <n>     Worker threads for encode, decode and group verification
+  -f, --format <fmt>        Also export merged groups as 'spz', 'splat' or 'compressed-ply'
+      --target-sizes <list> Payload sizes to compare in estimate, e.g. 400,566
+      --sh-degrees <list>   SH degrees to compare in estimate, e.g. 0,3
+      --priority-fee <n>    Priority fee in micro-lamports per compute unit for estimate
+      --packing <mode>      'estimate' or 'exact'
+      --ordering <mode>     'linear', 'morton' or 'importance'
+      --envelope            Wrap each chunk in a chunk envelope
+      --encoding <name>     Payload text encoding: 'base64', 'base85' or 'base122'
+      --compare <file>      Scene to compare the render input with (render)
+      --size <WxH>          Render size in pixels, e.g. 256x256
+  -h, --help                Show this help`;
+
+const OPTIONS = {
+    config: { type: 'string', short: 'c' },
+    input: { type: 'string', short: 'i' },
+    output: { type: 'string', short: 'o' },
+    'target-size': { type: 'string', short: 't' },
+    'group-size': { type: 'string', short: 'g' },
+    concurrency: { type: 'string', short: 'j' },
+    format: { type: 'string', short: 'f' },
+    'target-sizes': { type: 'string' },
+    'sh-degrees': { type: 'string' },
+    'priority-fee': { type: 'string' },
+    packing: { type: 'string' },
+    ordering: { type: 'string' },
+    envelope: { type: 'boolean' },
+    encoding: { type: 'string' },
+    compare: { type: 'string' },
+    size: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Subcommands reading an input directory take it from --input instead of a config file entry
+const COMMANDS = {
+    split: { run: config => runSplit(config) },
+    merge: { run: async (config, inputDir) => (await runMerge(config, { inputDir })).stats.failed === 0, inputIsDirectory: true },
+    encode: { run: (config, inputDir) => runEncode(config, { inputDir }), inputIsDirectory: true },
+    decode: { run: (config, inputDir) => runDecode(config, { inputDir }), inputIsDirectory: true },
+    verify: { run: config => runVerify(config) },
+    quality: { run: (config, inputDir) => runQuality(config, { inputDir }), inputIsDirectory: true },
+    render: { run: config => runRender(config) },
+    estimate: { run: config => runEstimate(config) }
+};
+
+function parseInteger(value, flag) {
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+        throw new Error(`Invalid --${flag}: "${value}" is not an integer`);
+    }
+    return number;
+}
+
+function parseSize(value) {
+    const match = value.match(/^(\d+)x(\d+)$/);
+    if (!match) {
+        throw new Error(`Invalid --size: "${value}" is not WIDTHxHEIGHT`);
+    }
+    return [parseInt(match[1]), parseInt(match[2])];
+}
+
+function parseIntegerList(value, flag) {
+    return value.split(',').map(item => parseInteger(item.trim(), flag));
+}
+
+async function loadConfig(configPath) {
+    const url = configPath ? pathToFileURL(path.resolve(configPath)) : DEFAULT_CONFIG;
+    const module = await import(url.href);
+    if (!module.config) {
+        throw new Error(`Config file ${configPath} does not export \`config\``);
+    }
+
+    // Config files without their own validator are checked against the default one
+    const validateConfig = module.validateConfig || (await import(DEFAULT_CONFIG.href)).validateConfig;
+    return { config: cloneDeep(module.config), validateConfig };
+}
+
+// Flags override the config file; unset flags leave it untouched
+function applyFlags(config, command, values) {
+    config.operation = command;
+    config.split = config.split || {};
+    config.merge = config.merge || {};
+    config.estimate = config.estimate || {};
+    config.render = config.render || {};
+
+    if (values.output) config.outputRoot = values.output;
+    if (values.input && command === 'render') config.render.inputFile = values.input;
+    else if (values.input && !COMMANDS[command].inputIsDirectory) config.split.inputFile = values.input;
+    if (values['target-size']) config.split.targetSizeBytes = parseInteger(values['target-size'], 'target-size');
+    if (values['group-size']) config.merge.groupSize = parseInteger(values['group-size'], 'group-size');
+    if (values.concurrency) config.concurrency = parseInteger(values.concurrency, 'concurrency');
+    if (values.format) config.merge.outputFormat = values.format;
+    if (values['target-sizes']) config.estimate.targetSizes = parseIntegerList(values['target-sizes'], 'target-sizes');
+    if (values['sh-degrees']) config.estimate.shDegrees = parseIntegerList(values['sh-degrees'], 'sh-degrees');
+    if (values['priority-fee']) config.estimate.priorityFeeMicroLamports = parseInteger(values['priority-fee'], 'priority-fee');
+    if (values.packing) config.split.packing = values.packing;
+    if (values.ordering) config.split.ordering = values.ordering;
+    if (values.envelope) config.split.envelope = true;
+    if (values.encoding) config.split.payloadEncoding = values.encoding;
+    if (values.compare) config.render.compareFile = values.compare;
+    if (values.size) [config.render.width, config.render.height] = parseSize(values.size);
+
+    return config;
+}
+
+async function main() {
+    const format = formatConsoleOutput();
+    let parsed;
+    try {
+        parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.log(format.error(error.message));
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    const { values, positionals } = parsed;
+    const [command] = positionals;
+    if (values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    if (!COMMANDS[command]) {
+        console.log(format.error(`Unknown command "${command}"`));
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        const { config, validateConfig } = await loadConfig(values.config);
+        applyFlags(config, command, values);
+        validateConfig(config);
+
+        const inputDir = COMMANDS[command].inputIsDirectory ? values.input : undefined;
+        const result = await COMMANDS[command].run(config, inputDir);
+
+        // encode resolves to false when any payload is unusable, merge when any group
+        // fails, verify when any chunk fails, render when any view scores too low
+        if (result === false) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.log(format.error(`Fatal error during ${command}:`));
+        console.error(error);
+        process.exit(1);
+    }
+}
+
+main();
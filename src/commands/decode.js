@@ -0,0 +1,13 @@
+import { PayloadDecoder } from '../core/PayloadDecoder.js';
+import { getOutputDirectories } from '../utils.js';
+
+// Decodes the Base64 payloads under `inputDir` (default: the encoded chunks of the output root)
+export async function runDecode(config, options = {}) {
+    const directories = getOutputDirectories(config.outputRoot);
+    const decoder = new PayloadDecoder({
+        spz: directories.spzDecoded,
+        ply: directories.plyDecoded
+    }, { concurrency: config.concurrency });
+
+    return decoder.decodeDirectory(options.inputDir || directories.base64Chunks);
+}
@@ -0,0 +1,395 @@
+import { readdirSync, readFileSync, writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import path from 'path';
+import cliProgress from 'cli-progress';
+import colors from 'ansi-colors';
+import { formatConsoleOutput, getOutputDirectories, sha256 } from '../utils.js';
+import { SceneManifest } from '../core/SceneManifest.js';
+import { ParityCoder, dataPayloadLimit } from '../core/ParityCoder.js';
+import { CodebookCodec } from '../core/CodebookCodec.js';
+import { encodePayloadText, decodePayloadText } from '../core/PayloadEncoding.js';
+import { WorkerPool, CONCURRENCY_LIMIT } from '../core/WorkerPool.js';
+
+function ensureDirectoryExists(directory) {
+    if (!existsSync(directory)) {
+        mkdirSync(directory, { recursive: true });
+    }
+}
+
+const processPlyFile = async (pool, inputFilePath, outputDirs, progressBar, totalFiles, sceneId, codebook, encoding, targetSizeBytes) => {
+    try {
+        const fileNameWithoutExt = path.basename(inputFilePath, path.extname(inputFilePath));
+        
+        // PLY -> SPZ (or codebook record) -> payload text on a worker, in the chunk envelope indexed by the chunk number in the filename
+        const { spzData, payload: payloadText } = await pool.run('encode', {
+            inputPath: inputFilePath,
+            envelope: sceneId
+                ? {
+                    sceneId,
+                    index: parseInt(fileNameWithoutExt.match(/\d+/)[0]),
+                    total: totalFiles
+                }
+                : null,
+            codebook,
+            encoding
+        });
+
+        const spzPath = path.join(outputDirs.spz, `${fileNameWithoutExt}.spz`);
+        writeFileSync(spzPath, spzData);
+
+        const base64Path = path.join(outputDirs.base64, `${fileNameWithoutExt}.txt`);
+        writeFileSync(base64Path, payloadText);
+
+        progressBar.increment();
+        return {
+            success: true,
+            fileName: fileNameWithoutExt,
+            spzSize: spzData.length,
+            base64Size: Buffer.byteLength(payloadText),
+            spzHash: sha256(spzData),
+            payloadHash: sha256(payloadText),
+            oversized: Buffer.byteLength(payloadText) > targetSizeBytes
+        };
+    } catch (error) {
+        console.log(`\n${colors.red('✗')} Error processing ${path.basename(inputFilePath)}: ${error.message}`);
+        progressBar.increment();
+        return {
+            success: false,
+            fileName: path.basename(inputFilePath),
+            error: error.message
+        };
+    }
+};
+
+const processDirectory = async (inputDir, outputDirs, sceneId, codec, encoding, targetSizeBytes, concurrency) => {
+    const format = formatConsoleOutput();
+    console.log(format.divider);
+    console.log(format.title('PLY -> SPZ -> Base64 Conversion Process'));
+    console.log(format.divider);
+
+    Object.values(outputDirs).forEach(ensureDirectoryExists);
+
+    const files = readdirSync(inputDir)
+        .filter(file => path.extname(file).toLowerCase() === '.ply')
+        .sort((a, b) => {
+            const numA = parseInt(a.match(/\d+/)[0]);
+            const numB = parseInt(b.match(/\d+/)[0]);
+            return numA - numB;
+        });
+
+    if (files.length === 0) {
+        console.log(format.warning('No PLY files found in input directory'));
+        return;
+    }
+
+    console.log(format.subtitle('Process Configuration'));
+    console.log(format.info('Total Files', files.length.toLocaleString()));
+    console.log(format.info('Input Directory', inputDir));
+    console.log(format.info('SPZ Output', outputDirs.spz));
+    console.log(format.info('Base64 Output', outputDirs.base64));
+    console.log(format.info('Chunk Envelope', sceneId ? `on (scene ${sceneId})` : 'off'));
+    console.log(format.info('Chunk Codec', codec ? `codebook (${codec.id})` : 'spz'));
+    console.log(format.info('Payload Encoding', encoding));
+    console.log(format.info('Worker Threads', concurrency.toLocaleString()));
+    console.log(format.sectionDivider);
+
+    console.log(format.subtitle('Starting Conversion'));
+    const progressBar = new cliProgress.SingleBar({
+        format: `Converting |${colors.cyan('{bar}')}| {percentage}% || {value}/{total} Files`,
+        barCompleteChar: '=',
+        barIncompleteChar: '-',
+        hideCursor: true
+    }, cliProgress.Presets.shades_classic);
+
+    progressBar.start(files.length, 0);
+
+    // Files finish in any order; results keep the file order
+    const pool = new WorkerPool(concurrency);
+    const codebook = codec ? codec.serialized.toString('base64') : null;
+    let results;
+    try {
+        results = await Promise.all(files.map(file => processPlyFile(
+            pool,
+            path.join(inputDir, file),
+            outputDirs,
+            progressBar,
+            files.length,
+            sceneId,
+            codebook,
+            encoding,
+            targetSizeBytes
+        )));
+    } finally {
+        await pool.close();
+    }
+
+    progressBar.stop();
+
+    // Results Summary
+    const successful = results.filter(r => r.success).length;
+    const failed = results.filter(r => !r.success).length;
+    const oversized = results.filter(r => r.oversized);
+
+    console.log(format.subtitle('Conversion Results'));
+    console.log(format.info('Total Processed', files.length.toLocaleString()));
+    console.log(format.info('Successful', successful.toLocaleString()));
+    console.log(format.info('Failed', failed.toLocaleString()));
+    console.log(format.info('Oversized', oversized.length.toLocaleString()));
+
+    if (failed > 0) {
+        console.log(format.subtitle('Failed Conversions:'));
+        results.filter(r => !r.success).forEach(result => {
+            console.log(format.error(`  ${result.fileName}: ${result.error}`));
+        });
+    }
+
+    if (oversized.length > 0) {
+        console.log(format.subtitle(`Payloads Over ${targetSizeBytes} Bytes:`));
+        oversized.forEach(result => {
+            console.log(format.error(`  ${result.fileName}: ${result.base64Size} bytes`));
+        });
+        console.log(format.warning('Re-run split with packing: \'exact\' to keep every payload within the memo limit'));
+    }
+
+    if (successful === files.length) {
+        console.log(format.success('\nAll files converted successfully!'));
+    } else {
+        console.log(format.warning(`\nCompleted with ${failed} failures`));
+    }
+
+    console.log(format.divider);
+    return results;
+};
+
+const chunkIndex = fileName => parseInt(fileName.match(/\d+/)[0]);
+
+// Parity and codebook header payloads left by an earlier encode would
+// otherwise be uploaded with the new chunks
+const removeGeneratedPayloads = (base64Dir) => {
+    readdirSync(base64Dir)
+        .filter(file => path.extname(file).toLowerCase() === '.txt')
+        .filter(file => {
+            try {
+                const data = decodePayloadText(readFileSync(path.join(base64Dir, file), 'utf8'));
+                return ParityCoder.isParity(data) || CodebookCodec.isHeaderPiece(data);
+            } catch {
+                return false;
+            }
+        })
+        .forEach(file => rmSync(path.join(base64Dir, file)));
+};
+
+// Writes the codebook as header payloads numbered after the last chunk; they
+// are returned as results so parity covers them like chunks
+const writeCodebookPayloads = (base64Dir, results, codec, encoding, targetSizeBytes) => {
+    const format = formatConsoleOutput();
+    const dataCount = Math.max(...results.map(r => chunkIndex(r.fileName))) + 1;
+
+    const payloads = codec.toHeaderPieces(targetSizeBytes, encoding).map((piece, part) => {
+        const fileName = `chunk_${(dataCount + part).toString().padStart(6, '0')}`;
+        const payloadText = encodePayloadText(piece, encoding);
+        writeFileSync(path.join(base64Dir, `${fileName}.txt`), payloadText);
+        return {
+            success: true,
+            fileName,
+            codebookPart: part,
+            base64Size: Buffer.byteLength(payloadText),
+            payloadHash: sha256(payloadText)
+        };
+    });
+
+    console.log(format.subtitle('Codebook Header'));
+    console.log(format.info('Codebook', codec.id));
+    console.log(format.info('Bits per Splat', codec.bitsPerSplat.toLocaleString()));
+    console.log(format.info('Header Payloads', `${payloads.length} (${payloads.map(p => p.fileName).join(', ')})`));
+    console.log(format.divider);
+
+    return payloads;
+};
+
+// Writes `parityChunks` parity payloads for every `groupSize` data payloads,
+// numbered after the last data chunk so upload and fetch treat them as chunks
+const writeParityPayloads = (base64Dir, results, parity, encoding, targetSizeBytes) => {
+    const format = formatConsoleOutput();
+    const { groupSize, parityChunks } = parity;
+    const encoded = new Map(results.filter(r => r.success).map(r => [chunkIndex(r.fileName), r]));
+    const dataCount = Math.max(...results.map(r => chunkIndex(r.fileName))) + 1;
+    const totalGroups = Math.ceil(dataCount / groupSize);
+
+    const payloads = [];
+    const skippedGroups = [];
+    for (let group = 0; group < totalGroups; group++) {
+        const firstIndex = group * groupSize;
+        const indices = Array.from({ length: Math.min(groupSize, dataCount - firstIndex) }, (_, i) => firstIndex + i);
+
+        // Parity over a group with a failed chunk could never rebuild it
+        const missing = indices.filter(index => !encoded.has(index));
+        if (missing.length > 0) {
+            skippedGroups.push({ group, missing });
+            continue;
+        }
+
+        const data = indices.map(index => decodePayloadText(readFileSync(path.join(base64Dir, `${encoded.get(index).fileName}.txt`), 'utf8')));
+        ParityCoder.encode(data, { firstIndex, parityCount: parityChunks }).forEach((payload, parityIndex) => {
+            const index = dataCount + group * parityChunks + parityIndex;
+            const filename = `chunk_${index.toString().padStart(6, '0')}.txt`;
+            const payloadText = encodePayloadText(payload, encoding);
+            writeFileSync(path.join(base64Dir, filename), payloadText);
+            payloads.push({
+                index,
+                filename,
+                group,
+                firstChunk: firstIndex,
+                dataChunks: indices.length,
+                parityIndex,
+                base64Size: Buffer.byteLength(payloadText),
+                payloadHash: sha256(payloadText),
+                oversized: Buffer.byteLength(payloadText) > targetSizeBytes
+            });
+        });
+    }
+
+    const oversized = payloads.filter(p => p.oversized);
+    console.log(format.subtitle('Parity Payloads'));
+    console.log(format.info('Groups', `${(totalGroups - skippedGroups.length).toLocaleString()} / ${totalGroups.toLocaleString()}`));
+    console.log(format.info('Parity Payloads', payloads.length.toLocaleString()));
+    console.log(format.info('Redundancy', `${parityChunks} per ${groupSize} chunks (${(100 * parityChunks / groupSize).toFixed(1)}%)`));
+    console.log(format.info('Oversized', oversized.length.toLocaleString()));
+
+    skippedGroups.forEach(({ group, missing }) => {
+        console.log(format.warning(`Group ${group} has no parity: chunks ${missing.join(', ')} failed to encode`));
+    });
+    if (oversized.length > 0) {
+        console.log(format.warning(`${oversized.length} parity payloads exceed ${targetSizeBytes} bytes; re-run split with parity enabled so data payloads leave room`));
+    }
+    console.log(format.divider);
+
+    return { groupSize, parityChunks, dataChunks: dataCount, payloads };
+};
+
+// Adds SPZ and Base64 hashes next to the PLY hashes recorded by split
+const saveIntegrityInfo = (directories, results, codec, encoding, parity) => {
+    const format = formatConsoleOutput();
+
+    if (!existsSync(directories.integrityInfo)) {
+        console.log(format.warning('No chunk hashes found, skipping integrity info. Please run split operation first.'));
+        return;
+    }
+
+    const integrityInfo = JSON.parse(readFileSync(directories.integrityInfo, 'utf8'));
+    const encoded = new Map(results.filter(r => r.success).map(r => [r.fileName, r]));
+
+    integrityInfo.chunks.forEach(chunk => {
+        const result = encoded.get(path.basename(chunk.filename, '.ply'));
+        chunk.spz = result ? result.spzHash : null;
+        chunk.payload = result ? result.payloadHash : null;
+    });
+    integrityInfo.codebook = codec
+        ? {
+            id: codec.id,
+            payloads: results.filter(r => r.codebookPart !== undefined).map(r => ({
+                index: chunkIndex(r.fileName),
+                filename: `${r.fileName}.txt`,
+                part: r.codebookPart,
+                payload: r.payloadHash
+            }))
+        }
+        : null;
+    integrityInfo.payloadEncoding = encoding;
+    integrityInfo.parity = parity;
+
+    writeFileSync(directories.integrityInfo, JSON.stringify(integrityInfo, null, 2));
+    console.log(format.success(`SPZ and Base64 hashes saved to: ${directories.integrityInfo}`));
+};
+
+const saveSceneManifest = (directories, base64Dir, targetSizeBytes) => {
+    const format = formatConsoleOutput();
+
+    if (!existsSync(directories.headerInfo)) {
+        console.log(format.warning('No saved header information found, skipping scene manifest. Please run split operation first.'));
+        return;
+    }
+
+    const payloads = readdirSync(base64Dir)
+        .filter(file => path.extname(file).toLowerCase() === '.txt')
+        .sort((a, b) => {
+            const numA = parseInt(a.match(/\d+/)[0]);
+            const numB = parseInt(b.match(/\d+/)[0]);
+            return numA - numB;
+        })
+        .map(file => readFileSync(path.join(base64Dir, file), 'utf8'));
+
+    const headerInfo = JSON.parse(readFileSync(directories.headerInfo, 'utf8'));
+    const manifest = SceneManifest.fromPayloads(headerInfo, payloads);
+    writeFileSync(directories.sceneManifest, JSON.stringify(manifest, null, 2));
+
+    console.log(format.subtitle('Scene Manifest'));
+    console.log(format.info('Chunks', manifest.chunkCount.toLocaleString()));
+    console.log(format.info('Manifest Memos', manifest.toMemoPieces(targetSizeBytes).length.toLocaleString()));
+    console.log(format.success(`Scene manifest saved to: ${directories.sceneManifest}`));
+    console.log(format.divider);
+};
+
+// The scene ID is drawn at split time, so every chunk of a split shares it
+const loadSceneId = (directories, envelope) => {
+    if (!envelope) {
+        return null;
+    }
+    if (!existsSync(directories.headerInfo)) {
+        throw new Error('Chunk envelope needs the scene ID from header_info.json. Please run split operation first.');
+    }
+
+    const { sceneId } = JSON.parse(readFileSync(directories.headerInfo, 'utf8'));
+    if (!sceneId) {
+        throw new Error('No scene ID in header_info.json. Please re-run split operation.');
+    }
+    return sceneId;
+};
+
+// The codebook is fitted at split time, so chunks are encoded against the split's
+const loadCodebook = (directories, codecName) => {
+    if (codecName !== 'codebook') {
+        return null;
+    }
+    const headerInfo = existsSync(directories.headerInfo) ? JSON.parse(readFileSync(directories.headerInfo, 'utf8')) : {};
+    if (!headerInfo.codebook) {
+        throw new Error('Codebook codec needs the codebook from header_info.json. Please re-run split operation with split.codec \'codebook\'.');
+    }
+    return CodebookCodec.deserialize(Buffer.from(headerInfo.codebook, 'base64'));
+};
+
+// Encodes the PLY chunks under `inputDir` (default: the split chunks of the output root);
+// resolves to false when there was nothing to encode, a chunk failed to encode or a
+// payload exceeds the target size
+export async function runEncode(config, options = {}) {
+    const directories = getOutputDirectories(config.outputRoot);
+    const inputDir = options.inputDir || directories.plyChunks;
+    const targetSizeBytes = config.split.targetSizeBytes;
+    const encoding = config.split.payloadEncoding || 'base64';
+    const codec = loadCodebook(directories, config.split.codec);
+
+    [inputDir, directories.spzChunks, directories.base64Chunks].forEach(ensureDirectoryExists);
+
+    let results = await processDirectory(inputDir, {
+        spz: directories.spzChunks,
+        base64: directories.base64Chunks
+    }, loadSceneId(directories, config.split.envelope), codec, encoding, targetSizeBytes, config.concurrency || CONCURRENCY_LIMIT);
+    removeGeneratedPayloads(directories.base64Chunks);
+    if (results && codec) {
+        // Header payloads are data payloads to parity, so they leave it the same room
+        results = [...results, ...writeCodebookPayloads(directories.base64Chunks, results, codec, encoding, dataPayloadLimit(targetSizeBytes, config.parity))];
+    }
+    const parity = results && config.parity && config.parity.enabled
+        ? writeParityPayloads(directories.base64Chunks, results, config.parity, encoding, targetSizeBytes)
+        : null;
+    if (results) {
+        saveIntegrityInfo(directories, results, codec, encoding, parity);
+    }
+    saveSceneManifest(directories, directories.base64Chunks, targetSizeBytes);
+
+    if (!results) {
+        return false;
+    }
+    const unusable = results.filter(r => !r.success || r.oversized).length
+        + (parity ? parity.payloads.filter(p => p.oversized).length : 0);
+    return unusable === 0;
+}
@@ -0,0 +1,128 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { formatConsoleOutput } from '../utils.js';
+import { SplatProcesser } from '../core/SplatProcesser.js';
+import { feeSettings } from '../core/CostEstimator.js';
+
+const format = formatConsoleOutput();
+
+// Estimates chunks, transactions, bytes and fees for the input scene under
+// every combination of target size, SH degree and pruning in config.estimate,
+// with the parity chunks of config.parity and the header payloads of the
+// codebook codec counted in
+export async function runEstimate(config) {
+    console.log(format.divider);
+    console.log(format.title('On-Chain Cost Estimate'));
+    console.log(format.divider);
+
+    const settings = config.estimate || {};
+    const fees = {
+        lamportsPerSignature: settings.lamportsPerSignature,
+        priorityFeeMicroLamports: settings.priorityFeeMicroLamports,
+        computeUnitLimit: settings.computeUnitLimit
+    };
+
+    const parity = config.parity && config.parity.enabled ? config.parity : null;
+    const codecName = config.split.codec || 'spz';
+
+    // Sampled from the file on demand, so the scene is never loaded whole
+    const processer = new SplatProcesser(config);
+    const source = await processer.openScene(config.split.inputFile, {
+        normalizeTo: path.join(processer.dirs.base, 'normalized_scene.ply')
+    });
+
+    const targetSizes = settings.targetSizes && settings.targetSizes.length > 0
+        ? settings.targetSizes
+        : [config.split.targetSizeBytes];
+    const shDegrees = settings.shDegrees && settings.shDegrees.length > 0
+        ? Array.from(new Set(settings.shDegrees.map(degree => Math.min(degree, processer.maxShDegree))))
+        : [processer.maxShDegree];
+
+    console.log(format.subtitle('Estimate Configuration'));
+    console.log(format.info('Input File', config.split.inputFile));
+    console.log(format.info('Input Format', processer.inputFormat));
+    console.log(format.info('Splats', processer.vertexCount.toLocaleString()));
+    console.log(format.info('Target Sizes', targetSizes.map(size => `${size} bytes`).join(', ')));
+    console.log(format.info('SH Degrees', shDegrees.join(', ')));
+    console.log(format.info('Vertex Ordering', config.split.ordering || 'linear'));
+    console.log(format.info('Chunk Envelope', config.split.envelope ? 'on' : 'off'));
+    console.log(format.info('Chunk Codec', codecName));
+    console.log(format.info('Payload Encoding', config.split.payloadEncoding || 'base64'));
+    console.log(format.info('Pruning', settings.includePrune ? 'with and without' : 'off'));
+    console.log(format.info('Transaction Packing', settings.packTransactions ? 'on' : 'off'));
+    console.log(format.info('Parity', parity
+        ? `${parity.parityChunks} per ${parity.groupSize} chunks (${(100 * parity.parityChunks / parity.groupSize).toFixed(1)}% redundancy)`
+        : 'off'));
+    console.log(format.sectionDivider);
+
+    const scenarios = [];
+    let prune = null;
+    try {
+        const variants = [{ pruned: false, source }];
+        if (settings.includePrune) {
+            const view = await processer.prunedView(source);
+            variants.push({ pruned: true, source: view.source });
+            prune = { keptVertices: view.source.vertexCount, dropped: view.dropped };
+            console.log(format.info('Pruned Splats Kept', `${prune.keptVertices.toLocaleString()} / ${processer.vertexCount.toLocaleString()}`));
+        }
+
+        console.log(format.subtitle('Estimate'));
+        for (const variant of variants) {
+            // Each variant is ordered once, then sampled per degree and size
+            const ordered = await processer.orderSource(variant.source, config.split.ordering);
+            for (const shDegree of shDegrees) {
+                // The codebook depends on the splats and SH bands kept, not on the target size
+                const codec = codecName === 'codebook' ? await processer.fitCodebook(ordered, { shDegree }) : null;
+                for (const targetSizeBytes of targetSizes) {
+                    const cost = await processer.estimateOrderedCost(ordered, targetSizeBytes, {
+                        shDegree,
+                        codec,
+                        fees,
+                        packTransactions: settings.packTransactions
+                    });
+                    scenarios.push({ targetSizeBytes, pruned: variant.pruned, ...cost });
+
+                    console.log(format.info(
+                        `${targetSizeBytes} B, SH ${shDegree}${variant.pruned ? ', pruned' : ''}`,
+                        [
+                            [
+                                `~${cost.chunks.toLocaleString()} chunks`,
+                                ...(codec ? [`${cost.headerChunks} codebook`] : []),
+                                ...(parity ? [`${cost.parityChunks.toLocaleString()} parity`] : [])
+                            ].join(' + '),
+                            `~${cost.transactions.toLocaleString()} transactions`,
+                            `~${(cost.totalBytes / 1024).toFixed(1)} KB`,
+                            `~${cost.sol.toFixed(6)} SOL (${cost.lamports.toLocaleString()} lamports)`
+                        ].join(', ')
+                    ));
+                }
+            }
+        }
+    } finally {
+        await source.close();
+    }
+
+    const report = {
+        inputFile: config.split.inputFile,
+        inputFormat: processer.inputFormat,
+        vertexCount: processer.vertexCount,
+        shDegree: processer.maxShDegree,
+        ordering: config.split.ordering || 'linear',
+        envelope: Boolean(config.split.envelope),
+        codec: codecName,
+        payloadEncoding: config.split.payloadEncoding || 'base64',
+        fees: feeSettings(fees),
+        packTransactions: Boolean(settings.packTransactions),
+        parity: parity ? { groupSize: parity.groupSize, parityChunks: parity.parityChunks } : null,
+        prune,
+        scenarios
+    };
+
+    const reportPath = path.join(processer.dirs.base, 'cost_estimate.json');
+    await fs.mkdir(processer.dirs.base, { recursive: true });
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+    console.log(format.success(`Estimate saved to: ${reportPath}`));
+    console.log(format.divider);
+
+    return report;
+}
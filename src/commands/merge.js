@@ -0,0 +1,10 @@
+import { SplatProcesser } from '../core/SplatProcesser.js';
+import { getOutputDirectories } from '../utils.js';
+
+// Merges the PLY or SPZ chunks under `inputDir` (default: merge.inputDir, or
+// the decoded chunks of the output root when it is not set)
+export async function runMerge(config, options = {}) {
+    const processer = new SplatProcesser(config);
+    const inputDir = options.inputDir || config.merge.inputDir || getOutputDirectories(config.outputRoot).plyDecoded;
+    return processer.createGroups(config.merge.groupSize, inputDir, config.merge.levels);
+}
@@ -0,0 +1,139 @@
+import { createReadStream, readFileSync, writeFileSync, readdirSync, existsSync } from 'fs';
+import { Readable } from 'stream';
+import path from 'path';
+import { loadPly } from 'spz-js';
+import cliProgress from 'cli-progress';
+import colors from 'ansi-colors';
+import { formatConsoleOutput, getOutputDirectories } from '../utils.js';
+import { ReconstructionQuality, SPZ_TOLERANCES, SPZ_RANGES } from '../core/IntegrityVerifier.js';
+import { CodebookCodec } from '../core/CodebookCodec.js';
+
+const format = formatConsoleOutput();
+
+const chunkIndex = fileName => parseInt(fileName.match(/\d+/)[0]);
+
+const chunkFiles = directory => new Map(readdirSync(directory)
+    .filter(file => /^chunk_\d+\.ply$/.test(file))
+    .map(file => [chunkIndex(file), file]));
+
+const loadChunk = (directory, file) => loadPly(Readable.toWeb(createReadStream(path.join(directory, file))));
+
+const formatPsnr = value => (value === Infinity ? 'lossless' : `${value.toFixed(2)} dB`);
+
+// Measures how much of the split chunks survives the round trip: every chunk
+// under plysplit/chunks is paired by index with its decoded counterpart in
+// `inputDir` (default: the decoded chunks of the output root)
+export async function runQuality(config, options = {}) {
+    const directories = getOutputDirectories(config.outputRoot);
+    const decodedDir = options.inputDir || directories.plyDecoded;
+
+    console.log(format.divider);
+    console.log(format.title('Reconstruction Quality Report'));
+    console.log(format.divider);
+
+    if (!existsSync(directories.plyChunks)) {
+        throw new Error(`Split chunks not found in ${directories.plyChunks}. Please run split first.`);
+    }
+    if (!existsSync(decodedDir)) {
+        throw new Error(`Decoded chunks not found in ${decodedDir}. Please run encode and decode first.`);
+    }
+
+    // Codebook records have their own quantization, so their outliers are judged against it
+    const integrityInfo = existsSync(directories.integrityInfo) ? JSON.parse(readFileSync(directories.integrityInfo, 'utf8')) : {};
+    const headerInfo = existsSync(directories.headerInfo) ? JSON.parse(readFileSync(directories.headerInfo, 'utf8')) : {};
+    const codec = integrityInfo.codebook && headerInfo.codebook
+        ? CodebookCodec.deserialize(Buffer.from(headerInfo.codebook, 'base64'))
+        : null;
+    const quality = codec
+        ? new ReconstructionQuality(codec.tolerances, codec.ranges)
+        : new ReconstructionQuality(SPZ_TOLERANCES, SPZ_RANGES);
+
+    const originals = chunkFiles(directories.plyChunks);
+    const decodedFiles = chunkFiles(decodedDir);
+    const indices = [...originals.keys()].sort((a, b) => a - b);
+
+    console.log(format.subtitle('Quality Configuration'));
+    console.log(format.info('Original Chunks', directories.plyChunks));
+    console.log(format.info('Decoded Chunks', decodedDir));
+    console.log(format.info('Chunk Pairs', `${indices.filter(i => decodedFiles.has(i)).length.toLocaleString()} / ${indices.length.toLocaleString()}`));
+    console.log(format.info('Chunk Codec', codec ? `codebook (${codec.id})` : 'spz'));
+    console.log(format.sectionDivider);
+
+    console.log(format.subtitle('Comparing Chunks'));
+    const progressBar = new cliProgress.SingleBar({
+        format: `Comparing |${colors.cyan('{bar}')}| {percentage}% || {value}/{total} Chunks`,
+        barCompleteChar: '=',
+        barIncompleteChar: '-',
+        hideCursor: true
+    }, cliProgress.Presets.shades_classic);
+
+    progressBar.start(indices.length, 0);
+    const chunks = [];
+    const missing = [];
+    const mismatched = [];
+    for (const index of indices) {
+        if (!decodedFiles.has(index)) {
+            missing.push(index);
+        } else {
+            try {
+                const source = await loadChunk(directories.plyChunks, originals.get(index));
+                const decoded = await loadChunk(decodedDir, decodedFiles.get(index));
+                chunks.push({ index, vertexCount: source.numPoints, ...quality.add(index, source, decoded) });
+            } catch (error) {
+                mismatched.push({ index, error: error.message });
+            }
+        }
+        progressBar.increment();
+    }
+    progressBar.stop();
+
+    const summary = quality.summary();
+    const unpaired = [...decodedFiles.keys()].filter(index => !originals.has(index)).sort((a, b) => a - b);
+
+    console.log(format.subtitle('Attribute Error'));
+    console.log(format.info('Splats Compared', summary.splatCount.toLocaleString()));
+    console.log(format.info('Position', `RMSE ${summary.position.rmse.toExponential(3)}, max ${summary.position.max.toExponential(3)} (${(summary.position.relativeRmse * 100).toExponential(2)}% of scene extent)`));
+    console.log(format.info('Scale (log)', `RMSE ${summary.scale.rmse.toExponential(3)}, max ${summary.scale.max.toExponential(3)}`));
+    console.log(format.info('Rotation', `mean ${summary.rotation.meanDegrees.toFixed(3)}°, max ${summary.rotation.maxDegrees.toFixed(3)}°`));
+    console.log(format.info('Opacity', `PSNR ${formatPsnr(summary.opacity.psnr)}, max ${summary.opacity.max.toExponential(3)}`));
+    console.log(format.info('Color', `PSNR ${formatPsnr(summary.color.psnr)}, max ${summary.color.max.toExponential(3)}`));
+    Object.entries(summary.sh).forEach(([band, { rmse, max }]) => {
+        console.log(format.info(`SH ${band}`, `RMSE ${rmse.toExponential(3)}, max ${max.toExponential(3)}`));
+    });
+
+    console.log(format.subtitle('Outliers'));
+    const outlierLine = `${summary.outlierCount.toLocaleString()} splats beyond quantization tolerance`;
+    console.log(summary.outlierCount === 0 ? format.success(outlierLine) : format.warning(outlierLine));
+    summary.outliers.slice(0, 5).forEach(({ chunk, vertex, attribute, error, tolerance }) => {
+        console.log(format.error(`  Chunk ${chunk} vertex ${vertex}: ${attribute} error ${error.toExponential(3)} (tolerance ${tolerance.toExponential(3)})`));
+    });
+    if (missing.length > 0) {
+        console.log(format.warning(`No decoded chunk for: ${missing.join(', ')}`));
+    }
+    if (unpaired.length > 0) {
+        console.log(format.warning(`No original chunk for: ${unpaired.join(', ')}`));
+    }
+    mismatched.forEach(({ index, error }) => {
+        console.log(format.error(`  Chunk ${index}: ${error}`));
+    });
+
+    // Infinity does not survive JSON, so lossless PSNR is written as null
+    const report = {
+        generatedAt: new Date().toISOString(),
+        originalDir: directories.plyChunks,
+        decodedDir,
+        codec: codec ? `codebook (${codec.id})` : 'spz',
+        tolerances: quality.tolerances,
+        pairedChunks: chunks.length,
+        missingChunks: missing,
+        unpairedChunks: unpaired,
+        mismatchedChunks: mismatched,
+        ...summary,
+        chunks
+    };
+    writeFileSync(directories.qualityReport, JSON.stringify(report, null, 2));
+
+    console.log(format.success(`\nReport saved to: ${directories.qualityReport}`));
+    console.log(format.divider);
+    return report;
+}
@@ -0,0 +1,128 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import cliProgress from 'cli-progress';
+import colors from 'ansi-colors';
+import { formatConsoleOutput, getOutputDirectories } from '../utils.js';
+import { detectFileFormat, loadGaussianCloud } from '../core/SceneFormats.js';
+import { SplatRenderer, fitCameras } from '../core/SplatRenderer.js';
+import { imagePsnr, imageSsim, differenceImage } from '../core/ImageMetrics.js';
+import { encodePng } from '../core/PngEncoder.js';
+
+const format = formatConsoleOutput();
+
+// Differences are this many times brighter in the diff images
+const DIFF_GAIN = 5;
+
+const loadScene = async filePath => loadGaussianCloud(await fs.readFile(filePath), await detectFileFormat(filePath));
+
+const formatPsnr = value => (value === Infinity ? 'identical' : `${value.toFixed(2)} dB`);
+
+// Renders render.inputFile (default: split.inputFile) to PNG from every camera;
+// with render.compareFile, also renders that scene from the same cameras and
+// scores it against the first with PSNR and SSIM. Resolves to false when a
+// view scores below render.minPsnr or render.minSsim.
+export async function runRender(config, options = {}) {
+    const settings = config.render || {};
+    const directories = getOutputDirectories(config.outputRoot);
+    const inputFile = options.inputFile || settings.inputFile || config.split.inputFile;
+    const compareFile = options.compareFile || settings.compareFile || null;
+    const width = settings.width || 512;
+    const height = settings.height || 512;
+
+    console.log(format.divider);
+    console.log(format.title(compareFile ? 'Render Comparison' : 'Scene Render'));
+    console.log(format.divider);
+
+    const original = await loadScene(inputFile);
+    const reconstructed = compareFile ? await loadScene(compareFile) : null;
+
+    // Both scenes are seen from cameras fitted to the original
+    const cameras = settings.cameras && settings.cameras.length > 0
+        ? settings.cameras.map(camera => ({ up: settings.up, fovDegrees: settings.fovDegrees, ...camera }))
+        : fitCameras(original, { views: settings.views, fovDegrees: settings.fovDegrees, up: settings.up, width, height });
+    const renderer = new SplatRenderer({ width, height, background: settings.background });
+
+    console.log(format.subtitle('Render Configuration'));
+    console.log(format.info('Input File', `${inputFile} (${original.numPoints.toLocaleString()} splats, SH degree ${original.shDegree})`));
+    if (reconstructed) {
+        console.log(format.info('Compared With', `${compareFile} (${reconstructed.numPoints.toLocaleString()} splats, SH degree ${reconstructed.shDegree})`));
+    }
+    console.log(format.info('Image Size', `${width}x${height}`));
+    console.log(format.info('Cameras', settings.cameras && settings.cameras.length > 0 ? `${cameras.length} from config` : `${cameras.length} fitted to the scene`));
+    console.log(format.sectionDivider);
+
+    await fs.mkdir(directories.renders, { recursive: true });
+    const baseName = path.basename(inputFile, path.extname(inputFile));
+
+    console.log(format.subtitle('Rendering'));
+    const progressBar = new cliProgress.SingleBar({
+        format: `Rendering |${colors.cyan('{bar}')}| {percentage}% || {value}/{total} Images`,
+        barCompleteChar: '=',
+        barIncompleteChar: '-',
+        hideCursor: true
+    }, cliProgress.Presets.shades_classic);
+
+    progressBar.start(cameras.length * (reconstructed ? 2 : 1), 0);
+    const views = [];
+    for (const [view, camera] of cameras.entries()) {
+        const image = renderer.render(original, camera);
+        progressBar.increment();
+
+        if (!reconstructed) {
+            const imagePath = path.join(directories.renders, `${baseName}_view${view}.png`);
+            await fs.writeFile(imagePath, encodePng(image));
+            views.push({ view, camera, image: imagePath, splatsDrawn: image.splatsDrawn });
+            continue;
+        }
+
+        const other = renderer.render(reconstructed, camera);
+        progressBar.increment();
+        const paths = {
+            original: path.join(directories.renders, `original_view${view}.png`),
+            reconstructed: path.join(directories.renders, `reconstructed_view${view}.png`),
+            difference: path.join(directories.renders, `diff_view${view}.png`)
+        };
+        await fs.writeFile(paths.original, encodePng(image));
+        await fs.writeFile(paths.reconstructed, encodePng(other));
+        await fs.writeFile(paths.difference, encodePng(differenceImage(image, other, DIFF_GAIN)));
+        views.push({ view, camera, images: paths, psnr: imagePsnr(image, other), ssim: imageSsim(image, other) });
+    }
+    progressBar.stop();
+
+    const minPsnr = settings.minPsnr || 0;
+    const minSsim = settings.minSsim || 0;
+    const failed = views.filter(v => reconstructed && (v.psnr < minPsnr || v.ssim < minSsim));
+
+    if (reconstructed) {
+        console.log(format.subtitle('Image Comparison'));
+        views.forEach(({ view, psnr, ssim }) => {
+            const line = `View ${view}: PSNR ${formatPsnr(psnr)}, SSIM ${ssim.toFixed(4)}`;
+            console.log(psnr >= minPsnr && ssim >= minSsim ? format.success(line) : format.error(line));
+        });
+        console.log(format.info('Thresholds', `PSNR >= ${minPsnr} dB, SSIM >= ${minSsim}`));
+        if (original.numPoints !== reconstructed.numPoints) {
+            console.log(format.warning(`Splat counts differ: ${original.numPoints.toLocaleString()} vs ${reconstructed.numPoints.toLocaleString()}`));
+        }
+    }
+
+    // Infinity does not survive JSON, so the PSNR of identical renders is written as null
+    await fs.writeFile(directories.renderReport, JSON.stringify({
+        renderedAt: new Date().toISOString(),
+        inputFile,
+        compareFile,
+        width,
+        height,
+        minPsnr: reconstructed ? minPsnr : undefined,
+        minSsim: reconstructed ? minSsim : undefined,
+        views
+    }, null, 2));
+
+    if (failed.length > 0) {
+        console.log(format.warning(`\n${failed.length} of ${views.length} views below the thresholds`));
+    } else {
+        console.log(format.success(`\n${views.length} views rendered to: ${directories.renders}`));
+    }
+    console.log(format.success(`Report saved to: ${directories.renderReport}`));
+    console.log(format.divider);
+    return failed.length === 0;
+}
@@ -0,0 +1,6 @@
+import { SplatProcesser } from '../core/SplatProcesser.js';
+
+export async function runSplit(config) {
+    const processer = new SplatProcesser(config);
+    return processer.split(config.split.targetSizeBytes);
+}
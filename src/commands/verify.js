@@ -0,0 +1,183 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import path from 'path';
+import { loadSpz } from 'spz-js';
+import cliProgress from 'cli-progress';
+import colors from 'ansi-colors';
+import { formatConsoleOutput, getOutputDirectories, sha256 } from '../utils.js';
+import { ChunkEnvelope } from '../core/ChunkEnvelope.js';
+import { SplatProcesser } from '../core/SplatProcesser.js';
+import { compareGaussians, SPZ_TOLERANCES } from '../core/IntegrityVerifier.js';
+import { CodebookCodec } from '../core/CodebookCodec.js';
+import { decodePayloadText } from '../core/PayloadEncoding.js';
+
+const format = formatConsoleOutput();
+
+function readIfExists(filePath, encoding) {
+    return existsSync(filePath) ? readFileSync(filePath, encoding) : null;
+}
+
+const verifyChunk = async (chunk, processer, source, directories, codec) => {
+    const errors = [];
+    const baseName = path.basename(chunk.filename, '.ply');
+
+    const plyData = readIfExists(path.join(directories.plyChunks, chunk.filename));
+    const spzFile = readIfExists(path.join(directories.spzChunks, `${baseName}.spz`));
+    const payload = readIfExists(path.join(directories.base64Chunks, `${baseName}.txt`), 'utf8');
+
+    if (!plyData) errors.push('PLY chunk missing');
+    else if (sha256(plyData) !== chunk.ply) errors.push('PLY hash mismatch');
+
+    if (!spzFile) errors.push('SPZ blob missing');
+    else if (sha256(spzFile) !== chunk.spz) errors.push('SPZ hash mismatch');
+
+    if (payload === null) {
+        errors.push('Payload missing');
+        return { index: chunk.index, errors, violations: [] };
+    }
+    if (sha256(payload) !== chunk.payload) errors.push('Payload hash mismatch');
+
+    try {
+        // The payload is what goes on-chain, so it is decoded rather than the SPZ file
+        let spzData = decodePayloadText(payload);
+        const envelope = ChunkEnvelope.unwrap(spzData);
+        if (envelope) {
+            spzData = envelope.payload;
+            if (envelope.index !== chunk.index) errors.push(`Envelope index ${envelope.index} does not match chunk index`);
+        }
+        const expected = await processer.loadGaussians(source, chunk.startVertex, chunk.vertexCount);
+
+        // A codebook record is not the SPZ blob, so it is only checked against the source
+        if (CodebookCodec.isRecord(spzData)) {
+            if (!codec) throw new Error('payload is a codebook record, but its codebook is not in header_info.json');
+            const { maxErrors, violations } = compareGaussians(expected, codec.decode(spzData), codec.tolerances, codec.ranges);
+            return { index: chunk.index, errors, maxErrors, violations };
+        }
+        if (sha256(spzData) !== chunk.spz) errors.push('Payload does not decode to the encoded SPZ blob');
+
+        const decoded = await loadSpz(spzData);
+        if (!decoded) throw new Error('payload is not a valid SPZ blob');
+        const { maxErrors, violations } = compareGaussians(expected, decoded);
+        return { index: chunk.index, errors, maxErrors, violations };
+    } catch (error) {
+        errors.push(`Decode failed: ${error.message}`);
+        return { index: chunk.index, errors, violations: [] };
+    }
+};
+
+// Checks every chunk under the output root against the hashes and the source
+// PLY recorded by split; returns whether all of them passed
+export async function runVerify(config) {
+    const directories = getOutputDirectories(config.outputRoot);
+
+    console.log(format.divider);
+    console.log(format.title('End-to-End Integrity Verification'));
+    console.log(format.divider);
+
+    if (!existsSync(directories.integrityInfo)) {
+        throw new Error('Chunk hashes not found. Please run split and encode first.');
+    }
+    const integrityInfo = JSON.parse(readFileSync(directories.integrityInfo, 'utf8'));
+    // Chunks encoded with the codebook codec are checked against its own tolerances
+    const headerInfo = existsSync(directories.headerInfo) ? JSON.parse(readFileSync(directories.headerInfo, 'utf8')) : {};
+    const codec = integrityInfo.codebook && headerInfo.codebook
+        ? CodebookCodec.deserialize(Buffer.from(headerInfo.codebook, 'base64'))
+        : null;
+    const tolerances = codec ? codec.tolerances : SPZ_TOLERANCES;
+
+    console.log(format.subtitle('Verification Configuration'));
+    console.log(format.info('Source PLY', integrityInfo.inputFile));
+    console.log(format.info('Total Chunks', integrityInfo.chunks.length.toLocaleString()));
+    console.log(format.info('Hash Algorithm', integrityInfo.algorithm));
+    console.log(format.info('Vertex Ordering', integrityInfo.ordering || 'linear'));
+    console.log(format.info('Chunk Codec', codec ? `codebook (${codec.id})` : 'spz'));
+    console.log(format.sectionDivider);
+
+    // Chunk vertex ranges refer to the input in split order. Like split, the
+    // source is read from disk one chunk at a time rather than loaded whole.
+    // A custom importance function is not stored, so it is taken from the config.
+    const processer = new SplatProcesser({
+        ...config,
+        split: {
+            ...config.split,
+            importance: integrityInfo.importance === 'custom' ? config.split.importance : integrityInfo.importance
+        }
+    });
+    const file = await processer.openPly(integrityInfo.inputFile);
+    const results = [];
+    try {
+        const source = await processer.orderSource(file, integrityInfo.ordering);
+
+        console.log(format.subtitle('Verifying Chunks'));
+        const progressBar = new cliProgress.SingleBar({
+            format: `Verifying |${colors.cyan('{bar}')}| {percentage}% || {value}/{total} Chunks`,
+            barCompleteChar: '=',
+            barIncompleteChar: '-',
+            hideCursor: true
+        }, cliProgress.Presets.shades_classic);
+
+        progressBar.start(integrityInfo.chunks.length, 0);
+        for (const chunk of integrityInfo.chunks) {
+            results.push(await verifyChunk(chunk, processer, source, directories, codec));
+            progressBar.increment();
+        }
+        progressBar.stop();
+    } finally {
+        await file.close();
+    }
+
+    const maxErrors = {};
+    results.filter(r => r.maxErrors).forEach(r => {
+        Object.entries(r.maxErrors).forEach(([attribute, error]) => {
+            maxErrors[attribute] = Math.max(maxErrors[attribute] || 0, error);
+        });
+    });
+
+    const hashFailures = results.filter(r => r.errors.length > 0);
+    const toleranceFailures = results.filter(r => r.violations.length > 0);
+    const verifiedVertices = integrityInfo.chunks.reduce((sum, c) => sum + c.vertexCount, 0);
+
+    console.log(format.subtitle('Verification Results'));
+    console.log(format.info('Chunks Verified', results.length.toLocaleString()));
+    console.log(format.info('Vertices Covered', `${verifiedVertices.toLocaleString()} / ${file.vertexCount.toLocaleString()}`));
+    console.log(format.info('Hash / Decode Failures', hashFailures.length.toLocaleString()));
+    console.log(format.info('Out-of-Tolerance Chunks', toleranceFailures.length.toLocaleString()));
+
+    console.log(format.subtitle('Max Error vs. Tolerance'));
+    Object.entries(tolerances).forEach(([attribute, tolerance]) => {
+        const error = maxErrors[attribute] || 0;
+        const line = `${attribute}: ${error.toExponential(3)} (tolerance ${tolerance.toExponential(3)})`;
+        console.log(error <= tolerance ? format.success(line) : format.error(line));
+    });
+
+    hashFailures.forEach(({ index, errors }) => {
+        console.log(format.error(`  Chunk ${index}: ${errors.join(', ')}`));
+    });
+    toleranceFailures.forEach(({ index, violations }) => {
+        const { vertex, attribute, error } = violations[0];
+        console.log(format.error(`  Chunk ${index}: ${violations.length} values out of tolerance (first: vertex ${vertex} ${attribute} error ${error.toExponential(3)})`));
+    });
+
+    writeFileSync(directories.verifyReport, JSON.stringify({
+        verifiedAt: new Date().toISOString(),
+        inputFile: integrityInfo.inputFile,
+        tolerances,
+        maxErrors,
+        totalChunks: results.length,
+        verifiedVertices,
+        sourceVertices: file.vertexCount,
+        failedChunks: results
+            .filter(r => r.errors.length > 0 || r.violations.length > 0)
+            .map(({ index, errors, violations }) => ({ index, errors, violations: violations.slice(0, 10), violationCount: violations.length }))
+    }, null, 2));
+
+    const passed = hashFailures.length === 0 && toleranceFailures.length === 0 && verifiedVertices === file.vertexCount;
+    if (passed) {
+        console.log(format.success('\nAll chunks verified: hashes match and values are within quantization tolerance!'));
+    } else {
+        console.log(format.warning('\nVerification failed, see details above'));
+    }
+
+    console.log(format.success(`Report saved to: ${directories.verifyReport}`));
+    console.log(format.divider);
+    return passed;
+}
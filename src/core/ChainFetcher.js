@@ -0,0 +1,128 @@
+import { PublicKey } from '@solana/web3.js';
+import { SceneManifest } from './SceneManifest.js';
+
+const SIGNATURE_PAGE_SIZE = 1000;
+
+export class ChainFetcher {
+    constructor(connection, options = {}) {
+        this.connection = connection;
+        this.programId = new PublicKey(options.memoProgramId);
+        this.commitment = options.commitment || 'confirmed';
+    }
+
+    // Returns the memo payloads of a transaction in instruction order, its first
+    // memo (null when it carries no memo instruction) and its fee payer
+    async fetchMemoTransaction(signature) {
+        const response = await this.connection.getTransaction(signature, {
+            commitment: this.commitment,
+            maxSupportedTransactionVersion: 0
+        });
+
+        if (!response) {
+            throw new Error(`Transaction ${signature} not found`);
+        }
+        if (response.meta && response.meta.err) {
+            throw new Error(`Transaction ${signature} failed on-chain: ${JSON.stringify(response.meta.err)}`);
+        }
+
+        const { message } = response.transaction;
+        const accountKeys = message.staticAccountKeys;
+        const memos = message.compiledInstructions
+            .filter(ix => accountKeys[ix.programIdIndex].equals(this.programId))
+            .map(ix => Buffer.from(ix.data).toString('utf8'));
+
+        return {
+            memos,
+            memo: memos.length > 0 ? memos[0] : null,
+            feePayer: accountKeys[0].toBase58()
+        };
+    }
+
+    // Every memo of a transaction; a packed upload puts several chunks in one
+    async fetchMemos(signature) {
+        const { memos } = await this.fetchMemoTransaction(signature);
+        return memos;
+    }
+
+    // Payloads of the chunks listed in an upload manifest, keyed by chunk index.
+    // Each transaction is fetched once, and chunks packed into it are read from
+    // its memos at their `memoIndex`. `onProgress` receives the chunks done so far.
+    async fetchManifestPayloads(manifest, onProgress = () => {}) {
+        const chunks = new Map(manifest.chunks.map(chunk => [chunk.index, chunk]));
+        const transactions = new Map();
+        const payloads = new Map();
+        const missing = [];
+        const corrupted = [];
+
+        for (let index = 0; index < manifest.totalChunks; index++) {
+            const chunk = chunks.get(index);
+            if (!chunk) {
+                missing.push({ index, error: 'No signature in upload manifest' });
+            } else {
+                const { signature } = chunk;
+                if (!transactions.has(signature)) {
+                    transactions.set(signature, await this.fetchMemos(signature).catch(error => error));
+                }
+
+                const memos = transactions.get(signature);
+                // Journals written before packing have no memo index: one memo per transaction
+                const memoIndex = chunk.memoIndex || 0;
+                if (memos instanceof Error) {
+                    missing.push({ index, signature, error: memos.message });
+                } else if (memoIndex >= memos.length) {
+                    corrupted.push({ index, signature, error: `Transaction has no memo instruction at position ${memoIndex}` });
+                } else {
+                    payloads.set(index, memos[memoIndex]);
+                }
+            }
+            onProgress(index + 1);
+        }
+
+        return { payloads, missing, corrupted };
+    }
+
+    // Follows the chain of scene manifest memos starting at its entry signature
+    async fetchSceneManifest(entrySignature) {
+        const pieces = [];
+        let signature = entrySignature;
+        let feePayer = null;
+
+        while (signature) {
+            const result = await this.fetchMemoTransaction(signature);
+            const piece = result.memo && SceneManifest.parseMemo(result.memo);
+            if (!piece || piece.part !== pieces.length) {
+                throw new Error(`Transaction ${signature} is not scene manifest piece ${pieces.length}`);
+            }
+
+            feePayer = feePayer || result.feePayer;
+            pieces.push(piece.data);
+            signature = piece.nextSignature;
+        }
+
+        return {
+            manifest: SceneManifest.decode(pieces.join('')),
+            feePayer
+        };
+    }
+
+    // Lists successful transaction signatures for an address, oldest first.
+    // `before` and `until` bound the range exactly like getSignaturesForAddress.
+    async listSignatures(address, { before, until } = {}) {
+        const signatures = [];
+        let cursor = before;
+
+        while (true) {
+            const page = await this.connection.getSignaturesForAddress(new PublicKey(address), {
+                before: cursor,
+                until,
+                limit: SIGNATURE_PAGE_SIZE
+            }, this.commitment);
+
+            signatures.push(...page.filter(info => !info.err).map(info => info.signature));
+            if (page.length < SIGNATURE_PAGE_SIZE) break;
+            cursor = page[page.length - 1].signature;
+        }
+
+        return signatures.reverse();
+    }
+}
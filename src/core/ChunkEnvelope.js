@@ -0,0 +1,74 @@
+import { createHash, randomBytes } from 'crypto';
+
+// Binary header placed in front of each SPZ payload (little endian):
+//   magic 'OCGS' (4) | version (1) | flags (1) | scene ID (8)
+//   chunk index (4) | total chunks (4) | payload length (4) | SHA-256 of payload, truncated (8)
+export const ENVELOPE_MAGIC = Buffer.from('OCGS', 'ascii');
+export const ENVELOPE_VERSION = 1;
+export const ENVELOPE_HEADER_SIZE = 34;
+
+const SCENE_ID_BYTES = 8;
+const CHECKSUM_BYTES = 8;
+
+function checksum(payload) {
+    return createHash('sha256').update(payload).digest().subarray(0, CHECKSUM_BYTES);
+}
+
+export function createSceneId() {
+    return randomBytes(SCENE_ID_BYTES).toString('hex');
+}
+
+export class ChunkEnvelope {
+    static isEnveloped(data) {
+        return data.length >= ENVELOPE_HEADER_SIZE && ENVELOPE_MAGIC.equals(data.subarray(0, ENVELOPE_MAGIC.length));
+    }
+
+    static wrap(payload, { sceneId, index, total }) {
+        const sceneIdBytes = Buffer.from(sceneId, 'hex');
+        if (sceneIdBytes.length !== SCENE_ID_BYTES) {
+            throw new Error(`Invalid scene ID "${sceneId}": must be ${SCENE_ID_BYTES * 2} hex characters`);
+        }
+
+        const header = Buffer.alloc(ENVELOPE_HEADER_SIZE);
+        ENVELOPE_MAGIC.copy(header, 0);
+        header.writeUInt8(ENVELOPE_VERSION, 4);
+        header.writeUInt8(0, 5);
+        sceneIdBytes.copy(header, 6);
+        header.writeUInt32LE(index, 14);
+        header.writeUInt32LE(total, 18);
+        header.writeUInt32LE(payload.length, 22);
+        checksum(payload).copy(header, 26);
+
+        return Buffer.concat([header, payload]);
+    }
+
+    // Returns null for bare SPZ data so callers can accept both forms
+    static unwrap(data) {
+        const buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        if (!ChunkEnvelope.isEnveloped(buffer)) {
+            return null;
+        }
+
+        const version = buffer.readUInt8(4);
+        if (version > ENVELOPE_VERSION) {
+            throw new Error(`Unsupported chunk envelope version ${version}`);
+        }
+
+        const length = buffer.readUInt32LE(22);
+        const payload = buffer.subarray(ENVELOPE_HEADER_SIZE);
+        if (payload.length !== length) {
+            throw new Error(`Envelope payload length mismatch: expected ${length} bytes, got ${payload.length}`);
+        }
+        if (!checksum(payload).equals(buffer.subarray(26, ENVELOPE_HEADER_SIZE))) {
+            throw new Error('Envelope checksum mismatch');
+        }
+
+        return {
+            version,
+            sceneId: buffer.subarray(6, 14).toString('hex'),
+            index: buffer.readUInt32LE(14),
+            total: buffer.readUInt32LE(18),
+            payload
+        };
+    }
+}
@@ -0,0 +1,146 @@
+import { serializeSpz, dimForDegree } from 'spz-js';
+import { ChunkEnvelope } from './ChunkEnvelope.js';
+import { encodePayloadText } from './PayloadEncoding.js';
+
+// Envelope fields have a fixed size, so any values measure the same
+const MEASURE_ENVELOPE = { sceneId: '0'.repeat(16), index: 0, total: 0 };
+
+export function sliceGaussians(gs, start, end) {
+    const shDim = dimForDegree(gs.shDegree);
+    return {
+        numPoints: end - start,
+        shDegree: gs.shDegree,
+        antialiased: gs.antialiased,
+        positions: gs.positions.subarray(start * 3, end * 3),
+        scales: gs.scales.subarray(start * 3, end * 3),
+        rotations: gs.rotations.subarray(start * 4, end * 4),
+        alphas: gs.alphas.subarray(start, end),
+        colors: gs.colors.subarray(start * 3, end * 3),
+        sh: gs.sh.subarray(start * shDim * 3, end * shDim * 3)
+    };
+}
+
+// Drops the SH bands above `shDegree`; sh holds dimForDegree coefficients
+// per point, each as an RGB triple, lowest band first
+export function reduceShDegree(gs, shDegree) {
+    if (shDegree >= gs.shDegree) {
+        return gs;
+    }
+    const oldDim = dimForDegree(gs.shDegree);
+    const newDim = dimForDegree(shDegree);
+    const sh = new Float32Array(gs.numPoints * newDim * 3);
+    for (let i = 0; i < gs.numPoints; i++) {
+        sh.set(gs.sh.subarray(i * oldDim * 3, i * oldDim * 3 + newDim * 3), i * newDim * 3);
+    }
+    return { ...gs, shDegree, sh };
+}
+
+// Joins chunk clouds back into one cloud, the inverse of sliceGaussians
+export function concatGaussians(clouds) {
+    const { shDegree, antialiased } = clouds[0];
+    if (clouds.some(gs => gs.shDegree !== shDegree)) {
+        throw new Error('Cannot join chunks with different SH degrees');
+    }
+
+    const join = attribute => {
+        const joined = new Float32Array(clouds.reduce((sum, gs) => sum + gs[attribute].length, 0));
+        let offset = 0;
+        for (const gs of clouds) {
+            joined.set(gs[attribute], offset);
+            offset += gs[attribute].length;
+        }
+        return joined;
+    };
+
+    return {
+        numPoints: clouds.reduce((sum, gs) => sum + gs.numPoints, 0),
+        shDegree,
+        antialiased,
+        positions: join('positions'),
+        scales: join('scales'),
+        rotations: join('rotations'),
+        alphas: join('alphas'),
+        colors: join('colors'),
+        sh: join('sh')
+    };
+}
+
+export class ChunkPacker {
+    constructor(targetSizeBytes, options = {}) {
+        this.targetSizeBytes = targetSizeBytes;
+        this.envelope = options.envelope || false;
+        // A CodebookCodec encodes chunks as codebook records instead of SPZ
+        this.codec = options.codec || null;
+        this.encoding = options.encoding || 'base64';
+    }
+
+    // Runs the real encode path (SPZ or codebook record -> envelope -> payload text) on a candidate chunk
+    async measure(gs, start, count) {
+        const chunk = sliceGaussians(gs, start, start + count);
+        const spzData = this.codec ? this.codec.encode(chunk) : await serializeSpz(chunk);
+        const data = this.envelope ? ChunkEnvelope.wrap(Buffer.from(spzData), MEASURE_ENVELOPE) : spzData;
+        const payload = encodePayloadText(Buffer.from(data), this.encoding);
+        return {
+            spzSize: spzData.length,
+            payloadSize: Buffer.byteLength(payload)
+        };
+    }
+
+    // Finds the largest vertex count starting at `start` whose payload still fits.
+    // Gzip output is not strictly monotonic, so only measured sizes are trusted.
+    async fitChunk(gs, start, hint) {
+        const remaining = gs.numPoints - start;
+        let fit = null;
+        let lo = 0;
+        let hi = remaining + 1;
+        let count = Math.min(Math.max(1, hint), remaining);
+
+        // Grow from the previous chunk's size until the payload overflows
+        while (count < hi) {
+            const size = await this.measure(gs, start, count);
+            if (size.payloadSize > this.targetSizeBytes) {
+                hi = count;
+                break;
+            }
+            lo = count;
+            fit = size;
+            if (count === remaining) break;
+            count = Math.min(count * 2, remaining);
+        }
+
+        // Narrow down between the last fitting and first overflowing count
+        while (hi - lo > 1) {
+            const mid = Math.floor((lo + hi) / 2);
+            const size = await this.measure(gs, start, mid);
+            if (size.payloadSize > this.targetSizeBytes) {
+                hi = mid;
+            } else {
+                lo = mid;
+                fit = size;
+            }
+        }
+
+        if (lo === 0) {
+            const codec = this.codec ? 'codebook record' : 'SPZ';
+            throw new Error(`Vertex ${start} alone exceeds targetSizeBytes (${this.targetSizeBytes}) after ${this.envelope ? `${codec} + envelope + ${this.encoding}` : `${codec} + ${this.encoding}`} encoding`);
+        }
+
+        return { start, count: lo, ...fit };
+    }
+
+    async pack(gs, onProgress = () => {}) {
+        const chunks = [];
+        let start = 0;
+        let hint = 1;
+
+        while (start < gs.numPoints) {
+            const chunk = await this.fitChunk(gs, start, hint);
+            chunks.push(chunk);
+            start += chunk.count;
+            hint = chunk.count;
+            onProgress(start);
+        }
+
+        return chunks;
+    }
+}
@@ -0,0 +1,120 @@
+import { parentPort } from 'worker_threads';
+import { createHash } from 'crypto';
+import { promises as fs, readFileSync } from 'fs';
+import { serializePly } from 'spz-js';
+import { encodeChunk, decodePayload } from './ScenePipeline.js';
+import { FileVertexSource, readPlyHeader } from './PlyReader.js';
+import { loadGaussianCloud, serializeScene } from './SceneFormats.js';
+import { compareExport, compareGaussians } from './IntegrityVerifier.js';
+import { concatGaussians } from './ChunkPacker.js';
+import { CodebookCodec } from './CodebookCodec.js';
+
+// Codebooks arrive Base64 serialized with every task; each worker parses one once
+const codecs = new Map();
+function codecFor(codebook) {
+    if (!codebook) {
+        return null;
+    }
+    if (!codecs.has(codebook)) {
+        codecs.set(codebook, CodebookCodec.deserialize(Buffer.from(codebook, 'base64')));
+    }
+    return codecs.get(codebook);
+}
+
+// One hash over the vertex records of several PLY files, streamed in order
+async function hashVertexData(filePaths, bytesPerVertex) {
+    const hash = createHash('sha256');
+    let vertexCount = 0;
+    let dataEnd = 0;
+    for (const filePath of filePaths) {
+        const { header, headerEndIndex } = await readPlyHeader(filePath);
+        const vertexMatch = header.match(/element vertex (\d+)/);
+        const count = vertexMatch ? parseInt(vertexMatch[1]) : 0;
+        const source = await FileVertexSource.open(filePath, headerEndIndex, bytesPerVertex, count);
+        try {
+            for await (const { data } of source.batches()) {
+                hash.update(data);
+            }
+        } finally {
+            await source.close();
+        }
+        vertexCount += count;
+        dataEnd = headerEndIndex + count * bytesPerVertex;
+    }
+    return { vertexCount, dataEnd, hash: hash.digest('hex') };
+}
+
+// CPU-bound per-file work run by WorkerPool. Tasks only read their inputs and
+// return the outputs, so the main thread decides what gets written and in which order.
+const TASKS = {
+    async encode({ inputPath, envelope, codebook, encoding }) {
+        return encodeChunk(readFileSync(inputPath), envelope, codecFor(codebook), encoding);
+    },
+
+    // `payload` decodes a payload that has no file, such as one rebuilt from parity
+    async decode({ inputPath, payload, codebook }) {
+        const { spzData, gs, envelope } = await decodePayload(payload || readFileSync(inputPath, 'utf8'), codecFor(codebook));
+        return {
+            spzData,
+            plyData: new Uint8Array(serializePly(gs)),
+            envelope
+        };
+    },
+
+    // SPZ chunks are merged from PLYs like any other chunk
+    async spzToPly({ inputPath }) {
+        const gs = await loadGaussianCloud(readFileSync(inputPath), 'spz');
+        return { plyData: new Uint8Array(serializePly(gs)) };
+    },
+
+    // A group merged from decoded chunks against the split chunks it came from,
+    // within the SPZ quantization tolerances (or the given ones)
+    async diffGroup({ groupPath, originalPaths, tolerances }) {
+        const merged = await loadGaussianCloud(readFileSync(groupPath), 'ply');
+        const originals = [];
+        for (const originalPath of originalPaths) {
+            originals.push(await loadGaussianCloud(readFileSync(originalPath), 'ply'));
+        }
+
+        try {
+            const { maxErrors, violations } = compareGaussians(concatGaussians(originals), merged, tolerances);
+            return { valid: violations.length === 0, maxErrors, outOfTolerance: violations.length };
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    },
+
+    // A merged group must hold exactly the vertex records of its chunks, in order
+    async verifyGroup({ groupPath, chunkPaths, bytesPerVertex }) {
+        const group = await hashVertexData([groupPath], bytesPerVertex);
+        const chunks = await hashVertexData(chunkPaths, bytesPerVertex);
+        const { size } = await fs.stat(groupPath);
+
+        if (group.vertexCount !== chunks.vertexCount) {
+            return { valid: false, error: `Group has ${group.vertexCount} vertices, its chunks ${chunks.vertexCount}` };
+        }
+        if (size !== group.dataEnd) {
+            return { valid: false, error: `Group file is ${size} bytes, expected ${group.dataEnd}` };
+        }
+        if (group.hash !== chunks.hash) {
+            return { valid: false, error: 'Group vertex data differs from its chunks' };
+        }
+        return { valid: true };
+    },
+
+    // A merged PLY in another format, loaded back and checked against the PLY
+    async exportScene({ inputPath, outputFormat }) {
+        const source = await loadGaussianCloud(readFileSync(inputPath), 'ply');
+        const data = await serializeScene(source, outputFormat);
+        const check = compareExport(source, await loadGaussianCloud(data, outputFormat), outputFormat);
+        return { data, check };
+    }
+};
+
+parentPort.on('message', async ({ task, args }) => {
+    try {
+        parentPort.postMessage({ result: await TASKS[task](args) });
+    } catch (error) {
+        parentPort.postMessage({ error: error.message });
+    }
+});
@@ -0,0 +1,571 @@
+import { createHash } from 'crypto';
+import { deflateRawSync, inflateRawSync } from 'zlib';
+import { dimForDegree } from 'spz-js';
+import { payloadCapacity } from './PayloadEncoding.js';
+
+// Chunk codec that quantizes every chunk against one scene-level codebook, so
+// chunks carry no SPZ header, gzip framing or per-chunk quantization ranges.
+//
+// The codebook (position bounds and bit depth, 1D codebooks for colors,
+// scales, smallest-three rotation components and each SH band) is fitted once
+// per scene and goes on chain as header payloads (little endian):
+//   magic 'OCGB' (4) | version (1) | codebook ID (4) | part (1) | total parts (1) | piece of the deflated codebook
+// Each chunk is then a record:
+//   magic 'OCGC' (4) | version (1) | flags (1) | codebook ID (4) | splat count (2) | bit-packed splats
+// where flag 1 marks a deflated bitstream.
+// Chunk codecs: SPZ blobs, or records against the scene's codebook
+export const CODECS = ['spz', 'codebook'];
+
+export const CODEBOOK_MAGIC = Buffer.from('OCGB', 'ascii');
+export const RECORD_MAGIC = Buffer.from('OCGC', 'ascii');
+export const CODEBOOK_VERSION = 1;
+export const HEADER_PIECE_SIZE = 11;
+export const RECORD_HEADER_SIZE = 12;
+
+const CODEBOOK_ID_BYTES = 4;
+const FLAG_DEFLATED = 1;
+const MAX_RECORD_SPLATS = 0xffff;
+const MAX_PIECES = 255;
+
+// Values outside the ranges SPZ stores are clamped the same way; smallest-three
+// rotation components never leave ±1/√2
+const RANGES = {
+    color: [-1 / 0.3, 1 / 0.3],
+    scale: [-10, 5.9375],
+    rotation: [-Math.SQRT1_2, Math.SQRT1_2],
+    sh1: [-1, 127 / 128],
+    sh2: [-1, 127 / 128],
+    sh3: [-1, 127 / 128]
+};
+const BOOKS = Object.keys(RANGES);
+// Codebook entries per attribute, as index bits. Fitted entries follow the
+// value distribution, so fewer bits than SPZ's uniform steps keep its error levels.
+const BOOK_BITS = { color: 7, scale: 6, rotation: 7, sh1: 4, sh2: 3, sh3: 3 };
+const HISTOGRAM_BINS = 4096;
+const KMEANS_ITERATIONS = 24;
+
+// Positions get at least SPZ's 1/4096 precision over the scene bounds
+const POSITION_STEP = 1 / 4096;
+const MIN_POSITION_BITS = 8;
+const MAX_POSITION_BITS = 24;
+const ALPHA_BITS = 8;
+const ROTATION_INDEX_BITS = 2;
+
+const clamp = (x, min, max) => Math.min(Math.max(x, min), max);
+const sigmoid = x => 1 / (1 + Math.exp(-x));
+const invSigmoid = x => Math.log(x / (1 - x));
+const bitsFor = count => (count > 1 ? Math.ceil(Math.log2(count)) : 0);
+
+// SH coefficients are stored as RGB triples per coefficient, lowest band first
+function shBook(j) {
+    const coefficient = Math.floor(j / 3);
+    return coefficient < 3 ? 'sh1' : coefficient < 8 ? 'sh2' : 'sh3';
+}
+
+// Normalized xyzw quaternion as its largest component's index and the other
+// three, signed so the largest is positive
+function smallestThree(rotations, i) {
+    const q = Array.from(rotations.subarray(i * 4, i * 4 + 4));
+    const length = Math.hypot(...q) || 1;
+    let largest = 0;
+    for (let c = 1; c < 4; c++) {
+        if (Math.abs(q[c]) > Math.abs(q[largest])) largest = c;
+    }
+    const sign = q[largest] < 0 ? -1 : 1;
+    return {
+        largest,
+        components: q.filter((_, c) => c !== largest).map(v => sign * v / length)
+    };
+}
+
+class BitWriter {
+    constructor() {
+        this.bytes = [];
+        this.current = 0;
+        this.used = 0;
+    }
+
+    write(value, bits) {
+        for (let b = 0; b < bits; b++) {
+            this.current |= ((value >>> b) & 1) << this.used;
+            if (++this.used === 8) {
+                this.bytes.push(this.current);
+                this.current = 0;
+                this.used = 0;
+            }
+        }
+    }
+
+    finish() {
+        return Buffer.from(this.used > 0 ? [...this.bytes, this.current] : this.bytes);
+    }
+}
+
+class BitReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.position = 0;
+    }
+
+    read(bits) {
+        let value = 0;
+        for (let b = 0; b < bits; b++, this.position++) {
+            const byte = this.buffer[this.position >>> 3];
+            if (byte === undefined) {
+                throw new Error('Codebook record is truncated');
+            }
+            value |= ((byte >>> (this.position & 7)) & 1) << b;
+        }
+        return value >>> 0;
+    }
+}
+
+// Weighted 1D k-means over histogram bins, seeded at the weight quantiles.
+// The outer entries sit on the edges of the outermost occupied bins, so every
+// value seen is within half a gap of an entry.
+function fitEntries(histogram, [lo, hi], count) {
+    const width = (hi - lo) / HISTOGRAM_BINS;
+    const bins = [];
+    histogram.forEach((weight, b) => {
+        if (weight > 0) bins.push({ center: lo + (b + 0.5) * width, weight });
+    });
+    if (bins.length === 0) {
+        return [lo];
+    }
+
+    const first = bins[0].center - width / 2;
+    const last = bins[bins.length - 1].center + width / 2;
+    if (bins.length <= count) {
+        const centers = bins.map(bin => bin.center);
+        return bins.length === 1 ? [first, last] : [first, ...centers.slice(1, -1), last];
+    }
+
+    const total = bins.reduce((sum, bin) => sum + bin.weight, 0);
+    let entries = [];
+    let seen = 0;
+    for (const bin of bins) {
+        seen += bin.weight;
+        while (entries.length < count && seen >= (entries.length + 0.5) * total / count) {
+            entries.push(bin.center);
+        }
+    }
+    entries = Array.from(new Set(entries));
+
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+        const sums = new Float64Array(entries.length);
+        const weights = new Float64Array(entries.length);
+        let e = 0;
+        for (const bin of bins) {
+            while (e + 1 < entries.length && Math.abs(entries[e + 1] - bin.center) <= Math.abs(entries[e] - bin.center)) e++;
+            sums[e] += bin.center * bin.weight;
+            weights[e] += bin.weight;
+        }
+        entries = entries.map((entry, k) => (weights[k] > 0 ? sums[k] / weights[k] : entry));
+    }
+
+    entries[0] = first;
+    entries[entries.length - 1] = last;
+    return entries.sort((a, b) => a - b);
+}
+
+// Worst distance from any value in an occupied bin to its nearest entry
+function maxError(histogram, [lo, hi], entries) {
+    const width = (hi - lo) / HISTOGRAM_BINS;
+    const nearest = x => Math.abs(entries[nearestIndex(entries, x)] - x);
+    let error = 0;
+    histogram.forEach((weight, b) => {
+        if (weight === 0) return;
+        const a = lo + b * width;
+        const z = a + width;
+        error = Math.max(error, nearest(a), nearest(z));
+        for (let k = 0; k + 1 < entries.length; k++) {
+            const middle = (entries[k] + entries[k + 1]) / 2;
+            if (middle >= a && middle <= z) error = Math.max(error, (entries[k + 1] - entries[k]) / 2);
+        }
+    });
+    return error;
+}
+
+function nearestIndex(entries, x) {
+    let lo = 0;
+    let hi = entries.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (entries[mid + 1] - x <= x - entries[mid]) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// Stores entries as 16-bit steps over [min, max]; encoder and decoder both use
+// the stored values
+function quantizeEntries(entries) {
+    const min = entries[0];
+    const max = entries[entries.length - 1];
+    const steps = entries.map(entry => (max > min ? Math.round((entry - min) / (max - min) * 0xffff) : 0));
+    return { min, max, steps: Array.from(new Set(steps)) };
+}
+
+function dequantizeEntries({ min, max, steps }) {
+    return Float64Array.from(steps, step => min + (max - min) * step / 0xffff);
+}
+
+// Collects position bounds and value histograms over any number of clouds
+// (e.g. one window of the scene at a time), then fits the codebook
+export class CodebookBuilder {
+    constructor() {
+        this.shDegree = null;
+        this.antialiased = false;
+        this.numPoints = 0;
+        this.min = [Infinity, Infinity, Infinity];
+        this.max = [-Infinity, -Infinity, -Infinity];
+        this.histograms = Object.fromEntries(BOOKS.map(book => [book, new Float64Array(HISTOGRAM_BINS)]));
+    }
+
+    addValue(book, value) {
+        const [lo, hi] = RANGES[book];
+        const bin = Math.floor((clamp(value, lo, hi) - lo) / (hi - lo) * HISTOGRAM_BINS);
+        this.histograms[book][Math.min(bin, HISTOGRAM_BINS - 1)]++;
+    }
+
+    add(gs) {
+        if (this.shDegree === null) {
+            this.shDegree = gs.shDegree;
+            this.antialiased = Boolean(gs.antialiased);
+        } else if (gs.shDegree !== this.shDegree) {
+            throw new Error(`Cannot fit one codebook to SH degrees ${this.shDegree} and ${gs.shDegree}`);
+        }
+
+        const shPerPoint = dimForDegree(gs.shDegree) * 3;
+        for (let i = 0; i < gs.numPoints; i++) {
+            for (let axis = 0; axis < 3; axis++) {
+                const p = gs.positions[i * 3 + axis];
+                if (p < this.min[axis]) this.min[axis] = p;
+                if (p > this.max[axis]) this.max[axis] = p;
+                this.addValue('color', gs.colors[i * 3 + axis]);
+                this.addValue('scale', gs.scales[i * 3 + axis]);
+            }
+            smallestThree(gs.rotations, i).components.forEach(v => this.addValue('rotation', v));
+            for (let j = 0; j < shPerPoint; j++) {
+                this.addValue(shBook(j), gs.sh[i * shPerPoint + j]);
+            }
+        }
+        this.numPoints += gs.numPoints;
+    }
+
+    build() {
+        if (this.numPoints === 0) {
+            throw new Error('Cannot fit a codebook without splats');
+        }
+
+        const extent = Math.max(...this.max.map((max, axis) => max - this.min[axis]));
+        const positionBits = clamp(Math.ceil(Math.log2(extent / POSITION_STEP + 1)), MIN_POSITION_BITS, MAX_POSITION_BITS);
+
+        const books = {};
+        BOOKS.forEach(book => {
+            const entries = dequantizeEntries(quantizeEntries(fitEntries(this.histograms[book], RANGES[book], 1 << BOOK_BITS[book])));
+            books[book] = { entries, tolerance: maxError(this.histograms[book], RANGES[book], entries) };
+        });
+
+        // Read back from its serialized form, so encoding uses exactly the
+        // entries a decoder will see
+        const codec = new CodebookCodec({
+            shDegree: this.shDegree,
+            antialiased: this.antialiased,
+            positionBits,
+            bounds: { min: this.min, max: this.max },
+            books
+        });
+        return CodebookCodec.deserialize(codec.serialized);
+    }
+}
+
+export class CodebookCodec {
+    constructor({ shDegree, antialiased, positionBits, bounds, books }) {
+        this.shDegree = shDegree;
+        this.antialiased = antialiased;
+        this.positionBits = positionBits;
+        this.bounds = {
+            min: Array.from(Float32Array.from(bounds.min)),
+            max: Array.from(Float32Array.from(bounds.max))
+        };
+        this.books = books;
+        this.bits = Object.fromEntries(BOOKS.map(book => [book, bitsFor(books[book].entries.length)]));
+        this.serialized = this.serialize();
+        this.id = createHash('sha256').update(this.serialized).digest().subarray(0, CODEBOOK_ID_BYTES).toString('hex');
+    }
+
+    static isRecord(data) {
+        return data.length >= RECORD_HEADER_SIZE && RECORD_MAGIC.equals(data.subarray(0, RECORD_MAGIC.length));
+    }
+
+    static isHeaderPiece(data) {
+        return data.length > HEADER_PIECE_SIZE && CODEBOOK_MAGIC.equals(data.subarray(0, CODEBOOK_MAGIC.length));
+    }
+
+    // Codebook ID a record was encoded against
+    static recordCodebookId(data) {
+        return Buffer.from(data.buffer, data.byteOffset, data.byteLength).subarray(6, 6 + CODEBOOK_ID_BYTES).toString('hex');
+    }
+
+    get bitsPerSplat() {
+        const shBits = Array.from({ length: dimForDegree(this.shDegree) * 3 }, (_, j) => this.bits[shBook(j)])
+            .reduce((sum, bits) => sum + bits, 0);
+        return 3 * this.positionBits + ALPHA_BITS + 3 * this.bits.color + 3 * this.bits.scale
+            + ROTATION_INDEX_BITS + 3 * this.bits.rotation + shBits;
+    }
+
+    // Worst-case round-trip error per attribute, in the form of SPZ_TOLERANCES
+    get tolerances() {
+        const positionStep = Math.max(...this.bounds.max.map((max, axis) => max - this.bounds.min[axis])) / ((2 ** this.positionBits) - 1);
+        // w is rebuilt from the smallest three and is never below 1/2, so it
+        // moves by at most the sum of their errors
+        const rotationError = this.books.rotation.tolerance;
+        const chord = Math.sqrt(3 * rotationError ** 2 + (3 * rotationError) ** 2);
+        return {
+            position: positionStep / 2 + 1e-6,
+            scale: this.books.scale.tolerance + 1e-6,
+            rotationDegrees: 4 * Math.asin(Math.min(1, chord / 2)) * 180 / Math.PI + 1e-6,
+            opacity: 0.5 / 255 + 1e-6,
+            color: this.books.color.tolerance + 1e-6,
+            shDegree1: this.books.sh1.tolerance + 1e-6,
+            shHigher: Math.max(this.books.sh2.tolerance, this.books.sh3.tolerance) + 1e-6
+        };
+    }
+
+    // Value ranges values are clamped to before quantizing, in the form of SPZ_RANGES
+    get ranges() {
+        return {
+            position: [-Infinity, Infinity],
+            scale: RANGES.scale,
+            color: RANGES.color,
+            sh: RANGES.sh1
+        };
+    }
+
+    serialize() {
+        const head = Buffer.alloc(3 + 6 * 4);
+        head.writeUInt8(this.shDegree, 0);
+        head.writeUInt8(this.antialiased ? 1 : 0, 1);
+        head.writeUInt8(this.positionBits, 2);
+        [...this.bounds.min, ...this.bounds.max].forEach((v, k) => head.writeFloatLE(v, 3 + k * 4));
+
+        const books = BOOKS.map(book => {
+            const { min, max, steps } = quantizeEntries(Array.from(this.books[book].entries));
+            const buffer = Buffer.alloc(2 + 3 * 4 + steps.length * 2);
+            buffer.writeUInt16LE(steps.length, 0);
+            buffer.writeFloatLE(min, 2);
+            buffer.writeFloatLE(max, 6);
+            buffer.writeFloatLE(this.books[book].tolerance, 10);
+            // Entries are sorted, so deltas stay small and deflate well
+            steps.forEach((step, k) => buffer.writeUInt16LE(step - (k > 0 ? steps[k - 1] : 0), 14 + k * 2));
+            return buffer;
+        });
+        return Buffer.concat([head, ...books]);
+    }
+
+    static deserialize(data) {
+        const buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        const bounds = { min: [], max: [] };
+        for (let k = 0; k < 3; k++) {
+            bounds.min.push(buffer.readFloatLE(3 + k * 4));
+            bounds.max.push(buffer.readFloatLE(15 + k * 4));
+        }
+
+        let offset = 27;
+        const books = {};
+        BOOKS.forEach(book => {
+            const count = buffer.readUInt16LE(offset);
+            const min = buffer.readFloatLE(offset + 2);
+            const max = buffer.readFloatLE(offset + 6);
+            const tolerance = buffer.readFloatLE(offset + 10);
+            const steps = [];
+            for (let k = 0; k < count; k++) {
+                steps.push((k > 0 ? steps[k - 1] : 0) + buffer.readUInt16LE(offset + 14 + k * 2));
+            }
+            books[book] = { entries: dequantizeEntries({ min, max, steps }), tolerance };
+            offset += 14 + count * 2;
+        });
+
+        return new CodebookCodec({
+            shDegree: buffer.readUInt8(0),
+            antialiased: buffer.readUInt8(1) === 1,
+            positionBits: buffer.readUInt8(2),
+            bounds,
+            books
+        });
+    }
+
+    // Header payloads carrying the deflated codebook, each at most
+    // `targetSizeBytes` once encoded as payload text
+    toHeaderPieces(targetSizeBytes, encoding = 'base64') {
+        const data = deflateRawSync(this.serialized, { level: 9 });
+        const pieceSize = payloadCapacity(targetSizeBytes, encoding) - HEADER_PIECE_SIZE;
+        if (pieceSize <= 0) {
+            throw new Error(`targetSizeBytes (${targetSizeBytes}) leaves no room for codebook header payloads`);
+        }
+
+        const total = Math.ceil(data.length / pieceSize);
+        if (total > MAX_PIECES) {
+            throw new Error(`Codebook needs ${total} header payloads, more than ${MAX_PIECES}`);
+        }
+
+        return Array.from({ length: total }, (_, part) => {
+            const header = Buffer.alloc(HEADER_PIECE_SIZE);
+            CODEBOOK_MAGIC.copy(header, 0);
+            header.writeUInt8(CODEBOOK_VERSION, 4);
+            Buffer.from(this.id, 'hex').copy(header, 5);
+            header.writeUInt8(part, 9);
+            header.writeUInt8(total, 10);
+            return Buffer.concat([header, data.subarray(part * pieceSize, (part + 1) * pieceSize)]);
+        });
+    }
+
+    // Rebuilds the codebook from its header payloads, in any order
+    static fromHeaderPieces(pieces) {
+        const parsed = pieces.map(piece => {
+            const buffer = Buffer.from(piece.buffer, piece.byteOffset, piece.byteLength);
+            if (!CodebookCodec.isHeaderPiece(buffer)) {
+                throw new Error('Not a codebook header payload');
+            }
+            const version = buffer.readUInt8(4);
+            if (version > CODEBOOK_VERSION) {
+                throw new Error(`Unsupported codebook version ${version}`);
+            }
+            return {
+                id: buffer.subarray(5, 9).toString('hex'),
+                part: buffer.readUInt8(9),
+                total: buffer.readUInt8(10),
+                data: buffer.subarray(HEADER_PIECE_SIZE)
+            };
+        });
+        if (parsed.length === 0) {
+            throw new Error('No codebook header payloads');
+        }
+
+        const { id, total } = parsed[0];
+        if (parsed.some(piece => piece.id !== id)) {
+            throw new Error('Codebook header payloads belong to different codebooks');
+        }
+        const parts = new Map(parsed.map(piece => [piece.part, piece.data]));
+        const missing = Array.from({ length: total }, (_, part) => part).filter(part => !parts.has(part));
+        if (missing.length > 0) {
+            throw new Error(`Codebook header payloads missing: parts ${missing.join(', ')} of ${total}`);
+        }
+
+        const codec = CodebookCodec.deserialize(inflateRawSync(Buffer.concat(Array.from({ length: total }, (_, part) => parts.get(part)))));
+        if (codec.id !== id) {
+            throw new Error(`Codebook checksum mismatch: expected ${id}, got ${codec.id}`);
+        }
+        return codec;
+    }
+
+    quantize(book, value) {
+        const [lo, hi] = RANGES[book];
+        return nearestIndex(this.books[book].entries, clamp(value, lo, hi));
+    }
+
+    encode(gs) {
+        if (gs.shDegree !== this.shDegree) {
+            throw new Error(`Chunk has SH degree ${gs.shDegree}, the codebook ${this.shDegree}`);
+        }
+        if (gs.numPoints > MAX_RECORD_SPLATS) {
+            throw new Error(`A codebook record holds at most ${MAX_RECORD_SPLATS} splats`);
+        }
+
+        const writer = new BitWriter();
+        const levels = (2 ** this.positionBits) - 1;
+        const shPerPoint = dimForDegree(this.shDegree) * 3;
+        for (let i = 0; i < gs.numPoints; i++) {
+            for (let axis = 0; axis < 3; axis++) {
+                const { min, max } = this.bounds;
+                const extent = max[axis] - min[axis];
+                const q = extent > 0 ? Math.round((gs.positions[i * 3 + axis] - min[axis]) / extent * levels) : 0;
+                writer.write(clamp(q, 0, levels), this.positionBits);
+            }
+            writer.write(clamp(Math.round(sigmoid(gs.alphas[i]) * 255), 0, 255), ALPHA_BITS);
+            for (let axis = 0; axis < 3; axis++) {
+                writer.write(this.quantize('color', gs.colors[i * 3 + axis]), this.bits.color);
+            }
+            for (let axis = 0; axis < 3; axis++) {
+                writer.write(this.quantize('scale', gs.scales[i * 3 + axis]), this.bits.scale);
+            }
+            const { largest, components } = smallestThree(gs.rotations, i);
+            writer.write(largest, ROTATION_INDEX_BITS);
+            components.forEach(v => writer.write(this.quantize('rotation', v), this.bits.rotation));
+            for (let j = 0; j < shPerPoint; j++) {
+                const book = shBook(j);
+                writer.write(this.quantize(book, gs.sh[i * shPerPoint + j]), this.bits[book]);
+            }
+        }
+
+        const packed = writer.finish();
+        const deflated = deflateRawSync(packed, { level: 9 });
+        const useDeflate = deflated.length < packed.length;
+
+        const header = Buffer.alloc(RECORD_HEADER_SIZE);
+        RECORD_MAGIC.copy(header, 0);
+        header.writeUInt8(CODEBOOK_VERSION, 4);
+        header.writeUInt8(useDeflate ? FLAG_DEFLATED : 0, 5);
+        Buffer.from(this.id, 'hex').copy(header, 6);
+        header.writeUInt16LE(gs.numPoints, 10);
+        return Buffer.concat([header, useDeflate ? deflated : packed]);
+    }
+
+    decode(data) {
+        const buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        if (!CodebookCodec.isRecord(buffer)) {
+            throw new Error('Not a codebook record');
+        }
+        const version = buffer.readUInt8(4);
+        if (version > CODEBOOK_VERSION) {
+            throw new Error(`Unsupported codebook record version ${version}`);
+        }
+        const id = CodebookCodec.recordCodebookId(buffer);
+        if (id !== this.id) {
+            throw new Error(`Record was encoded with codebook ${id}, not ${this.id}`);
+        }
+
+        const numPoints = buffer.readUInt16LE(10);
+        const body = buffer.subarray(RECORD_HEADER_SIZE);
+        const reader = new BitReader(buffer.readUInt8(5) & FLAG_DEFLATED ? inflateRawSync(body) : body);
+        const shPerPoint = dimForDegree(this.shDegree) * 3;
+        const gs = {
+            numPoints,
+            shDegree: this.shDegree,
+            antialiased: this.antialiased,
+            positions: new Float32Array(numPoints * 3),
+            scales: new Float32Array(numPoints * 3),
+            rotations: new Float32Array(numPoints * 4),
+            alphas: new Float32Array(numPoints),
+            colors: new Float32Array(numPoints * 3),
+            sh: new Float32Array(numPoints * shPerPoint)
+        };
+
+        const levels = (2 ** this.positionBits) - 1;
+        const entry = (book, bits) => this.books[book].entries[reader.read(bits)];
+        for (let i = 0; i < numPoints; i++) {
+            for (let axis = 0; axis < 3; axis++) {
+                const { min, max } = this.bounds;
+                gs.positions[i * 3 + axis] = min[axis] + (max[axis] - min[axis]) * reader.read(this.positionBits) / levels;
+            }
+            gs.alphas[i] = invSigmoid(reader.read(ALPHA_BITS) / 255);
+            for (let axis = 0; axis < 3; axis++) {
+                gs.colors[i * 3 + axis] = entry('color', this.bits.color);
+            }
+            for (let axis = 0; axis < 3; axis++) {
+                gs.scales[i * 3 + axis] = entry('scale', this.bits.scale);
+            }
+            const largest = reader.read(ROTATION_INDEX_BITS);
+            const components = [0, 1, 2].map(() => entry('rotation', this.bits.rotation));
+            const w = Math.sqrt(Math.max(0, 1 - components.reduce((sum, v) => sum + v * v, 0)));
+            components.splice(largest, 0, w);
+            gs.rotations.set(components, i * 4);
+            for (let j = 0; j < shPerPoint; j++) {
+                const book = shBook(j);
+                gs.sh[i * shPerPoint + j] = entry(book, this.bits[book]);
+            }
+        }
+        return gs;
+    }
+}
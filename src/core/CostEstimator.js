@@ -0,0 +1,101 @@
+import { ChunkPacker, sliceGaussians } from './ChunkPacker.js';
+import { DEFAULT_COMPUTE_UNIT_LIMIT, memosPerTransaction } from './MemoUploader.js';
+import { PARITY_OVERHEAD, dataPayloadLimit, parityChunkCount } from './ParityCoder.js';
+import { encodePayloadText } from './PayloadEncoding.js';
+
+// Base fee of one signature; each memo transaction has one
+export const LAMPORTS_PER_SIGNATURE = 5000;
+export const LAMPORTS_PER_SOL = 1_000_000_000;
+const MICRO_LAMPORTS_PER_LAMPORT = 1_000_000;
+
+const DEFAULT_SAMPLES = 8;
+
+// Fee settings with their defaults filled in
+export function feeSettings(options = {}) {
+    return {
+        lamportsPerSignature: options.lamportsPerSignature ?? LAMPORTS_PER_SIGNATURE,
+        priorityFeeMicroLamports: options.priorityFeeMicroLamports || 0,
+        computeUnitLimit: options.computeUnitLimit || DEFAULT_COMPUTE_UNIT_LIMIT
+    };
+}
+
+export class CostEstimator {
+    constructor(targetSizeBytes, options = {}) {
+        // Enabled parity settings shrink the data payloads and add parity chunks
+        this.parity = options.parity && options.parity.enabled ? options.parity : null;
+        this.packer = new ChunkPacker(dataPayloadLimit(targetSizeBytes, this.parity), {
+            envelope: options.envelope,
+            codec: options.codec,
+            encoding: options.encoding
+        });
+        // A codebook codec adds its header payloads after the chunks
+        this.headerPayloads = options.codec
+            ? options.codec.toHeaderPieces(this.packer.targetSizeBytes, this.packer.encoding)
+                .map(piece => Buffer.byteLength(encodePayloadText(piece, this.packer.encoding)))
+            : [];
+        this.samples = options.samples || DEFAULT_SAMPLES;
+        // One memo transaction per chunk, or as many chunks per transaction as fit
+        this.packTransactions = Boolean(options.packTransactions);
+        Object.assign(this, feeSettings(options));
+    }
+
+    // Fees for `transactions` single-signature memo transactions
+    fees(transactions) {
+        const baseLamports = transactions * this.lamportsPerSignature;
+        const priorityLamports = transactions * Math.ceil(this.priorityFeeMicroLamports * this.computeUnitLimit / MICRO_LAMPORTS_PER_LAMPORT);
+        const lamports = baseLamports + priorityLamports;
+        return { baseLamports, priorityLamports, lamports, sol: lamports / LAMPORTS_PER_SOL };
+    }
+
+    // Packs a few real chunks spread over the cloud and extrapolates,
+    // which is far cheaper than packing the whole scene
+    async estimate(gs) {
+        return this.estimateWindows(gs.numPoints, gs.shDegree, async start => sliceGaussians(gs, start, gs.numPoints));
+    }
+
+    // Same estimate for scenes that are never fully loaded: `loadWindow(start)`
+    // returns a cloud of the vertices from `start` on, at least one chunk's worth
+    async estimateWindows(numPoints, shDegree, loadWindow) {
+        if (numPoints === 0) {
+            return { vertexCount: 0, shDegree, verticesPerChunk: 0, chunks: 0, headerChunks: 0, parityChunks: 0, chunksPerTransaction: 1, transactions: 0, totalBytes: 0, ...this.fees(0) };
+        }
+
+        const samples = Math.min(this.samples, numPoints);
+        let packedVertices = 0;
+        let payloadBytes = 0;
+        let hint = 1;
+        for (let k = 0; k < samples; k++) {
+            const window = await loadWindow(Math.floor(k * numPoints / samples));
+            const chunk = await this.packer.fitChunk(window, 0, hint);
+            packedVertices += chunk.count;
+            payloadBytes += chunk.payloadSize;
+            hint = chunk.count;
+        }
+
+        const verticesPerChunk = packedVertices / samples;
+        const chunks = Math.ceil(numPoints / verticesPerChunk);
+        const headerChunks = this.headerPayloads.length;
+        const headerBytes = this.headerPayloads.reduce((sum, size) => sum + size, 0);
+        const parityChunks = parityChunkCount(chunks + headerChunks, this.parity);
+        const averagePayload = payloadBytes / samples;
+        // Parity payloads follow the largest data payload of their group, taken at the limit
+        const parityPayload = this.packer.targetSizeBytes + PARITY_OVERHEAD;
+        const chunksPerTransaction = this.packTransactions ? memosPerTransaction(averagePayload, this) : 1;
+        const parityPerTransaction = this.packTransactions ? memosPerTransaction(parityPayload, this) : 1;
+        // Header payloads are close to the limit, so they go with the parity payloads
+        const transactions = Math.ceil(chunks / chunksPerTransaction) + Math.ceil((headerChunks + parityChunks) / parityPerTransaction);
+        return {
+            vertexCount: numPoints,
+            shDegree,
+            verticesPerChunk,
+            chunks,
+            headerChunks,
+            parityChunks,
+            chunksPerTransaction,
+            transactions,
+            // Memo bytes on chain, from the average sampled payload size
+            totalBytes: Math.round(chunks * averagePayload + headerBytes + parityChunks * parityPayload),
+            ...this.fees(transactions)
+        };
+    }
+}
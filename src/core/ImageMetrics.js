@@ -0,0 +1,101 @@
+// Full-reference image metrics over images of RGB floats in [0, 1], as the
+// SplatRenderer returns them
+
+// SSIM as in Wang et al. 2004: an 11x11 Gaussian window with sigma 1.5,
+// evaluated wherever the window fits inside the image, averaged over channels
+const SSIM_WINDOW = 11;
+const SSIM_SIGMA = 1.5;
+const SSIM_C1 = 0.01 ** 2;
+const SSIM_C2 = 0.03 ** 2;
+
+function checkSameSize(a, b) {
+    if (a.width !== b.width || a.height !== b.height) {
+        throw new Error(`Image size mismatch: ${a.width}x${a.height} and ${b.width}x${b.height}`);
+    }
+}
+
+// Infinity for identical images
+export function imagePsnr(a, b) {
+    checkSameSize(a, b);
+    let sumSquared = 0;
+    for (let k = 0; k < a.data.length; k++) {
+        sumSquared += (a.data[k] - b.data[k]) ** 2;
+    }
+    return sumSquared > 0 ? 10 * Math.log10(a.data.length / sumSquared) : Infinity;
+}
+
+const gaussianWindow = () => {
+    const half = (SSIM_WINDOW - 1) / 2;
+    const weights = Array.from({ length: SSIM_WINDOW }, (_, i) => Math.exp(-((i - half) ** 2) / (2 * SSIM_SIGMA ** 2)));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return weights.map(w => w / total);
+};
+
+// Separable window filter of one plane, keeping only the positions where the window fits
+function filterValid(plane, width, height, weights) {
+    const outWidth = width - weights.length + 1;
+    const outHeight = height - weights.length + 1;
+    const rows = new Float64Array(outWidth * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            let sum = 0;
+            for (let k = 0; k < weights.length; k++) sum += weights[k] * plane[y * width + x + k];
+            rows[y * outWidth + x] = sum;
+        }
+    }
+    const filtered = new Float64Array(outWidth * outHeight);
+    for (let y = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            let sum = 0;
+            for (let k = 0; k < weights.length; k++) sum += weights[k] * rows[(y + k) * outWidth + x];
+            filtered[y * outWidth + x] = sum;
+        }
+    }
+    return filtered;
+}
+
+export function imageSsim(a, b) {
+    checkSameSize(a, b);
+    const { width, height } = a;
+    if (width < SSIM_WINDOW || height < SSIM_WINDOW) {
+        throw new Error(`SSIM needs images of at least ${SSIM_WINDOW}x${SSIM_WINDOW} pixels`);
+    }
+
+    const weights = gaussianWindow();
+    const pixels = width * height;
+    let total = 0;
+    let count = 0;
+    for (let c = 0; c < 3; c++) {
+        const x = new Float64Array(pixels);
+        const y = new Float64Array(pixels);
+        for (let p = 0; p < pixels; p++) {
+            x[p] = a.data[p * 3 + c];
+            y[p] = b.data[p * 3 + c];
+        }
+        const muX = filterValid(x, width, height, weights);
+        const muY = filterValid(y, width, height, weights);
+        const xx = filterValid(x.map(v => v * v), width, height, weights);
+        const yy = filterValid(y.map(v => v * v), width, height, weights);
+        const xy = filterValid(x.map((v, p) => v * y[p]), width, height, weights);
+
+        for (let p = 0; p < muX.length; p++) {
+            const varianceX = xx[p] - muX[p] ** 2;
+            const varianceY = yy[p] - muY[p] ** 2;
+            const covariance = xy[p] - muX[p] * muY[p];
+            total += ((2 * muX[p] * muY[p] + SSIM_C1) * (2 * covariance + SSIM_C2))
+                / ((muX[p] ** 2 + muY[p] ** 2 + SSIM_C1) * (varianceX + varianceY + SSIM_C2));
+            count++;
+        }
+    }
+    return total / count;
+}
+
+// Absolute per-channel difference, multiplied by `gain` so small errors show
+export function differenceImage(a, b, gain = 1) {
+    checkSameSize(a, b);
+    const data = new Float32Array(a.data.length);
+    for (let k = 0; k < data.length; k++) {
+        data[k] = Math.min(1, Math.abs(a.data[k] - b.data[k]) * gain);
+    }
+    return { width: a.width, height: a.height, data };
+}
@@ -0,0 +1,304 @@
+import { dimForDegree, SH_C0 } from 'spz-js';
+import { computeBounds, mergeBounds, boundsDiagonal } from './SplatOrdering.js';
+
+// Worst-case SPZ round-trip error per attribute, derived from the SPZ
+// quantization steps (source values are first clamped to the range SPZ can store):
+// - positions: 24-bit fixed point with 12 fractional bits -> half step 1/8192
+// - scales (log): 8 bits at 1/16 steps over [-10, 5.9375] -> half step 1/32
+// - rotations: xyz at 1/127.5 steps, w rebuilt as sqrt(1 - |xyz|^2), so a
+//   quaternion with w near 0 can move by up to ~13.4 degrees
+// - opacity (after sigmoid): 8 bits -> half step 0.5/255
+// - colors (f_dc): 8 bits at 1/(0.15 * 255) steps -> half step ~0.0131
+// - SH degree 1: 5 bits, higher degrees: 4 bits, both over [-1, 1)
+const ROTATION_XYZ_ERROR = Math.sqrt(3) * 0.5 / 127.5;
+const ROTATION_CHORD = Math.sqrt(2 * ROTATION_XYZ_ERROR ** 2 + 2 * ROTATION_XYZ_ERROR);
+
+export const SPZ_TOLERANCES = {
+    position: 0.5 / 4096 + 1e-6,
+    scale: 1 / 32 + 1e-6,
+    rotationDegrees: 4 * Math.asin(ROTATION_CHORD / 2) * 180 / Math.PI + 1e-6,
+    opacity: 0.5 / 255 + 1e-6,
+    color: 0.5 / (0.15 * 255) + 1e-6,
+    shDegree1: (0.5 + 4) / 128 + 1e-6,
+    shHigher: (0.5 + 8) / 128 + 1e-6
+};
+
+// Value ranges SPZ can store; source values are clamped to these before comparing
+export const SPZ_RANGES = {
+    position: [-2048, 2048],
+    scale: [-10, 5.9375],
+    color: [-1 / 0.3, 1 / 0.3],
+    sh: [-1, 127 / 128]
+};
+
+// .splat keeps float32 positions and linear scales, but 8-bit RGBA and rotations:
+// - colors: f_dc mapped to [0, 1] and stored at 1/255 steps -> half step 0.5 / (255 * SH_C0)
+// - opacity: 8 bits, clamped to [1, 254] / 255 so it stays invertible -> 1/255
+// - rotations: wxyz at 1/128 steps
+const SPLAT_ROTATION_CHORD = Math.sqrt(4) * 0.5 / 128;
+
+export const SPLAT_TOLERANCES = {
+    position: 1e-6,
+    scale: 1e-4,
+    rotationDegrees: 4 * Math.asin(SPLAT_ROTATION_CHORD / 2) * 180 / Math.PI + 1e-6,
+    opacity: 1 / 255 + 1e-6,
+    color: 0.5 / (255 * SH_C0) + 1e-6,
+    shDegree1: 0,
+    shHigher: 0
+};
+
+export const SPLAT_RANGES = {
+    position: [-Infinity, Infinity],
+    scale: [-Infinity, Infinity],
+    color: [-0.5 / SH_C0, 0.5 / SH_C0],
+    sh: [-Infinity, Infinity]
+};
+
+const clamp = (x, min, max) => Math.min(Math.max(x, min), max);
+const sigmoid = x => 1 / (1 + Math.exp(-x));
+
+function normalizedQuaternion(rotations, i) {
+    const q = Array.from(rotations.subarray(i * 4, i * 4 + 4));
+    const length = Math.hypot(...q) || 1;
+    return q.map(c => c / length);
+}
+
+// Angle between two xyzw quaternions, ignoring the q / -q ambiguity
+export function rotationAngleDegrees(a, b) {
+    const dot = Math.abs(a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3]);
+    return 2 * Math.acos(Math.min(1, dot)) * 180 / Math.PI;
+}
+
+// Compares a source GaussianCloud with its decoded SPZ counterpart (or, given
+// other tolerances and ranges, another lossy copy), returning the max error
+// per attribute and every out-of-tolerance value
+export function compareGaussians(source, decoded, tolerances = SPZ_TOLERANCES, ranges = SPZ_RANGES) {
+    if (source.numPoints !== decoded.numPoints) {
+        throw new Error(`Vertex count mismatch: source ${source.numPoints}, decoded ${decoded.numPoints}`);
+    }
+    if (source.shDegree !== decoded.shDegree) {
+        throw new Error(`SH degree mismatch: source ${source.shDegree}, decoded ${decoded.shDegree}`);
+    }
+
+    const maxErrors = { position: 0, scale: 0, rotationDegrees: 0, opacity: 0, color: 0, shDegree1: 0, shHigher: 0 };
+    const violations = [];
+    const check = (attribute, vertex, error) => {
+        maxErrors[attribute] = Math.max(maxErrors[attribute], error);
+        if (error > tolerances[attribute]) {
+            violations.push({ vertex, attribute, error });
+        }
+    };
+
+    const shPerPoint = dimForDegree(source.shDegree) * 3;
+    for (let i = 0; i < source.numPoints; i++) {
+        for (let k = i * 3; k < i * 3 + 3; k++) {
+            check('position', i, Math.abs(clamp(source.positions[k], ...ranges.position) - decoded.positions[k]));
+            check('scale', i, Math.abs(clamp(source.scales[k], ...ranges.scale) - decoded.scales[k]));
+            check('color', i, Math.abs(clamp(source.colors[k], ...ranges.color) - decoded.colors[k]));
+        }
+
+        check('rotationDegrees', i, rotationAngleDegrees(
+            normalizedQuaternion(source.rotations, i),
+            normalizedQuaternion(decoded.rotations, i)
+        ));
+        check('opacity', i, Math.abs(sigmoid(source.alphas[i]) - sigmoid(decoded.alphas[i])));
+
+        for (let j = 0; j < shPerPoint; j++) {
+            const k = i * shPerPoint + j;
+            check(j < 9 ? 'shDegree1' : 'shHigher', i, Math.abs(clamp(source.sh[k], ...ranges.sh) - decoded.sh[k]));
+        }
+    }
+
+    return { maxErrors, violations };
+}
+
+// Round-trip check of an exported scene against the PLY it was written from.
+// Compressed PLY is stored in Morton order, so only its vertex count, SH degree
+// and bounds (kept exactly by its per-chunk ranges) can be compared.
+export function compareExport(source, exported, outputFormat) {
+    if (outputFormat === 'compressed-ply') {
+        if (source.numPoints !== exported.numPoints || source.shDegree !== exported.shDegree) {
+            return { valid: false, error: `Exported ${exported.numPoints} vertices at SH degree ${exported.shDegree}, expected ${source.numPoints} at ${source.shDegree}` };
+        }
+        const expected = computeBounds(source.positions);
+        const actual = computeBounds(exported.positions);
+        const tolerance = boundsDiagonal(expected) * 1e-4 + 1e-6;
+        const error = Math.max(...[0, 1, 2].flatMap(axis => [
+            Math.abs(expected.min[axis] - actual.min[axis]),
+            Math.abs(expected.max[axis] - actual.max[axis])
+        ]));
+        return error > tolerance
+            ? { valid: false, error: `Exported bounds differ by ${error}` }
+            : { valid: true, maxErrors: { bounds: error } };
+    }
+
+    // .splat has no spherical harmonics, so only the degree 0 part is compared
+    const [expected, tolerances, ranges] = outputFormat === 'splat'
+        ? [{ ...source, shDegree: 0, sh: new Float32Array(0) }, SPLAT_TOLERANCES, SPLAT_RANGES]
+        : [source, SPZ_TOLERANCES, SPZ_RANGES];
+    try {
+        const { maxErrors, violations } = compareGaussians(expected, exported, tolerances, ranges);
+        return violations.length > 0
+            ? { valid: false, maxErrors, error: `${violations.length} values out of tolerance` }
+            : { valid: true, maxErrors };
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+}
+
+const SH_BANDS = ['degree1', 'degree2', 'degree3'];
+// SH band of the j-th value of a point's coefficient-major RGB triples
+const shBand = j => (j < 9 ? 0 : j < 24 ? 1 : 2);
+
+// Degree 0 color as shown, in [0, 1]
+const displayedColor = c => clamp(0.5 + SH_C0 * c, 0, 1);
+const psnr = (sumSquared, count) => (sumSquared > 0 ? 10 * Math.log10(count / sumSquared) : Infinity);
+
+// Accumulates reconstruction error over pairs of source and decoded chunks.
+// Errors are measured against the raw source values, so whatever clamping to
+// the codec's ranges loses counts as error; opacity and color PSNR are taken
+// on what a renderer shows (sigmoid opacity and degree 0 RGB in [0, 1]).
+// A splat is an outlier when any of its values, once clamped to `ranges`, is
+// off by more than `tolerances`, i.e. beyond what quantization explains.
+export class ReconstructionQuality {
+    constructor(tolerances = SPZ_TOLERANCES, ranges = SPZ_RANGES, options = {}) {
+        this.tolerances = tolerances;
+        this.ranges = ranges;
+        this.maxOutliers = options.maxOutliers === undefined ? 100 : options.maxOutliers;
+
+        this.splatCount = 0;
+        this.bounds = null;
+        this.position = { sumSquared: 0, max: 0 };
+        this.scale = { sumSquared: 0, max: 0, count: 0 };
+        this.rotation = { sum: 0, max: 0 };
+        this.opacity = { sumSquared: 0, max: 0 };
+        this.color = { sumSquared: 0, max: 0, count: 0 };
+        this.sh = SH_BANDS.map(() => ({ sumSquared: 0, max: 0, count: 0 }));
+        this.outlierCount = 0;
+        this.outliers = [];
+    }
+
+    // Worst ratio of clamped error to tolerance per splat attribute, and the
+    // attribute it came from
+    severity(errors) {
+        let worst = { attribute: null, error: 0, ratio: 0 };
+        Object.entries(errors).forEach(([attribute, error]) => {
+            const tolerance = this.tolerances[attribute];
+            const ratio = tolerance > 0 ? error / tolerance : (error > 0 ? Infinity : 0);
+            if (ratio > worst.ratio) worst = { attribute, error, ratio };
+        });
+        return worst;
+    }
+
+    // Adds one chunk; returns its outlier count and max errors per attribute
+    add(chunk, source, decoded) {
+        if (source.numPoints !== decoded.numPoints) {
+            throw new Error(`Vertex count mismatch: source ${source.numPoints}, decoded ${decoded.numPoints}`);
+        }
+        if (source.shDegree !== decoded.shDegree) {
+            throw new Error(`SH degree mismatch: source ${source.shDegree}, decoded ${decoded.shDegree}`);
+        }
+
+        const { ranges } = this;
+        this.bounds = mergeBounds(this.bounds, computeBounds(source.positions));
+
+        const maxErrors = { position: 0, scale: 0, rotationDegrees: 0, opacity: 0, color: 0, shDegree1: 0, shHigher: 0 };
+        let chunkOutliers = 0;
+        const shPerPoint = dimForDegree(source.shDegree) * 3;
+
+        for (let i = 0; i < source.numPoints; i++) {
+            // Clamped errors, for the outlier check
+            const errors = { position: 0, scale: 0, rotationDegrees: 0, opacity: 0, color: 0, shDegree1: 0, shHigher: 0 };
+
+            let distanceSquared = 0;
+            for (let k = i * 3; k < i * 3 + 3; k++) {
+                distanceSquared += (source.positions[k] - decoded.positions[k]) ** 2;
+                errors.position = Math.max(errors.position, Math.abs(clamp(source.positions[k], ...ranges.position) - decoded.positions[k]));
+
+                const scaleError = Math.abs(source.scales[k] - decoded.scales[k]);
+                this.scale.sumSquared += scaleError ** 2;
+                this.scale.max = Math.max(this.scale.max, scaleError);
+                errors.scale = Math.max(errors.scale, Math.abs(clamp(source.scales[k], ...ranges.scale) - decoded.scales[k]));
+
+                const colorError = Math.abs(displayedColor(source.colors[k]) - displayedColor(decoded.colors[k]));
+                this.color.sumSquared += colorError ** 2;
+                this.color.max = Math.max(this.color.max, colorError);
+                errors.color = Math.max(errors.color, Math.abs(clamp(source.colors[k], ...ranges.color) - decoded.colors[k]));
+            }
+            this.position.sumSquared += distanceSquared;
+            this.position.max = Math.max(this.position.max, Math.sqrt(distanceSquared));
+            this.scale.count += 3;
+            this.color.count += 3;
+
+            errors.rotationDegrees = rotationAngleDegrees(
+                normalizedQuaternion(source.rotations, i),
+                normalizedQuaternion(decoded.rotations, i)
+            );
+            this.rotation.sum += errors.rotationDegrees;
+            this.rotation.max = Math.max(this.rotation.max, errors.rotationDegrees);
+
+            errors.opacity = Math.abs(sigmoid(source.alphas[i]) - sigmoid(decoded.alphas[i]));
+            this.opacity.sumSquared += errors.opacity ** 2;
+            this.opacity.max = Math.max(this.opacity.max, errors.opacity);
+
+            for (let j = 0; j < shPerPoint; j++) {
+                const k = i * shPerPoint + j;
+                const band = this.sh[shBand(j)];
+                const shError = Math.abs(source.sh[k] - decoded.sh[k]);
+                band.sumSquared += shError ** 2;
+                band.max = Math.max(band.max, shError);
+                band.count++;
+
+                const attribute = j < 9 ? 'shDegree1' : 'shHigher';
+                errors[attribute] = Math.max(errors[attribute], Math.abs(clamp(source.sh[k], ...ranges.sh) - decoded.sh[k]));
+            }
+
+            Object.entries(errors).forEach(([attribute, error]) => {
+                maxErrors[attribute] = Math.max(maxErrors[attribute], error);
+            });
+            const worst = this.severity(errors);
+            if (worst.ratio > 1) {
+                chunkOutliers++;
+                this.outliers.push({ chunk, vertex: i, attribute: worst.attribute, error: worst.error, tolerance: this.tolerances[worst.attribute], ratio: worst.ratio });
+                // Only the worst ones are kept
+                if (this.outliers.length > 2 * this.maxOutliers) this.trimOutliers();
+            }
+        }
+
+        this.splatCount += source.numPoints;
+        this.outlierCount += chunkOutliers;
+        return { outliers: chunkOutliers, maxErrors };
+    }
+
+    trimOutliers() {
+        this.outliers.sort((a, b) => b.ratio - a.ratio);
+        this.outliers.length = Math.min(this.outliers.length, this.maxOutliers);
+    }
+
+    // Totals over every added chunk. PSNR is Infinity when nothing was lost.
+    summary() {
+        this.trimOutliers();
+        const n = this.splatCount || 1;
+        const rmse = ({ sumSquared, count }) => Math.sqrt(sumSquared / (count || 1));
+        const sceneExtent = this.bounds ? boundsDiagonal(this.bounds) : 0;
+        const positionRmse = Math.sqrt(this.position.sumSquared / n);
+
+        const sh = {};
+        this.sh.forEach((band, b) => {
+            if (band.count > 0) sh[SH_BANDS[b]] = { rmse: rmse(band), max: band.max };
+        });
+
+        return {
+            splatCount: this.splatCount,
+            sceneExtent,
+            position: { rmse: positionRmse, max: this.position.max, relativeRmse: sceneExtent > 0 ? positionRmse / sceneExtent : 0 },
+            scale: { rmse: rmse(this.scale), max: this.scale.max },
+            rotation: { meanDegrees: this.rotation.sum / n, maxDegrees: this.rotation.max },
+            opacity: { psnr: psnr(this.opacity.sumSquared, this.splatCount), rmse: Math.sqrt(this.opacity.sumSquared / n), max: this.opacity.max },
+            color: { psnr: psnr(this.color.sumSquared, this.color.count), rmse: rmse(this.color), max: this.color.max },
+            sh,
+            outlierCount: this.outlierCount,
+            outliers: this.outliers
+        };
+    }
+}
@@ -0,0 +1,264 @@
+import { readFileSync } from 'fs';
+import { ComputeBudgetProgram, Keypair, PACKET_DATA_SIZE, PublicKey, SIGNATURE_LENGTH_IN_BYTES, Transaction, TransactionInstruction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { sleep } from '../utils.js';
+import { CHUNK_STATES } from './UploadJournal.js';
+
+const COMMITMENT_ORDER = ['processed', 'confirmed', 'finalized'];
+const POLL_INTERVAL_MS = 500;
+const MAX_RETRIES = 5;
+const RETRY_DELAY_MS = 1000;
+// Compute units a transaction is charged priority fees on when it sets no limit
+export const DEFAULT_COMPUTE_UNIT_LIMIT = 200_000;
+
+// Largest serialized transaction a validator accepts
+export const MAX_TRANSACTION_BYTES = PACKET_DATA_SIZE;
+// Stands in for the blockhash when measuring; every blockhash has the same length
+const PLACEHOLDER_BLOCKHASH = PublicKey.default.toBase58();
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+
+export class BlockhashExpiredError extends Error {
+    constructor(signature) {
+        super(`Blockhash expired before transaction ${signature} was confirmed`);
+        this.name = 'BlockhashExpiredError';
+        this.signature = signature;
+    }
+}
+
+export function loadKeypair(keypairPath) {
+    const secretKey = JSON.parse(readFileSync(keypairPath, 'utf8'));
+    return Keypair.fromSecretKey(Uint8Array.from(secretKey));
+}
+
+// Entries signed into the same transaction, keyed by its signature
+function groupBySignature(entries) {
+    const groups = new Map();
+    entries.forEach(entry => groups.set(entry.signature, [...(groups.get(entry.signature) || []), entry]));
+    return Array.from(groups.values());
+}
+
+// How many memos of `payloadBytes` bytes fit in one transaction, next to the
+// compute budget instructions a priority fee adds
+export function memosPerTransaction(payloadBytes, fees = {}) {
+    const uploader = new MemoUploader(null, { publicKey: PublicKey.default }, {
+        memoProgramId: MEMO_PROGRAM_ID,
+        priorityFeeMicroLamports: fees.priorityFeeMicroLamports,
+        computeUnitLimit: fees.computeUnitLimit
+    });
+    const payload = 'A'.repeat(Math.ceil(payloadBytes));
+    let count = 1;
+    while (uploader.transactionSize(new Array(count + 1).fill(payload)) <= MAX_TRANSACTION_BYTES) {
+        count++;
+    }
+    return count;
+}
+
+export class MemoUploader {
+    constructor(connection, payer, options = {}) {
+        this.connection = connection;
+        this.payer = payer;
+        this.programId = new PublicKey(options.memoProgramId);
+        this.commitment = options.commitment || 'confirmed';
+        this.pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+        this.maxRetries = options.maxRetries ?? MAX_RETRIES;
+        this.retryDelayMs = options.retryDelayMs ?? RETRY_DELAY_MS;
+        // Micro-lamports per compute unit (0 means none), charged on computeUnitLimit units
+        this.priorityFeeMicroLamports = options.priorityFeeMicroLamports || 0;
+        this.computeUnitLimit = options.computeUnitLimit || DEFAULT_COMPUTE_UNIT_LIMIT;
+    }
+
+    createMemoInstruction(payload) {
+        return new TransactionInstruction({
+            programId: this.programId,
+            keys: [{ pubkey: this.payer.publicKey, isSigner: true, isWritable: true }],
+            data: Buffer.from(payload, 'utf8')
+        });
+    }
+
+    createMemoTransaction(payloads, { blockhash, lastValidBlockHeight }) {
+        const transaction = new Transaction({ feePayer: this.payer.publicKey, blockhash, lastValidBlockHeight });
+        if (this.priorityFeeMicroLamports > 0) {
+            transaction.add(
+                ComputeBudgetProgram.setComputeUnitLimit({ units: this.computeUnitLimit }),
+                ComputeBudgetProgram.setComputeUnitPrice({ microLamports: this.priorityFeeMicroLamports })
+            );
+        }
+        payloads.forEach(payload => transaction.add(this.createMemoInstruction(payload)));
+        return transaction;
+    }
+
+    // Serialized size of the signed transaction carrying `payloads` as memos.
+    // web3.js refuses to build messages far over the limit, which count as Infinity.
+    transactionSize(payloads) {
+        try {
+            const message = this.createMemoTransaction(payloads, {
+                blockhash: PLACEHOLDER_BLOCKHASH,
+                lastValidBlockHeight: 0
+            }).serializeMessage();
+            // One signature, behind its one-byte count
+            return 1 + SIGNATURE_LENGTH_IN_BYTES + message.length;
+        } catch {
+            return Infinity;
+        }
+    }
+
+    // Splits consecutive chunks into as few transactions as fit MAX_TRANSACTION_BYTES.
+    // A chunk too large even on its own still gets a transaction, which the RPC rejects.
+    packChunks(chunks) {
+        const batches = [];
+        let batch = [];
+        for (const chunk of chunks) {
+            if (batch.length > 0 && this.transactionSize([...batch, chunk].map(c => c.payload)) > MAX_TRANSACTION_BYTES) {
+                batches.push(batch);
+                batch = [];
+            }
+            batch.push(chunk);
+        }
+        if (batch.length > 0) {
+            batches.push(batch);
+        }
+        return batches;
+    }
+
+    isCommitted(status) {
+        return !!status && COMMITMENT_ORDER.indexOf(status.confirmationStatus) >= COMMITMENT_ORDER.indexOf(this.commitment);
+    }
+
+    async getStatus(signature) {
+        const { value: [status] } = await this.connection.getSignatureStatuses([signature], {
+            searchTransactionHistory: true
+        });
+        return status;
+    }
+
+    async isExpired(lastValidBlockHeight) {
+        const blockHeight = await this.connection.getBlockHeight(this.commitment);
+        return blockHeight > lastValidBlockHeight;
+    }
+
+    // Polls over plain HTTP instead of relying on websocket subscriptions,
+    // so the uploader also works against minimal or mock RPC servers
+    async waitForConfirmation(signature, lastValidBlockHeight) {
+        while (true) {
+            const status = await this.getStatus(signature);
+
+            if (status && status.err) {
+                throw new Error(`Transaction ${signature} failed: ${JSON.stringify(status.err)}`);
+            }
+            if (this.isCommitted(status)) {
+                return status;
+            }
+            if (await this.isExpired(lastValidBlockHeight)) {
+                throw new BlockhashExpiredError(signature);
+            }
+
+            await sleep(this.pollIntervalMs);
+        }
+    }
+
+    // The signature is known before anything is broadcast, so it can be
+    // journaled first and re-checked if the process dies mid-send
+    async signMemos(payloads) {
+        const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash(this.commitment);
+        const transaction = this.createMemoTransaction(payloads, { blockhash, lastValidBlockHeight });
+        transaction.sign(this.payer);
+
+        return {
+            signature: bs58.encode(transaction.signature),
+            rawTransaction: transaction.serialize().toString('base64'),
+            lastValidBlockHeight
+        };
+    }
+
+    async submit(rawTransaction) {
+        await this.connection.sendRawTransaction(Buffer.from(rawTransaction, 'base64'), {
+            preflightCommitment: this.commitment
+        });
+    }
+
+    // Settles a transaction signed by an earlier attempt or run, given the journal
+    // entries of the chunks it carries. Returns true when it is confirmed, false
+    // when it can no longer land and the chunks need a new one.
+    async settlePrevious(entries, journal) {
+        const [{ signature, rawTransaction, lastValidBlockHeight }] = entries;
+        const settle = fields => entries.forEach(entry => journal.update(entry.index, fields));
+        const status = await this.getStatus(signature);
+
+        if (status && status.err) {
+            settle({ state: CHUNK_STATES.FAILED, error: JSON.stringify(status.err) });
+            return false;
+        }
+        if (this.isCommitted(status)) {
+            settle({ state: CHUNK_STATES.CONFIRMED, rawTransaction: undefined, error: undefined });
+            return true;
+        }
+        if (await this.isExpired(lastValidBlockHeight)) {
+            return false;
+        }
+
+        // Still valid: rebroadcasting the same signed transaction cannot be charged twice
+        await this.submit(rawTransaction);
+        await this.waitForConfirmation(signature, lastValidBlockHeight);
+        settle({ state: CHUNK_STATES.CONFIRMED, rawTransaction: undefined, error: undefined });
+        return true;
+    }
+
+    async uploadChunk(chunk, journal) {
+        const [entry] = await this.uploadChunks([chunk], journal);
+        return entry;
+    }
+
+    // Sends the chunks as the memos of one transaction. Chunks confirmed by an earlier
+    // run are skipped, and chunks tied to an earlier transaction are settled against it
+    // first, so only the rest go into a new one. Each entry records its memo's position
+    // in the transaction as `memoIndex`.
+    async uploadChunks(chunks, journal) {
+        const isConfirmed = entry => entry.state === CHUNK_STATES.CONFIRMED;
+        const skipped = new Set(chunks.filter(chunk => isConfirmed(journal.get(chunk.index))).map(chunk => chunk.index));
+        const results = () => chunks.map(chunk => skipped.has(chunk.index)
+            ? { ...journal.get(chunk.index), skipped: true }
+            : journal.get(chunk.index));
+        const unconfirmed = () => chunks.map(chunk => journal.get(chunk.index)).filter(entry => !isConfirmed(entry));
+
+        for (let attempt = 0; attempt <= this.maxRetries && unconfirmed().length > 0; attempt++) {
+            try {
+                for (const entries of groupBySignature(unconfirmed().filter(entry => entry.signature))) {
+                    await this.settlePrevious(entries, journal);
+                }
+
+                const pending = unconfirmed();
+                if (pending.length === 0) {
+                    break;
+                }
+
+                const signed = await this.signMemos(pending.map(entry => chunks.find(chunk => chunk.index === entry.index).payload));
+                pending.forEach((entry, memoIndex) => journal.update(entry.index, {
+                    state: CHUNK_STATES.SENT,
+                    attempts: (entry.attempts || 0) + 1,
+                    memoIndex,
+                    ...signed
+                }));
+
+                await this.submit(signed.rawTransaction);
+                await this.waitForConfirmation(signed.signature, signed.lastValidBlockHeight);
+                pending.forEach(entry => journal.update(entry.index, {
+                    state: CHUNK_STATES.CONFIRMED,
+                    rawTransaction: undefined,
+                    error: undefined
+                }));
+            } catch (error) {
+                if (attempt === this.maxRetries) {
+                    unconfirmed().forEach(entry => journal.update(entry.index, { state: CHUNK_STATES.FAILED, error: error.message }));
+                    break;
+                }
+
+                // An expired blockhash only needs a fresh one, not a pause
+                if (!(error instanceof BlockhashExpiredError)) {
+                    await sleep(this.retryDelayMs * 2 ** attempt);
+                }
+            }
+        }
+
+        return results();
+    }
+}
@@ -0,0 +1,210 @@
+import { createHash } from 'crypto';
+
+// Reed-Solomon erasure code over GF(2^8) for groups of memo payloads. Each
+// parity payload is one row of a Cauchy matrix applied to the group's data
+// payloads, so any `parityCount` of the group's payloads can be lost and the
+// rest still rebuild every data payload.
+//
+// Binary parity payload (little endian):
+//   magic 'OCGP' (4) | version (1) | data count (1) | parity count (1) | parity index (1)
+//   first chunk index (4) | SHA-256 of the shard, truncated (4) | shard
+// Shards are the group's data payloads, each behind its 2-byte length and
+// zero-padded to the longest one.
+export const PARITY_MAGIC = Buffer.from('OCGP', 'ascii');
+export const PARITY_VERSION = 1;
+export const PARITY_HEADER_SIZE = 16;
+// Data and parity payloads of one group, limited by the field size
+export const MAX_PARITY_GROUP = 256;
+
+const LENGTH_BYTES = 2;
+const CHECKSUM_BYTES = 4;
+
+// Bytes a parity payload adds over the largest data payload of its group once
+// Base64 encoded; the denser payload encodings add fewer
+export const PARITY_OVERHEAD = Math.ceil((PARITY_HEADER_SIZE + LENGTH_BYTES) / 3) * 4;
+
+// GF(2^8) with the polynomial x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) {
+    EXP[i] = EXP[i - 255];
+}
+
+function mul(a, b) {
+    return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function inv(a) {
+    return EXP[255 - LOG[a]];
+}
+
+// Cauchy coefficient of parity row j for data payload i. Rows count down from
+// 255 and columns up from 0, so they never meet while a group fits MAX_PARITY_GROUP.
+function coefficient(j, i) {
+    return inv((255 - j) ^ i);
+}
+
+// dst ^= c * src, byte by byte
+function addScaled(dst, src, c) {
+    if (c === 0) return;
+    const logC = LOG[c];
+    for (let b = 0; b < src.length; b++) {
+        if (src[b] !== 0) dst[b] ^= EXP[logC + LOG[src[b]]];
+    }
+}
+
+// Inverts a square matrix (array of rows) by Gauss-Jordan elimination
+function invertMatrix(matrix) {
+    const n = matrix.length;
+    const rows = matrix.map((row, r) => [...row, ...Array.from({ length: n }, (_, c) => (c === r ? 1 : 0))]);
+
+    for (let col = 0; col < n; col++) {
+        const pivot = rows.findIndex((row, r) => r >= col && row[col] !== 0);
+        if (pivot === -1) {
+            throw new Error('Parity matrix is singular');
+        }
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+        const scale = inv(rows[col][col]);
+        rows[col] = rows[col].map(v => mul(v, scale));
+        for (let r = 0; r < n; r++) {
+            const factor = rows[r][col];
+            if (r !== col && factor !== 0) {
+                rows[r] = rows[r].map((v, c) => v ^ mul(factor, rows[col][c]));
+            }
+        }
+    }
+    return rows.map(row => row.slice(n));
+}
+
+function checksum(shard) {
+    return createHash('sha256').update(shard).digest().subarray(0, CHECKSUM_BYTES);
+}
+
+function toShard(payload, shardLength) {
+    const shard = Buffer.alloc(shardLength);
+    shard.writeUInt16LE(payload.length, 0);
+    Buffer.from(payload).copy(shard, LENGTH_BYTES);
+    return shard;
+}
+
+function fromShard(shard) {
+    const length = shard.readUInt16LE(0);
+    if (LENGTH_BYTES + length > shard.length) {
+        throw new Error(`Rebuilt payload length ${length} exceeds its ${shard.length}-byte shard`);
+    }
+    return shard.subarray(LENGTH_BYTES, LENGTH_BYTES + length);
+}
+
+// Payload size left for data payloads so their parity payloads still fit targetSizeBytes
+export function dataPayloadLimit(targetSizeBytes, parity) {
+    return parity && parity.enabled ? targetSizeBytes - PARITY_OVERHEAD : targetSizeBytes;
+}
+
+// Parity payloads added for `dataChunks` data payloads in groups of `groupSize`
+export function parityChunkCount(dataChunks, parity) {
+    return parity && parity.enabled ? Math.ceil(dataChunks / parity.groupSize) * parity.parityChunks : 0;
+}
+
+export class ParityCoder {
+    static isParity(data) {
+        return data.length > PARITY_HEADER_SIZE && PARITY_MAGIC.equals(data.subarray(0, PARITY_MAGIC.length));
+    }
+
+    // Parity payloads for the binary data payloads of one group, whose first
+    // payload is chunk `firstIndex`
+    static encode(dataPayloads, { firstIndex, parityCount }) {
+        const dataCount = dataPayloads.length;
+        if (dataCount === 0 || parityCount < 1 || dataCount + parityCount > MAX_PARITY_GROUP) {
+            throw new Error(`Invalid parity group: ${dataCount} data and ${parityCount} parity payloads (at most ${MAX_PARITY_GROUP} in total)`);
+        }
+
+        const shardLength = LENGTH_BYTES + Math.max(...dataPayloads.map(payload => payload.length));
+        const shards = dataPayloads.map(payload => toShard(payload, shardLength));
+
+        return Array.from({ length: parityCount }, (_, j) => {
+            const shard = Buffer.alloc(shardLength);
+            shards.forEach((data, i) => addScaled(shard, data, coefficient(j, i)));
+
+            const header = Buffer.alloc(PARITY_HEADER_SIZE);
+            PARITY_MAGIC.copy(header, 0);
+            header.writeUInt8(PARITY_VERSION, 4);
+            header.writeUInt8(dataCount, 5);
+            header.writeUInt8(parityCount, 6);
+            header.writeUInt8(j, 7);
+            header.writeUInt32LE(firstIndex, 8);
+            checksum(shard).copy(header, 12);
+            return Buffer.concat([header, shard]);
+        });
+    }
+
+    static parse(data) {
+        const buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        if (!ParityCoder.isParity(buffer)) {
+            throw new Error('Not a parity payload');
+        }
+
+        const version = buffer.readUInt8(4);
+        if (version > PARITY_VERSION) {
+            throw new Error(`Unsupported parity payload version ${version}`);
+        }
+
+        const shard = buffer.subarray(PARITY_HEADER_SIZE);
+        if (!checksum(shard).equals(buffer.subarray(12, PARITY_HEADER_SIZE))) {
+            throw new Error('Parity checksum mismatch');
+        }
+
+        return {
+            version,
+            dataCount: buffer.readUInt8(5),
+            parityCount: buffer.readUInt8(6),
+            parityIndex: buffer.readUInt8(7),
+            firstIndex: buffer.readUInt32LE(8),
+            shard
+        };
+    }
+
+    // Rebuilds the missing (null) entries of a group's binary data payloads
+    // from its parsed parity payloads. Needs at least as many parity payloads
+    // as there are missing data payloads.
+    static recover(dataPayloads, parities) {
+        const missing = dataPayloads.flatMap((payload, i) => (payload ? [] : [i]));
+        if (missing.length === 0) {
+            return dataPayloads;
+        }
+        if (missing.length > parities.length) {
+            throw new Error(`${missing.length} payloads missing, but only ${parities.length} parity payloads available`);
+        }
+
+        const used = parities.slice(0, missing.length);
+        const shardLength = used[0].shard.length;
+        if (used.some(parity => parity.shard.length !== shardLength)) {
+            throw new Error('Parity payloads of one group differ in length');
+        }
+
+        // Each parity shard minus the contribution of the data payloads still
+        // present leaves a linear combination of the missing ones
+        const remainders = used.map(parity => {
+            const remainder = Buffer.from(parity.shard);
+            dataPayloads.forEach((payload, i) => {
+                if (payload) addScaled(remainder, toShard(payload, shardLength), coefficient(parity.parityIndex, i));
+            });
+            return remainder;
+        });
+
+        const inverse = invertMatrix(used.map(parity => missing.map(i => coefficient(parity.parityIndex, i))));
+        const rebuilt = [...dataPayloads];
+        missing.forEach((i, m) => {
+            const shard = Buffer.alloc(shardLength);
+            remainders.forEach((remainder, r) => addScaled(shard, remainder, inverse[m][r]));
+            rebuilt[i] = fromShard(shard);
+        });
+        return rebuilt;
+    }
+}
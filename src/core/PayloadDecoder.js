@@ -0,0 +1,365 @@
+import { readdirSync, readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import cliProgress from 'cli-progress';
+import colors from 'ansi-colors';
+import { formatConsoleOutput } from '../utils.js';
+import { WorkerPool, CONCURRENCY_LIMIT } from './WorkerPool.js';
+import { ParityCoder } from './ParityCoder.js';
+import { CodebookCodec } from './CodebookCodec.js';
+import { decodePayloadText } from './PayloadEncoding.js';
+
+const format = formatConsoleOutput();
+
+function ensureDirectoryExists(directory) {
+    if (!existsSync(directory)) {
+        mkdirSync(directory, { recursive: true });
+    }
+}
+
+const chunkIndex = fileName => parseInt(fileName.match(/\d+/)[0]);
+
+// Text that does not decode reads as an empty payload; decodeFile reports it
+const readPayload = (inputDir, file) => {
+    try {
+        return decodePayloadText(readFileSync(path.join(inputDir, file), 'utf8'));
+    } catch {
+        return Buffer.alloc(0);
+    }
+};
+
+export class PayloadDecoder {
+    constructor(outputDirs, options = {}) {
+        this.outputDirs = outputDirs;
+        this.concurrency = options.concurrency || CONCURRENCY_LIMIT;
+        // Serialized codebook (Base64) that codebook records are decoded against
+        this.codebook = null;
+    }
+
+    // `fileIndex` is the payload's position in the input listing: when several
+    // payloads carry the same envelope index, the last one in the listing is kept
+    // however the workers finish. A `payload` is decoded in place of the file.
+    async decodeFile(pool, inputFilePath, fileIndex, writtenBy, progressBar, payload = null) {
+        try {
+            let fileNameWithoutExt = path.basename(inputFilePath, path.extname(inputFilePath));
+
+            // Payload text -> SPZ -> PLY on a worker
+            const { spzData, plyData, envelope } = await pool.run('decode', {
+                ...(payload ? { payload } : { inputPath: inputFilePath }),
+                codebook: this.codebook
+            });
+
+            // An enveloped chunk is placed by its own index rather than its filename
+            if (envelope) {
+                fileNameWithoutExt = `chunk_${envelope.index.toString().padStart(6, '0')}`;
+            }
+
+            const previous = writtenBy.get(fileNameWithoutExt);
+            if (previous === undefined || previous < fileIndex) {
+                writtenBy.set(fileNameWithoutExt, fileIndex);
+                writeFileSync(path.join(this.outputDirs.spz, `${fileNameWithoutExt}.spz`), spzData);
+                writeFileSync(path.join(this.outputDirs.ply, `${fileNameWithoutExt}.ply`), plyData);
+            }
+
+            if (progressBar) progressBar.increment();
+            return {
+                success: true,
+                fileName: fileNameWithoutExt,
+                spzSize: spzData.length,
+                plySize: plyData.length,
+                envelope
+            };
+        } catch (error) {
+            console.log(`\n${colors.red('✗')} Error processing ${path.basename(inputFilePath)}: ${error.message}`);
+            if (progressBar) progressBar.increment();
+            return {
+                success: false,
+                fileName: path.basename(inputFilePath),
+                error: error.message
+            };
+        }
+    }
+
+    async decodeDirectory(inputDir) {
+        console.log(format.divider);
+        console.log(format.title('Base64 -> SPZ -> PLY Conversion Process'));
+        console.log(format.divider);
+
+        Object.values(this.outputDirs).forEach(ensureDirectoryExists);
+
+        const files = readdirSync(inputDir)
+            .filter(file => path.extname(file).toLowerCase() === '.txt')
+            .sort((a, b) => {
+                const numA = parseInt(a.match(/\d+/)[0]);
+                const numB = parseInt(b.match(/\d+/)[0]);
+                return numA - numB;
+            });
+
+        if (files.length === 0) {
+            console.log(format.warning('No Base64 files found in input directory'));
+            return [];
+        }
+
+        // Parity payloads only rebuild data payloads, and codebook header payloads
+        // are read before any chunk; neither is a chunk itself
+        const parityFiles = files.filter(file => ParityCoder.isParity(readPayload(inputDir, file)));
+        const headerFiles = files.filter(file => CodebookCodec.isHeaderPiece(readPayload(inputDir, file)));
+        const dataFiles = files.filter(file => !parityFiles.includes(file) && !headerFiles.includes(file));
+        const codebook = headerFiles.length > 0 ? this.loadCodebook(inputDir, files, headerFiles, parityFiles) : null;
+        this.codebook = codebook && codebook.codec ? codebook.codec.serialized.toString('base64') : null;
+
+        console.log(format.subtitle('Process Configuration'));
+        console.log(format.info('Total Files', files.length.toLocaleString()));
+        if (parityFiles.length > 0) {
+            console.log(format.info('Parity Payloads', parityFiles.length.toLocaleString()));
+        }
+        if (codebook) {
+            console.log(format.info('Codebook Payloads', headerFiles.length.toLocaleString()));
+            console.log(format.info('Chunk Codec', codebook.codec ? `codebook (${codebook.codec.id})` : 'codebook (not loaded)'));
+        }
+        console.log(format.info('Input Directory', inputDir));
+        console.log(format.info('SPZ Output', this.outputDirs.spz));
+        console.log(format.info('PLY Output', this.outputDirs.ply));
+        console.log(format.info('Worker Threads', this.concurrency.toLocaleString()));
+        console.log(format.sectionDivider);
+
+        if (codebook) {
+            this.reportCodebook(codebook);
+        }
+
+        console.log(format.subtitle('Starting Conversion'));
+        const progressBar = new cliProgress.SingleBar({
+            format: `Converting |${colors.cyan('{bar}')}| {percentage}% || {value}/{total} Files`,
+            barCompleteChar: '=',
+            barIncompleteChar: '-',
+            hideCursor: true
+        }, cliProgress.Presets.shades_classic);
+
+        progressBar.start(dataFiles.length, 0);
+
+        // Files finish in any order; results keep the file order
+        const pool = new WorkerPool(this.concurrency);
+        const writtenBy = new Map();
+        let results;
+        let recovery = null;
+        try {
+            results = await Promise.all(dataFiles.map((file, i) => this.decodeFile(pool, path.join(inputDir, file), i, writtenBy, progressBar)));
+            progressBar.stop();
+
+            if (parityFiles.length > 0) {
+                recovery = await this.recoverFromParity(pool, inputDir, dataFiles, parityFiles, results, writtenBy,
+                    codebook ? codebook.headers : new Map());
+                results.push(...recovery.recovered);
+            }
+        } finally {
+            await pool.close();
+        }
+
+        const successful = results.filter(r => r.success && !r.recovered).length;
+        const failed = results.filter(r => !r.success && !r.recovered).length;
+        const notRebuilt = recovery ? recovery.unrecoverable.reduce((sum, u) => sum + u.missing.length, 0) : 0;
+
+        console.log(format.subtitle('Conversion Results'));
+        console.log(format.info('Total Processed', dataFiles.length.toLocaleString()));
+        console.log(format.info('Successful', successful.toLocaleString()));
+        console.log(format.info('Failed', failed.toLocaleString()));
+
+        if (failed > 0) {
+            console.log(format.subtitle('Failed Conversions:'));
+            results.filter(r => !r.success && !r.recovered).forEach(result => {
+                console.log(format.error(`  ${result.fileName}: ${result.error}`));
+            });
+        }
+
+        if (recovery) {
+            this.reportRecovery(recovery);
+        }
+        this.reportEnvelopes(results);
+
+        if (failed === 0 && notRebuilt === 0) {
+            console.log(format.success('\nAll files converted successfully!'));
+        } else {
+            console.log(format.warning(`\nCompleted with ${failed} failures${notRebuilt > 0 ? ` and ${notRebuilt} chunks not rebuilt` : ''}`));
+        }
+
+        console.log(format.divider);
+        return results;
+    }
+
+    // Codebook header payloads by chunk index, and the codec they make up. When
+    // they do not (a header payload is missing or damaged), every header payload
+    // is rebuilt from parity, taking the other payloads of its group as they are;
+    // the codebook checksum tells whether that worked.
+    loadCodebook(inputDir, files, headerFiles, parityFiles) {
+        const headers = new Map(headerFiles.map(file => [chunkIndex(file), readPayload(inputDir, file)]));
+        try {
+            return { codec: CodebookCodec.fromHeaderPieces([...headers.values()]), headers, rebuilt: [] };
+        } catch (error) {
+            if (parityFiles.length === 0) {
+                return { codec: null, headers, rebuilt: [], error: error.message };
+            }
+
+            const payloads = new Map(files.filter(file => !parityFiles.includes(file) && !headers.has(chunkIndex(file)))
+                .map(file => [chunkIndex(file), readPayload(inputDir, file)]));
+            const { groups } = this.parityGroups(inputDir, parityFiles);
+            const candidates = new Map();
+            for (const { firstIndex, dataCount, parities } of groups.values()) {
+                const data = Array.from({ length: dataCount }, (_, i) => payloads.get(firstIndex + i) || null);
+                try {
+                    ParityCoder.recover(data, parities).forEach((payload, i) => {
+                        if (!data[i] && CodebookCodec.isHeaderPiece(payload)) candidates.set(firstIndex + i, payload);
+                    });
+                } catch {
+                    // Groups that cannot be rebuilt keep their header payloads as read
+                    data.forEach((payload, i) => {
+                        if (!payload && headers.has(firstIndex + i)) candidates.set(firstIndex + i, headers.get(firstIndex + i));
+                    });
+                }
+            }
+
+            try {
+                const codec = CodebookCodec.fromHeaderPieces([...candidates.values()]);
+                const rebuilt = [...candidates.keys()].filter(index => !headers.has(index) || !headers.get(index).equals(candidates.get(index)));
+                return { codec, headers: candidates, rebuilt };
+            } catch {
+                return { codec: null, headers, rebuilt: [], error: error.message };
+            }
+        }
+    }
+
+    reportCodebook({ codec, headers, rebuilt, error }) {
+        console.log(format.subtitle('Codebook'));
+        console.log(format.info('Header Payloads', [...headers.keys()].sort((a, b) => a - b).join(', ')));
+        if (rebuilt.length > 0) {
+            console.log(format.success(`Rebuilt from parity: ${rebuilt.join(', ')}`));
+        }
+        if (codec) {
+            console.log(format.info('Codebook', codec.id));
+            console.log(format.info('Bits per Splat', codec.bitsPerSplat.toLocaleString()));
+        } else {
+            console.log(format.error(`Codebook not loaded, its records cannot be decoded: ${error}`));
+        }
+        console.log(format.sectionDivider);
+    }
+
+    // Parsed parity payloads, grouped by the data payloads they cover
+    parityGroups(inputDir, parityFiles) {
+        const groups = new Map();
+        const invalidParity = [];
+        parityFiles.forEach(file => {
+            try {
+                const parity = ParityCoder.parse(readPayload(inputDir, file));
+                const key = `${parity.firstIndex}:${parity.dataCount}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { firstIndex: parity.firstIndex, dataCount: parity.dataCount, parities: [] });
+                }
+                const group = groups.get(key);
+                if (!group.parities.some(p => p.parityIndex === parity.parityIndex)) {
+                    group.parities.push(parity);
+                }
+            } catch (error) {
+                invalidParity.push({ fileName: file, error: error.message });
+            }
+        });
+        return { groups, invalidParity };
+    }
+
+    // Rebuilds the data payloads that are missing or failed to decode from the
+    // parity payloads of their group, then decodes them like the others.
+    // Failed results that get rebuilt are marked `recovered`. Codebook
+    // `headers` count as present payloads.
+    async recoverFromParity(pool, inputDir, dataFiles, parityFiles, results, writtenBy, headers = new Map()) {
+        const { groups, invalidParity } = this.parityGroups(inputDir, parityFiles);
+
+        // Data payloads that decoded, by chunk index
+        const decoded = new Map();
+        results.forEach((result, i) => {
+            if (result.success) decoded.set(chunkIndex(result.fileName), readPayload(inputDir, dataFiles[i]));
+        });
+        headers.forEach((payload, index) => decoded.set(index, payload));
+
+        const recovered = [];
+        const unrecoverable = [];
+        for (const { firstIndex, dataCount, parities } of groups.values()) {
+            const data = Array.from({ length: dataCount }, (_, i) => decoded.get(firstIndex + i) || null);
+            const missing = data.flatMap((payload, i) => (payload ? [] : [firstIndex + i]));
+            if (missing.length === 0) {
+                continue;
+            }
+
+            let rebuilt;
+            try {
+                rebuilt = ParityCoder.recover(data, parities);
+            } catch (error) {
+                unrecoverable.push({ firstIndex, missing, error: error.message });
+                continue;
+            }
+
+            for (const index of missing) {
+                const fileName = `chunk_${index.toString().padStart(6, '0')}.txt`;
+                // Listed after every real payload, so it never replaces one
+                const result = await this.decodeFile(pool, path.join(inputDir, fileName), dataFiles.length + index, writtenBy, null,
+                    rebuilt[index - firstIndex].toString('base64'));
+                if (result.success) {
+                    recovered.push({ ...result, recovered: true });
+                } else {
+                    unrecoverable.push({ firstIndex, missing: [index], error: result.error });
+                }
+            }
+        }
+
+        const recoveredIndices = new Set(recovered.map(r => chunkIndex(r.fileName)));
+        results.forEach(result => {
+            if (!result.success && recoveredIndices.has(chunkIndex(result.fileName))) {
+                result.recovered = true;
+            }
+        });
+
+        return { groups: groups.size, recovered, unrecoverable, invalidParity };
+    }
+
+    reportRecovery({ groups, recovered, unrecoverable, invalidParity }) {
+        console.log(format.subtitle('Parity Recovery'));
+        console.log(format.info('Parity Groups', groups.toLocaleString()));
+        console.log(format.info('Recovered', recovered.length.toLocaleString()));
+
+        if (recovered.length > 0) {
+            console.log(format.success(`Rebuilt from parity: ${recovered.map(r => chunkIndex(r.fileName)).join(', ')}`));
+        }
+        unrecoverable.forEach(({ firstIndex, missing, error }) => {
+            console.log(format.error(`  Group at chunk ${firstIndex}: chunks ${missing.join(', ')} not rebuilt: ${error}`));
+        });
+        invalidParity.forEach(({ fileName, error }) => {
+            console.log(format.warning(`Parity payload ${fileName} ignored: ${error}`));
+        });
+    }
+
+    // Checks that enveloped chunks belong to one scene and cover every index
+    reportEnvelopes(results) {
+        const envelopes = results.filter(r => r.success && r.envelope).map(r => r.envelope);
+        if (envelopes.length === 0) {
+            return;
+        }
+
+        const sceneIds = new Set(envelopes.map(e => e.sceneId));
+        const total = Math.max(...envelopes.map(e => e.total));
+        const seen = new Map();
+        envelopes.forEach(e => seen.set(e.index, (seen.get(e.index) || 0) + 1));
+        const missing = Array.from({ length: total }, (_, i) => i).filter(i => !seen.has(i));
+        const duplicates = Array.from(seen.entries()).filter(([, count]) => count > 1).map(([index]) => index);
+
+        console.log(format.subtitle('Chunk Envelopes'));
+        console.log(format.info('Enveloped Chunks', envelopes.length.toLocaleString()));
+        console.log(format.info('Scene ID', Array.from(sceneIds).join(', ')));
+        console.log(format.info('Expected Chunks', total.toLocaleString()));
+
+        if (sceneIds.size > 1) {
+            console.log(format.warning(`Chunks from ${sceneIds.size} different scenes were decoded together`));
+        }
+        if (missing.length > 0) {
+            console.log(format.warning(`Missing chunk indices: ${missing.join(', ')}`));
+        }
+        if (duplicates.length > 0) {
+            console.log(format.warning(`Duplicate chunk indices (last one kept): ${duplicates.join(', ')}`));
+        }
+    }
+}
@@ -0,0 +1,205 @@
+// Binary-to-text encodings for memo payloads. The memo program takes any valid
+// UTF-8, so denser encodings than Base64 fit more splats in a memo:
+//   'base64'  4 characters per 3 bytes (33% overhead), no prefix
+//   'base85'  5 characters per 4 bytes (25%), Z85 alphabet, prefix '~'
+//   'base122' 7 bits per UTF-8 byte (14%), prefix '^'
+// Base64 payloads carry no prefix, so everything encoded before prefixes
+// existed still decodes; the prefixes are not Base64 characters.
+export const PAYLOAD_ENCODINGS = ['base64', 'base85', 'base122'];
+
+const PREFIXES = { base85: '~', base122: '^' };
+
+// Text bytes per payload byte, for sizing chunks before they are encoded
+export const ENCODING_OVERHEAD = { base64: 4 / 3, base85: 5 / 4, base122: 8 / 7 };
+
+const Z85 = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ.-:+=^!/*?&<>()[]{}@%$#';
+const Z85_VALUES = new Map(Array.from(Z85, (char, i) => [char, i]));
+
+// 7-bit values base122 never writes as single bytes: NUL, newline, carriage
+// return, double quote, ampersand and backslash
+const ILLEGAL = [0, 10, 13, 34, 38, 92];
+// Marks a two-byte character holding only an illegal value, at the very end
+const LAST_ILLEGAL = 7;
+
+function encodeBase85(data) {
+    let text = '';
+    for (let i = 0; i < data.length; i += 4) {
+        const block = Buffer.alloc(4);
+        data.copy(block, 0, i, i + 4);
+        let value = block.readUInt32BE(0);
+        const chars = new Array(5);
+        for (let c = 4; c >= 0; c--) {
+            chars[c] = Z85[value % 85];
+            value = Math.floor(value / 85);
+        }
+        // A final block of n bytes only needs its first n + 1 characters
+        text += chars.slice(0, Math.min(4, data.length - i) + 1).join('');
+    }
+    return text;
+}
+
+function decodeBase85(text) {
+    if (text.length % 5 === 1) {
+        throw new Error('Invalid base85 payload: truncated block');
+    }
+
+    const data = Buffer.alloc(Math.floor(text.length / 5) * 4 + Math.max(0, (text.length % 5) - 1));
+    for (let i = 0; i < text.length; i += 5) {
+        const chars = text.slice(i, i + 5).padEnd(5, Z85[84]);
+        let value = 0;
+        for (const char of chars) {
+            const digit = Z85_VALUES.get(char);
+            if (digit === undefined) {
+                throw new Error(`Invalid base85 payload: unexpected character ${JSON.stringify(char)}`);
+            }
+            value = value * 85 + digit;
+        }
+        if (value > 0xffffffff) {
+            throw new Error('Invalid base85 payload: block out of range');
+        }
+
+        const block = Buffer.alloc(4);
+        block.writeUInt32BE(value, 0);
+        block.copy(data, (i / 5) * 4, 0, Math.min(4, data.length - (i / 5) * 4));
+    }
+    return data;
+}
+
+// The data as 7-bit groups, most significant bit first, the last one zero-padded
+function sevenBitGroups(data) {
+    const groups = new Uint8Array(Math.ceil(data.length * 8 / 7));
+    let buffer = 0;
+    let bits = 0;
+    let g = 0;
+    for (const byte of data) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 7) {
+            bits -= 7;
+            groups[g++] = (buffer >> bits) & 0x7f;
+        }
+        buffer &= (1 << bits) - 1;
+    }
+    if (bits > 0) {
+        groups[g] = (buffer << (7 - bits)) & 0x7f;
+    }
+    return groups;
+}
+
+// Every 7-bit group becomes one byte, except the illegal values: those are
+// written as a two-byte character (110xxxxx 10xxxxxx) whose 11 bits hold the
+// illegal value's index plus one and the next group, or LAST_ILLEGAL and the
+// index when no group follows. Either way the character is at least U+0080,
+// so it is valid, never overlong UTF-8.
+function encodeBase122(data) {
+    const groups = sevenBitGroups(data);
+    const bytes = [];
+    for (let g = 0; g < groups.length; g++) {
+        const illegal = ILLEGAL.indexOf(groups[g]);
+        if (illegal === -1) {
+            bytes.push(groups[g]);
+            continue;
+        }
+        const codePoint = g + 1 < groups.length
+            ? ((illegal + 1) << 7) | groups[++g]
+            : (LAST_ILLEGAL << 7) | illegal;
+        bytes.push(0xc0 | (codePoint >> 6), 0x80 | (codePoint & 0x3f));
+    }
+    return Buffer.from(bytes).toString('utf8');
+}
+
+function decodeBase122(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    const groups = [];
+    for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i];
+        if (byte < 0x80) {
+            if (ILLEGAL.includes(byte)) {
+                throw new Error(`Invalid base122 payload: unexpected byte ${byte} at ${i}`);
+            }
+            groups.push(byte);
+            continue;
+        }
+        if ((byte & 0xe0) !== 0xc0 || i + 1 >= bytes.length || (bytes[i + 1] & 0xc0) !== 0x80) {
+            throw new Error(`Invalid base122 payload: unexpected byte ${byte} at ${i}`);
+        }
+
+        const codePoint = ((byte & 0x1f) << 6) | (bytes[++i] & 0x3f);
+        const tag = codePoint >> 7;
+        const value = codePoint & 0x7f;
+        if (tag === LAST_ILLEGAL && value < ILLEGAL.length && i === bytes.length - 1) {
+            groups.push(ILLEGAL[value]);
+        } else if (tag >= 1 && tag <= ILLEGAL.length) {
+            groups.push(ILLEGAL[tag - 1], value);
+        } else {
+            throw new Error(`Invalid base122 payload: unexpected character U+${codePoint.toString(16).padStart(4, '0')}`);
+        }
+    }
+
+    // The padding of the last group is always shorter than a byte
+    const data = Buffer.alloc(Math.floor(groups.length * 7 / 8));
+    let buffer = 0;
+    let bits = 0;
+    let d = 0;
+    for (const group of groups) {
+        buffer = (buffer << 7) | group;
+        bits += 7;
+        if (bits >= 8) {
+            bits -= 8;
+            if (d < data.length) data[d++] = (buffer >> bits) & 0xff;
+        }
+        buffer &= (1 << bits) - 1;
+    }
+    return data;
+}
+
+export function encodePayloadText(data, encoding = 'base64') {
+    const buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    switch (encoding) {
+        case 'base64':
+            return buffer.toString('base64');
+        case 'base85':
+            return PREFIXES.base85 + encodeBase85(buffer);
+        case 'base122':
+            return PREFIXES.base122 + encodeBase122(buffer);
+        default:
+            throw new Error(`Invalid payload encoding: Must be one of ${PAYLOAD_ENCODINGS.map(e => `"${e}"`).join(', ')}`);
+    }
+}
+
+// The encoding of a payload, from its prefix
+export function payloadTextEncoding(text) {
+    return Object.keys(PREFIXES).find(encoding => text.startsWith(PREFIXES[encoding])) || 'base64';
+}
+
+export function decodePayloadText(text) {
+    const encoding = payloadTextEncoding(text);
+    if (encoding === 'base85') {
+        return decodeBase85(text.slice(PREFIXES.base85.length));
+    }
+    if (encoding === 'base122') {
+        return decodeBase122(text.slice(PREFIXES.base122.length));
+    }
+    return Buffer.from(text, 'base64');
+}
+
+// Largest UTF-8 size the payload text of `byteCount` bytes can have
+export function encodedSize(byteCount, encoding = 'base64') {
+    switch (encoding) {
+        case 'base85':
+            return PREFIXES.base85.length + Math.floor(byteCount / 4) * 5 + (byteCount % 4 > 0 ? (byteCount % 4) + 1 : 0);
+        case 'base122':
+            // An illegal value in the last group takes two bytes on its own
+            return PREFIXES.base122.length + Math.ceil(byteCount * 8 / 7) + (byteCount > 0 ? 1 : 0);
+        default:
+            return Math.ceil(byteCount / 3) * 4;
+    }
+}
+
+// Most payload bytes whose text always fits `textBytes`
+export function payloadCapacity(textBytes, encoding = 'base64') {
+    let byteCount = Math.max(0, Math.floor(textBytes / ENCODING_OVERHEAD[encoding]));
+    while (byteCount > 0 && encodedSize(byteCount, encoding) > textBytes) byteCount--;
+    while (encodedSize(byteCount + 1, encoding) <= textBytes) byteCount++;
+    return byteCount;
+}
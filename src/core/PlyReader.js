@@ -0,0 +1,448 @@
+import { promises as fs } from 'fs';
+
+// Vertices read per batch when streaming a whole file
+const BATCH_VERTICES = 16384;
+
+// Header bytes are read in blocks until end_header shows up
+const HEADER_BLOCK_BYTES = 64 * 1024;
+const MAX_HEADER_BYTES = 16 * 1024 * 1024;
+
+export const PLY_FORMATS = ['ascii', 'binary_little_endian', 'binary_big_endian'];
+
+// Every PLY scalar type under both its old and its sized name,
+// with the Buffer read method suffix
+const SCALAR_TYPES = {
+    char: { size: 1, method: 'Int8' },
+    uchar: { size: 1, method: 'UInt8' },
+    short: { size: 2, method: 'Int16' },
+    ushort: { size: 2, method: 'UInt16' },
+    int: { size: 4, method: 'Int32' },
+    uint: { size: 4, method: 'UInt32' },
+    float: { size: 4, method: 'Float' },
+    double: { size: 8, method: 'Double' }
+};
+Object.assign(SCALAR_TYPES, {
+    int8: SCALAR_TYPES.char,
+    uint8: SCALAR_TYPES.uchar,
+    int16: SCALAR_TYPES.short,
+    uint16: SCALAR_TYPES.ushort,
+    int32: SCALAR_TYPES.int,
+    uint32: SCALAR_TYPES.uint,
+    float32: SCALAR_TYPES.float,
+    float64: SCALAR_TYPES.double
+});
+
+function scalarType(type) {
+    const scalar = SCALAR_TYPES[type];
+    if (!scalar) {
+        throw new Error(`Unknown PLY property type "${type}"`);
+    }
+    return scalar;
+}
+
+export function typeSize(type) {
+    return scalarType(type).size;
+}
+
+function isFloat32(type) {
+    return type === 'float' || type === 'float32';
+}
+
+export function propertyReader(type, littleEndian = true) {
+    const { size, method: suffix } = scalarType(type);
+    const method = size === 1 ? `read${suffix}` : `read${suffix}${littleEndian ? 'LE' : 'BE'}`;
+    return (buf, offset) => buf[method](offset);
+}
+
+// Returns the index just past the end_header line (LF or CRLF), or -1
+export function findHeaderEnd(data) {
+    const marker = data.indexOf('end_header');
+    if (marker === -1) return -1;
+    const newline = data.indexOf('\n', marker);
+    return newline === -1 ? -1 : newline + 1;
+}
+
+// Parses a PLY header into its format, comments and elements. Properties are
+// { name, type } or, for lists, { name, list: true, countType, type }.
+export function parsePlyHeader(headerText) {
+    const lines = headerText.split('\n').map(line => line.trim());
+    if (lines[0] !== 'ply') {
+        throw new Error('Not a PLY file: missing "ply" magic line');
+    }
+
+    const header = { format: null, version: null, comments: [], elements: [] };
+    for (const line of lines.slice(1)) {
+        const parts = line.split(/\s+/);
+        const keyword = parts[0];
+
+        if (!line) {
+            continue;
+        } else if (keyword === 'end_header') {
+            break;
+        } else if (keyword === 'comment' || keyword === 'obj_info') {
+            header.comments.push(line);
+        } else if (keyword === 'format') {
+            if (!PLY_FORMATS.includes(parts[1])) {
+                throw new Error(`Unsupported PLY format "${parts[1]}": Must be one of ${PLY_FORMATS.join(', ')}`);
+            }
+            header.format = parts[1];
+            header.version = parts[2];
+        } else if (keyword === 'element') {
+            const count = Number(parts[2]);
+            if (parts.length !== 3 || !Number.isInteger(count) || count < 0) {
+                throw new Error(`Invalid PLY element line "${line}"`);
+            }
+            header.elements.push({ name: parts[1], count, properties: [] });
+        } else if (keyword === 'property') {
+            const element = header.elements[header.elements.length - 1];
+            if (!element) {
+                throw new Error(`PLY property "${line}" comes before any element`);
+            }
+            if (parts[1] === 'list' && parts.length === 5) {
+                scalarType(parts[2]);
+                scalarType(parts[3]);
+                element.properties.push({ name: parts[4], list: true, countType: parts[2], type: parts[3] });
+            } else if (parts.length === 3) {
+                scalarType(parts[1]);
+                element.properties.push({ name: parts[2], type: parts[1] });
+            } else {
+                throw new Error(`Invalid PLY property line "${line}"`);
+            }
+        } else {
+            throw new Error(`Unsupported PLY header line "${line}"`);
+        }
+    }
+
+    if (!header.format) {
+        throw new Error('PLY header has no format line');
+    }
+    return header;
+}
+
+// Byte size of one record, or null when the element has list properties
+export function elementStride(element) {
+    if (element.properties.some(prop => prop.list)) {
+        return null;
+    }
+    return element.properties.reduce((sum, prop) => sum + typeSize(prop.type), 0);
+}
+
+// Everything downstream (spz-js included) reads binary little-endian files
+// holding just the vertex element, all float; this lists what keeps a header from being that
+export function normalizationReasons(header, headerText) {
+    const reasons = [];
+    if (header.format !== 'binary_little_endian') {
+        reasons.push(`${header.format} format`);
+    }
+    const extra = header.elements.filter(element => element.name !== 'vertex');
+    if (extra.length > 0) {
+        reasons.push(`extra elements (${extra.map(element => `${element.name}: ${element.count}`).join(', ')})`);
+    }
+    const vertex = header.elements.find(element => element.name === 'vertex');
+    const converted = vertex ? [...new Set(vertex.properties.filter(prop => !isFloat32(prop.type)).map(prop => prop.type))] : [];
+    if (converted.length > 0) {
+        reasons.push(`non-float properties (${converted.join(', ')})`);
+    }
+    if (headerText.includes('\r')) {
+        reasons.push('CRLF header');
+    }
+    return reasons;
+}
+
+export function formatPlyHeader(header, vertexCount) {
+    const vertex = header.elements.find(element => element.name === 'vertex');
+    return [
+        'ply',
+        'format binary_little_endian 1.0',
+        ...header.comments,
+        `element vertex ${vertexCount}`,
+        ...vertex.properties.map(prop => `property float ${prop.name}`),
+        'end_header',
+        ''
+    ].join('\n');
+}
+
+// Pulls exact byte counts or lines out of an (async) iterable of Buffers
+class ByteReader {
+    constructor(chunks) {
+        this.iterator = chunks[Symbol.asyncIterator] ? chunks[Symbol.asyncIterator]() : chunks[Symbol.iterator]();
+        this.buffer = Buffer.alloc(0);
+        this.offset = 0;
+        this.done = false;
+    }
+
+    async fill(n) {
+        const pieces = [this.buffer.subarray(this.offset)];
+        let length = pieces[0].length;
+        while (length < n && !this.done) {
+            const { value, done } = await this.iterator.next();
+            if (done) {
+                this.done = true;
+            } else {
+                pieces.push(value);
+                length += value.length;
+            }
+        }
+        this.buffer = pieces.length > 1 ? Buffer.concat(pieces) : pieces[0];
+        this.offset = 0;
+        return length >= n;
+    }
+
+    async take(n, what) {
+        if (this.buffer.length - this.offset < n && !(await this.fill(n))) {
+            throw new Error(`PLY data ends early in ${what}`);
+        }
+        const data = this.buffer.subarray(this.offset, this.offset + n);
+        this.offset += n;
+        return data;
+    }
+
+    async line(what) {
+        let end = this.buffer.indexOf(10, this.offset);
+        while (end === -1) {
+            const available = this.buffer.length - this.offset;
+            if (!(await this.fill(available + 1))) {
+                throw new Error(`PLY data ends early in ${what}`);
+            }
+            end = this.buffer.indexOf(10, this.offset);
+        }
+        const line = this.buffer.toString('latin1', this.offset, end);
+        this.offset = end + 1;
+        return line;
+    }
+}
+
+async function skipElement(reader, element, format) {
+    const what = `element "${element.name}"`;
+    if (format === 'ascii') {
+        for (let i = 0; i < element.count; i++) await reader.line(what);
+        return;
+    }
+
+    const stride = elementStride(element);
+    if (stride !== null) {
+        for (let left = element.count; left > 0; left -= BATCH_VERTICES) {
+            await reader.take(Math.min(left, BATCH_VERTICES) * stride, what);
+        }
+        return;
+    }
+
+    const littleEndian = format === 'binary_little_endian';
+    for (let i = 0; i < element.count; i++) {
+        for (const prop of element.properties) {
+            if (prop.list) {
+                const count = propertyReader(prop.countType, littleEndian)(await reader.take(typeSize(prop.countType), what), 0);
+                await reader.take(count * typeSize(prop.type), what);
+            } else {
+                await reader.take(typeSize(prop.type), what);
+            }
+        }
+    }
+}
+
+// Streams the vertex element of any PLY as binary little-endian float records,
+// `batchVertices` at a time. `chunks` is an (async) iterable of the bytes
+// after the header, e.g. a file read stream or [buffer].
+export async function* normalizedVertexBatches(chunks, header, batchVertices = BATCH_VERTICES) {
+    const reader = new ByteReader(chunks);
+    const vertexIndex = header.elements.findIndex(element => element.name === 'vertex');
+    const vertex = header.elements[vertexIndex];
+    if (vertex.properties.some(prop => prop.list)) {
+        throw new Error('List properties in the vertex element are not supported');
+    }
+
+    for (const element of header.elements.slice(0, vertexIndex)) {
+        await skipElement(reader, element, header.format);
+    }
+
+    const littleEndian = header.format === 'binary_little_endian';
+    const inputStride = elementStride(vertex);
+    const stride = vertex.properties.length * 4;
+    const copy = littleEndian && vertex.properties.every(prop => isFloat32(prop.type));
+    const layout = [];
+    let offset = 0;
+    for (const prop of vertex.properties) {
+        layout.push({ ...prop, offset, read: propertyReader(prop.type, littleEndian) });
+        offset += typeSize(prop.type);
+    }
+
+    for (let start = 0; start < vertex.count; start += batchVertices) {
+        const count = Math.min(batchVertices, vertex.count - start);
+
+        if (copy) {
+            yield Buffer.from(await reader.take(count * stride, 'element "vertex"'));
+            continue;
+        }
+
+        const batch = Buffer.alloc(count * stride);
+        if (header.format === 'ascii') {
+            for (let i = 0; i < count; i++) {
+                const tokens = (await reader.line('element "vertex"')).trim().split(/\s+/);
+                if (tokens.length !== layout.length) {
+                    throw new Error(`PLY vertex ${start + i} has ${tokens.length} values, expected ${layout.length}`);
+                }
+                layout.forEach((prop, k) => {
+                    const value = parseFloat(tokens[k]);
+                    if (Number.isNaN(value) && !/^[+-]?nan$/i.test(tokens[k])) {
+                        throw new Error(`PLY vertex ${start + i}: "${tokens[k]}" is not a valid ${prop.type} for ${prop.name}`);
+                    }
+                    batch.writeFloatLE(value, (i * layout.length + k) * 4);
+                });
+            }
+        } else {
+            const data = await reader.take(count * inputStride, 'element "vertex"');
+            for (let i = 0; i < count; i++) {
+                layout.forEach((prop, k) => {
+                    batch.writeFloatLE(prop.read(data, i * inputStride + prop.offset), (i * layout.length + k) * 4);
+                });
+            }
+        }
+        yield batch;
+    }
+}
+
+// Binary PLYs must hold exactly the records their header describes; a wrong
+// count or a property of the wrong size would otherwise shift every vertex
+export function validateDataLength(header, dataLength, label = 'PLY') {
+    if (header.format === 'ascii') return;
+    let expected = 0;
+    const sizes = [];
+    for (const element of header.elements) {
+        const stride = elementStride(element);
+        if (stride === null) return;
+        expected += element.count * stride;
+        sizes.push(`${element.name}: ${element.count} x ${stride} bytes`);
+    }
+    if (dataLength !== expected) {
+        throw new Error(`${label}: data after the header is ${dataLength} bytes, but the header describes ${expected} (${sizes.join(', ')})`);
+    }
+}
+
+// Reads just the header of a PLY file, never the vertex data
+export async function readPlyHeader(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        let header = Buffer.alloc(0);
+        while (header.length < MAX_HEADER_BYTES) {
+            const block = Buffer.alloc(HEADER_BLOCK_BYTES);
+            const { bytesRead } = await handle.read(block, 0, block.length, header.length);
+            if (bytesRead === 0) break;
+            header = Buffer.concat([header, block.subarray(0, bytesRead)]);
+
+            const headerEndIndex = findHeaderEnd(header);
+            if (headerEndIndex !== -1) {
+                return {
+                    header: header.subarray(0, headerEndIndex).toString('utf8'),
+                    headerEndIndex
+                };
+            }
+        }
+        throw new Error(`${filePath} is not a PLY file: no end_header found`);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Fixed-size vertex records, optionally seen through a permutation or subset
+// (`order[i]` is the stored record read as vertex i). Subclasses only
+// implement readRecords() for runs of stored records.
+class VertexSource {
+    constructor(vertexCount, bytesPerVertex, order = null) {
+        this.vertexCount = vertexCount;
+        this.bytesPerVertex = bytesPerVertex;
+        this.order = order;
+    }
+
+    async read(start, count) {
+        const data = Buffer.alloc(count * this.bytesPerVertex);
+        if (!this.order) {
+            await this.readRecords(start, count, data, 0);
+            return data;
+        }
+
+        // Runs of consecutive stored records are read in one go
+        let k = 0;
+        while (k < count) {
+            const first = this.order[start + k];
+            let run = 1;
+            while (k + run < count && this.order[start + k + run] === first + run) run++;
+            await this.readRecords(first, run, data, k * this.bytesPerVertex);
+            k += run;
+        }
+        return data;
+    }
+
+    async *batches(batchVertices = BATCH_VERTICES) {
+        for (let start = 0; start < this.vertexCount; start += batchVertices) {
+            const count = Math.min(batchVertices, this.vertexCount - start);
+            yield { start, count, data: await this.read(start, count) };
+        }
+    }
+
+    composeOrder(order) {
+        return this.order ? order.map(i => this.order[i]) : order;
+    }
+}
+
+export class BufferVertexSource extends VertexSource {
+    constructor(vertexData, bytesPerVertex, vertexCount, order = null) {
+        super(vertexCount, bytesPerVertex, order);
+        this.vertexData = vertexData;
+    }
+
+    async readRecords(first, count, target, targetOffset) {
+        const start = first * this.bytesPerVertex;
+        const end = start + count * this.bytesPerVertex;
+        if (end > this.vertexData.length) {
+            throw new Error(`PLY vertex data ends before vertex ${first + count}`);
+        }
+        this.vertexData.copy(target, targetOffset, start, end);
+    }
+
+    withOrder(order) {
+        return new BufferVertexSource(this.vertexData, this.bytesPerVertex, order.length, this.composeOrder(order));
+    }
+
+    async close() {}
+}
+
+// Reads records from disk on demand, so only the requested vertices are in memory.
+// Ordered views share the file handle; closing any of them closes it.
+export class FileVertexSource extends VertexSource {
+    constructor(handle, filePath, headerEndIndex, bytesPerVertex, vertexCount, order = null) {
+        super(vertexCount, bytesPerVertex, order);
+        this.handle = handle;
+        this.filePath = filePath;
+        this.headerEndIndex = headerEndIndex;
+    }
+
+    static async open(filePath, headerEndIndex, bytesPerVertex, vertexCount) {
+        const handle = await fs.open(filePath, 'r');
+        return new FileVertexSource(handle, filePath, headerEndIndex, bytesPerVertex, vertexCount);
+    }
+
+    async readRecords(first, count, target, targetOffset) {
+        const length = count * this.bytesPerVertex;
+        let done = 0;
+        while (done < length) {
+            const { bytesRead } = await this.handle.read(
+                target,
+                targetOffset + done,
+                length - done,
+                this.headerEndIndex + first * this.bytesPerVertex + done
+            );
+            if (bytesRead === 0) {
+                throw new Error(`${this.filePath}: vertex data ends before vertex ${first + count}`);
+            }
+            done += bytesRead;
+        }
+    }
+
+    withOrder(order) {
+        return new FileVertexSource(this.handle, this.filePath, this.headerEndIndex, this.bytesPerVertex, order.length, this.composeOrder(order));
+    }
+
+    async close() {
+        await this.handle.close();
+    }
+}
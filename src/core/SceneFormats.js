@@ -0,0 +1,174 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { loadCompressedPly, loadPly, loadSpz, serializeCompressedPly, serializePly, serializeSpz, SH_C0 } from 'spz-js';
+import { findHeaderEnd, parsePlyHeader } from './PlyReader.js';
+
+export const INPUT_FORMATS = ['ply', 'compressed-ply', 'spz', 'splat'];
+export const OUTPUT_FORMATS = ['ply', 'spz', 'splat', 'compressed-ply'];
+
+export const FORMAT_EXTENSIONS = {
+    'ply': '.ply',
+    'spz': '.spz',
+    'splat': '.splat',
+    'compressed-ply': '.compressed.ply'
+};
+
+// antimatter15 .splat record: position and scale as 3 float32, RGBA as 4 uint8,
+// rotation (w, x, y, z) as 4 uint8 mapped from [-1, 1]
+const SPLAT_RECORD_BYTES = 32;
+
+// Enough to hold the magic and, for PLYs, usually the whole header
+const SNIFF_BYTES = 64 * 1024;
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+// PlayCanvas/SuperSplat compressed PLYs quantize vertices per chunk of 256 splats
+function isCompressedPlyHeader(header) {
+    const [chunk, vertex] = header.elements;
+    return Boolean(chunk && vertex) &&
+        chunk.name === 'chunk' &&
+        vertex.name === 'vertex' &&
+        vertex.properties.some(prop => prop.name === 'packed_position');
+}
+
+// Tells the scene format from the leading bytes, falling back to the file
+// extension for .splat, which has no magic. `size` is the total byte length.
+export function detectFormat(head, name = '', size = head.length) {
+    if (head.subarray(0, 4).toString('latin1') === 'ply\n' || head.subarray(0, 5).toString('latin1') === 'ply\r\n') {
+        const headerEnd = findHeaderEnd(head);
+        if (headerEnd !== -1 && isCompressedPlyHeader(parsePlyHeader(head.subarray(0, headerEnd).toString('utf8')))) {
+            return 'compressed-ply';
+        }
+        return 'ply';
+    }
+    if (head.subarray(0, 2).equals(GZIP_MAGIC)) {
+        return 'spz';
+    }
+    if (path.extname(name).toLowerCase() === '.splat') {
+        if (size % SPLAT_RECORD_BYTES !== 0) {
+            throw new Error(`${name}: ${size} bytes is not a whole number of ${SPLAT_RECORD_BYTES}-byte .splat records`);
+        }
+        return 'splat';
+    }
+    throw new Error(`${name || 'Input'}: unrecognized scene format, expected ${INPUT_FORMATS.join(', ')}`);
+}
+
+export async function detectFileFormat(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const head = Buffer.alloc(Math.min(size, SNIFF_BYTES));
+        await handle.read(head, 0, head.length, 0);
+        return detectFormat(head, filePath, size);
+    } finally {
+        await handle.close();
+    }
+}
+
+// .splat stores activated values (linear scale, sigmoid opacity, RGB color);
+// GaussianCloud holds them the way 3DGS PLYs do
+export function loadSplat(data) {
+    const numPoints = data.length / SPLAT_RECORD_BYTES;
+    const gs = {
+        numPoints,
+        shDegree: 0,
+        antialiased: false,
+        positions: new Float32Array(numPoints * 3),
+        scales: new Float32Array(numPoints * 3),
+        rotations: new Float32Array(numPoints * 4),
+        alphas: new Float32Array(numPoints),
+        colors: new Float32Array(numPoints * 3),
+        sh: new Float32Array(0)
+    };
+
+    for (let i = 0; i < numPoints; i++) {
+        const offset = i * SPLAT_RECORD_BYTES;
+        for (let k = 0; k < 3; k++) {
+            gs.positions[i * 3 + k] = data.readFloatLE(offset + k * 4);
+            gs.scales[i * 3 + k] = Math.log(data.readFloatLE(offset + 12 + k * 4));
+            gs.colors[i * 3 + k] = (data[offset + 24 + k] / 255 - 0.5) / SH_C0;
+        }
+
+        // Opacity 0 and 255 would map to infinite logits
+        const alpha = Math.min(Math.max(data[offset + 27], 1), 254) / 255;
+        gs.alphas[i] = Math.log(alpha / (1 - alpha));
+
+        const [w, x, y, z] = [0, 1, 2, 3].map(k => (data[offset + 28 + k] - 128) / 128);
+        const norm = Math.hypot(w, x, y, z) || 1;
+        gs.rotations.set([x / norm, y / norm, z / norm, w / norm], i * 4);
+    }
+    return gs;
+}
+
+// Inverse of loadSplat; SH beyond degree 0 is dropped
+export function serializeSplat(gs) {
+    const data = Buffer.alloc(gs.numPoints * SPLAT_RECORD_BYTES);
+    const toByte = x => Math.min(Math.max(Math.round(x), 0), 255);
+
+    for (let i = 0; i < gs.numPoints; i++) {
+        const offset = i * SPLAT_RECORD_BYTES;
+        for (let k = 0; k < 3; k++) {
+            data.writeFloatLE(gs.positions[i * 3 + k], offset + k * 4);
+            data.writeFloatLE(Math.exp(gs.scales[i * 3 + k]), offset + 12 + k * 4);
+            data[offset + 24 + k] = toByte((0.5 + SH_C0 * gs.colors[i * 3 + k]) * 255);
+        }
+        data[offset + 27] = toByte(255 / (1 + Math.exp(-gs.alphas[i])));
+
+        const [x, y, z, w] = gs.rotations.subarray(i * 4, i * 4 + 4);
+        const norm = Math.hypot(x, y, z, w) || 1;
+        [w, x, y, z].forEach((c, k) => {
+            data[offset + 28 + k] = toByte(c / norm * 128 + 128);
+        });
+    }
+    return data;
+}
+
+export async function serializeScene(gs, outputFormat) {
+    if (outputFormat === 'ply') {
+        return Buffer.from(new Uint8Array(serializePly(gs)));
+    }
+    if (outputFormat === 'spz') {
+        return Buffer.from(await serializeSpz(gs));
+    }
+    if (outputFormat === 'splat') {
+        return serializeSplat(gs);
+    }
+    if (outputFormat === 'compressed-ply') {
+        return Buffer.from(serializeCompressedPly(gs));
+    }
+    throw new Error(`Invalid output format "${outputFormat}": Must be one of ${OUTPUT_FORMATS.join(', ')}`);
+}
+
+// Loads a scene in any input format as a GaussianCloud
+export async function loadGaussianCloud(data, sceneFormat) {
+    if (sceneFormat === 'ply') {
+        return loadPly(new Blob([data]).stream());
+    }
+    if (sceneFormat === 'spz') {
+        let gs = null;
+        try {
+            gs = await loadSpz(data);
+        } catch {
+            gs = null;
+        }
+        if (!gs) {
+            throw new Error('Input is not a valid SPZ file');
+        }
+        return gs;
+    }
+    if (sceneFormat === 'splat') {
+        return loadSplat(data);
+    }
+    if (sceneFormat === 'compressed-ply') {
+        return loadCompressedPly(new Blob([data]).stream());
+    }
+    throw new Error(`Cannot load "${sceneFormat}" scenes as a GaussianCloud`);
+}
+
+// Converts any supported scene to an uncompressed 3DGS PLY
+export async function convertToPly(data, sceneFormat) {
+    if (sceneFormat === 'ply') {
+        return data;
+    }
+    return serializeScene(await loadGaussianCloud(data, sceneFormat), 'ply');
+}
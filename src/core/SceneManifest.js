@@ -0,0 +1,131 @@
+import { createHash } from 'crypto';
+import { gzipSync, gunzipSync } from 'zlib';
+
+export const SCENE_MANIFEST_FORMAT = 'onchaings-scene';
+export const SCENE_MANIFEST_VERSION = 1;
+
+// Truncated SHA-256: enough to tell chunks apart while keeping the manifest small
+const CHUNK_HASH_BYTES = 8;
+const MEMO_PREFIX = 'ocgs1';
+
+export function hashPayload(payload) {
+    return createHash('sha256').update(payload).digest().subarray(0, CHUNK_HASH_BYTES);
+}
+
+export class SceneManifest {
+    constructor({ originalHeader, vertexCount, maxShDegree, chunkHashes }) {
+        this.originalHeader = originalHeader;
+        this.vertexCount = vertexCount;
+        this.maxShDegree = maxShDegree;
+        this.chunkHashes = chunkHashes;
+        this.hashIndex = null;
+    }
+
+    static fromPayloads(headerInfo, payloads) {
+        return new SceneManifest({
+            originalHeader: headerInfo.originalHeader,
+            vertexCount: headerInfo.vertexCount,
+            maxShDegree: headerInfo.maxShDegree,
+            chunkHashes: payloads.map(payload => hashPayload(payload).toString('hex'))
+        });
+    }
+
+    get chunkCount() {
+        return this.chunkHashes.length;
+    }
+
+    toJSON() {
+        return {
+            format: SCENE_MANIFEST_FORMAT,
+            version: SCENE_MANIFEST_VERSION,
+            originalHeader: this.originalHeader,
+            vertexCount: this.vertexCount,
+            maxShDegree: this.maxShDegree,
+            chunkCount: this.chunkCount,
+            hashAlgorithm: `sha256-${CHUNK_HASH_BYTES * 8}`,
+            chunkHashes: this.chunkHashes
+        };
+    }
+
+    static fromJSON(json) {
+        if (json.format !== SCENE_MANIFEST_FORMAT) {
+            throw new Error(`Not a scene manifest: format is "${json.format}"`);
+        }
+        if (json.version > SCENE_MANIFEST_VERSION) {
+            throw new Error(`Unsupported scene manifest version ${json.version}`);
+        }
+        return new SceneManifest(json);
+    }
+
+    // Hashes are packed as one binary blob and the whole manifest is
+    // gzipped, so the on-chain form is far smaller than the JSON file
+    encode() {
+        const { chunkHashes, ...fields } = this.toJSON();
+        const packed = {
+            ...fields,
+            chunkHashes: Buffer.from(chunkHashes.join(''), 'hex').toString('base64')
+        };
+        return gzipSync(JSON.stringify(packed)).toString('base64');
+    }
+
+    static decode(encoded) {
+        const packed = JSON.parse(gunzipSync(Buffer.from(encoded, 'base64')).toString('utf8'));
+        const hashHex = Buffer.from(packed.chunkHashes, 'base64').toString('hex');
+        const hexLength = CHUNK_HASH_BYTES * 2;
+
+        return SceneManifest.fromJSON({
+            ...packed,
+            chunkHashes: Array.from(
+                { length: hashHex.length / hexLength },
+                (_, i) => hashHex.slice(i * hexLength, (i + 1) * hexLength)
+            )
+        });
+    }
+
+    // Splits the encoded manifest into pieces that still fit `targetSizeBytes`
+    // once formatMemo() adds its prefix and the next piece's signature
+    toMemoPieces(targetSizeBytes) {
+        const encoded = this.encode();
+        const overhead = SceneManifest.formatMemo(9999, 9999, '1'.repeat(88), '').length;
+        const pieceSize = targetSizeBytes - overhead;
+
+        if (pieceSize <= 0) {
+            throw new Error(`targetSizeBytes (${targetSizeBytes}) is too small for scene manifest memos`);
+        }
+
+        const pieces = [];
+        for (let i = 0; i < encoded.length; i += pieceSize) {
+            pieces.push(encoded.slice(i, i + pieceSize));
+        }
+        return pieces;
+    }
+
+    // Each piece links to the signature of the next one, so the first
+    // piece's signature is enough to read the whole manifest back
+    static formatMemo(part, total, nextSignature, data) {
+        return `${MEMO_PREFIX}:${part}:${total}:${nextSignature || '-'}:${data}`;
+    }
+
+    static parseMemo(memo) {
+        const match = memo.match(new RegExp(`^${MEMO_PREFIX}:(\\d+):(\\d+):([^:]+):(.*)$`, 's'));
+        if (!match) return null;
+
+        return {
+            part: parseInt(match[1]),
+            total: parseInt(match[2]),
+            nextSignature: match[3] === '-' ? null : match[3],
+            data: match[4]
+        };
+    }
+
+    // Identical chunks share a hash, so a payload can belong to several indices
+    indicesOfPayload(payload) {
+        if (!this.hashIndex) {
+            this.hashIndex = new Map();
+            this.chunkHashes.forEach((hash, index) => {
+                this.hashIndex.set(hash, [...(this.hashIndex.get(hash) || []), index]);
+            });
+        }
+        return this.hashIndex.get(hashPayload(payload).toString('hex')) || [];
+    }
+}
@@ -0,0 +1,246 @@
+import { loadPly, loadSpz, serializeSpz } from 'spz-js';
+import { SplatProcesser } from './SplatProcesser.js';
+import { ChunkEnvelope } from './ChunkEnvelope.js';
+import { CODECS, CodebookCodec } from './CodebookCodec.js';
+import { PAYLOAD_ENCODINGS, encodePayloadText, decodePayloadText } from './PayloadEncoding.js';
+import { SceneManifest } from './SceneManifest.js';
+import { ParityCoder } from './ParityCoder.js';
+import { concatGaussians } from './ChunkPacker.js';
+import { ORDERINGS } from './SplatOrdering.js';
+import { OUTPUT_FORMATS, serializeScene } from './SceneFormats.js';
+
+// Library defaults; packing is exact so every payload fits one memo
+const DEFAULT_SPLIT_OPTIONS = {
+    targetSizeBytes: 566,
+    packing: 'exact',
+    ordering: 'linear',
+    importance: 'opacityVolume',
+    envelope: false,
+    codec: 'spz',
+    payloadEncoding: 'base64',
+    prune: null
+};
+
+// PLY chunk -> SPZ -> optional envelope -> memo payload text (Base64 unless
+// another of PAYLOAD_ENCODINGS is given). With a CodebookCodec the payload
+// carries a codebook record instead of the SPZ blob, which is still returned
+// for the SPZ outputs.
+export async function encodeChunk(plyData, envelope = null, codec = null, encoding = 'base64') {
+    const gs = await loadPly(new Blob([plyData]).stream());
+    const spzData = Buffer.from(await serializeSpz(gs));
+    const chunkData = codec ? codec.encode(gs) : spzData;
+    const payloadData = envelope ? ChunkEnvelope.wrap(chunkData, envelope) : chunkData;
+
+    return {
+        spzData,
+        payload: encodePayloadText(payloadData, encoding)
+    };
+}
+
+// Memo payload text -> SPZ -> GaussianCloud, unwrapping the envelope if there is one.
+// The text encoding is read from the payload's prefix. Codebook records need
+// the scene's CodebookCodec and come back re-encoded as SPZ.
+export async function decodePayload(payload, codec = null) {
+    let spzData = decodePayloadText(payload);
+    const envelope = ChunkEnvelope.unwrap(spzData);
+    if (envelope) {
+        spzData = envelope.payload;
+    }
+
+    let gs;
+    if (CodebookCodec.isRecord(spzData)) {
+        if (!codec) {
+            throw new Error(`Payload is a codebook record, but codebook ${CodebookCodec.recordCodebookId(spzData)} is not loaded`);
+        }
+        gs = codec.decode(spzData);
+        spzData = Buffer.from(await serializeSpz(gs));
+    } else {
+        gs = await loadSpz(spzData);
+    }
+    if (!gs) {
+        throw new Error('Payload is not a valid SPZ blob');
+    }
+
+    return {
+        spzData,
+        gs,
+        envelope: envelope && {
+            sceneId: envelope.sceneId,
+            index: envelope.index,
+            total: envelope.total
+        }
+    };
+}
+
+// Splits an in-memory PLY into memo payloads and their scene manifest.
+// Nothing is written to disk; `onProgress` receives { stage, completed, total }
+// for the 'codebook' and 'pack' (vertices) and 'encode' (chunks) stages.
+export async function splitScene(buffer, options = {}) {
+    const { onProgress = () => {}, ...splitOptions } = options;
+    const settings = { ...DEFAULT_SPLIT_OPTIONS, ...splitOptions };
+
+    if (!Number.isInteger(settings.targetSizeBytes) || settings.targetSizeBytes <= 0) {
+        throw new Error('Invalid targetSizeBytes: Must be a positive integer');
+    }
+    if (!['estimate', 'exact'].includes(settings.packing)) {
+        throw new Error('Invalid packing: Must be "estimate" or "exact"');
+    }
+    if (!ORDERINGS.includes(settings.ordering)) {
+        throw new Error(`Invalid ordering: Must be one of ${ORDERINGS.map(o => `"${o}"`).join(', ')}`);
+    }
+    if (!CODECS.includes(settings.codec)) {
+        throw new Error(`Invalid codec: Must be one of ${CODECS.map(c => `"${c}"`).join(', ')}`);
+    }
+    if (!PAYLOAD_ENCODINGS.includes(settings.payloadEncoding)) {
+        throw new Error(`Invalid payloadEncoding: Must be one of ${PAYLOAD_ENCODINGS.map(e => `"${e}"`).join(', ')}`);
+    }
+
+    const processer = new SplatProcesser({
+        split: {
+            targetSizeBytes: settings.targetSizeBytes,
+            packing: settings.packing,
+            ordering: settings.ordering,
+            importance: settings.importance,
+            envelope: settings.envelope,
+            codec: settings.codec,
+            payloadEncoding: settings.payloadEncoding
+        },
+        prune: settings.prune && { enabled: true, ...settings.prune }
+    });
+
+    let { vertexData } = await processer.parsePlyBuffer(Buffer.from(buffer));
+    let pruneReport = null;
+    if (settings.prune) {
+        ({ vertexData, report: pruneReport } = await processer.pruneVertexData(vertexData));
+    }
+
+    const { sceneId, chunks, source } = await processer.planSplit(processer.createBufferSource(vertexData), settings.targetSizeBytes, onProgress);
+
+    const payloads = [];
+    const chunkInfo = [];
+    for (const chunk of chunks) {
+        const { data, bounds } = await processer.readChunk(source, chunk);
+        const { spzData, payload } = await encodeChunk(data, settings.envelope
+            ? { sceneId, index: chunk.index, total: chunks.length }
+            : null, processer.codec, settings.payloadEncoding);
+        payloads.push(payload);
+        chunkInfo.push({
+            index: chunk.index,
+            startVertex: chunk.startVertex,
+            vertexCount: chunk.vertexCount,
+            bounds,
+            spzSize: spzData.length,
+            payloadSize: Buffer.byteLength(payload)
+        });
+        onProgress({ stage: 'encode', completed: chunk.index + 1, total: chunks.length });
+    }
+
+    // The codebook goes on chain after the chunks, as header payloads
+    const headerPayloads = processer.codec
+        ? processer.codec.toHeaderPieces(settings.targetSizeBytes, settings.payloadEncoding).map(piece => encodePayloadText(piece, settings.payloadEncoding))
+        : [];
+    payloads.push(...headerPayloads);
+
+    const header = processer.getHeaderInfo();
+    return {
+        sceneId: settings.envelope ? sceneId : null,
+        codec: settings.codec,
+        payloadEncoding: settings.payloadEncoding,
+        headerPayloads: headerPayloads.length,
+        payloads,
+        manifest: SceneManifest.fromPayloads(header, payloads),
+        header,
+        chunks: chunkInfo,
+        oversized: chunkInfo.filter(c => c.payloadSize > settings.targetSizeBytes).map(c => c.index),
+        packing: settings.packing,
+        ordering: settings.ordering,
+        pruneReport
+    };
+}
+
+// Rebuilds a scene from memo payloads in any order. Payloads are placed by the
+// manifest's chunk hashes when a manifest is given, else by their envelope
+// index, else by array position, with codebook header payloads after the
+// chunks. Chunks and header payloads that are missing are rebuilt from the
+// parity payloads of their group, if any are given. Header payloads are read
+// before any chunk is decoded, and take no chunk position. `onProgress`
+// receives 'decode' events.
+export async function assembleScene(payloads, manifest = null, options = {}) {
+    const { format = 'ply', onProgress = () => {} } = options;
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new Error(`Invalid format: Must be one of ${OUTPUT_FORMATS.map(f => `"${f}"`).join(', ')}`);
+    }
+
+    const sceneManifest = manifest && !(manifest instanceof SceneManifest)
+        ? SceneManifest.fromJSON(manifest)
+        : manifest;
+    const kinds = payloads.map(decodePayloadText).map(data => ParityCoder.isParity(data)
+        ? 'parity'
+        : CodebookCodec.isHeaderPiece(data) ? 'header' : 'chunk');
+    const ofKind = kind => payloads.filter((_, i) => kinds[i] === kind);
+    const parities = ofKind('parity').map(payload => ParityCoder.parse(decodePayloadText(payload)));
+    const headerPayloads = ofKind('header');
+    const chunkPayloads = ofKind('chunk');
+
+    // Payload texts by the index they were numbered with
+    const placed = new Map();
+    const place = (payload, i, fallback) => {
+        const indices = sceneManifest ? sceneManifest.indicesOfPayload(payload) : [fallback];
+        if (indices.length === 0) {
+            throw new Error(`Payload ${i} is not part of the scene manifest`);
+        }
+        indices.forEach(index => placed.set(index, payload));
+    };
+    const envelopes = chunkPayloads.map(payload => ChunkEnvelope.unwrap(decodePayloadText(payload)));
+    chunkPayloads.forEach((payload, i) => place(payload, i, envelopes[i] ? envelopes[i].index : i));
+    const chunkTotal = envelopes[0] ? envelopes[0].total : chunkPayloads.length;
+    headerPayloads.forEach((payload, i) => place(payload, chunkPayloads.length + i, chunkTotal + i));
+
+    // Parity groups cover the chunks and header payloads, so they also tell how many there are
+    const total = parities.length > 0
+        ? Math.max(...parities.map(parity => parity.firstIndex + parity.dataCount))
+        : sceneManifest ? sceneManifest.chunkCount : chunkTotal + headerPayloads.length;
+    const groups = new Map();
+    parities.forEach(parity => groups.set(parity.firstIndex, [...(groups.get(parity.firstIndex) || []), parity]));
+    for (const [firstIndex, group] of groups) {
+        const data = Array.from({ length: group[0].dataCount }, (_, i) => placed.has(firstIndex + i)
+            ? decodePayloadText(placed.get(firstIndex + i))
+            : null);
+        if (data.every(payload => payload)) {
+            continue;
+        }
+        ParityCoder.recover(data, group).forEach((payload, i) => {
+            if (!placed.has(firstIndex + i)) placed.set(firstIndex + i, encodePayloadText(payload, 'base64'));
+        });
+    }
+
+    const headerIndices = new Set(Array.from(placed.keys())
+        .filter(index => CodebookCodec.isHeaderPiece(decodePayloadText(placed.get(index)))));
+    const codec = headerIndices.size > 0
+        ? CodebookCodec.fromHeaderPieces(Array.from(headerIndices, index => decodePayloadText(placed.get(index))))
+        : null;
+
+    const chunkIndices = Array.from({ length: total }, (_, index) => index).filter(index => !headerIndices.has(index));
+    if (chunkIndices.length === 0) {
+        throw new Error('No chunks to assemble');
+    }
+    for (const index of placed.keys()) {
+        if (index >= total) {
+            throw new Error(`Payload has chunk index ${index}, but the scene has ${total} chunks`);
+        }
+    }
+
+    const missing = chunkIndices.filter(index => !placed.has(index));
+    if (missing.length > 0) {
+        throw new Error(`Missing chunks: ${missing.join(', ')}`);
+    }
+
+    const clouds = [];
+    for (const [i, index] of chunkIndices.entries()) {
+        const { gs } = await decodePayload(placed.get(index), codec);
+        clouds.push(gs);
+        onProgress({ stage: 'decode', completed: i + 1, total: chunkIndices.length });
+    }
+
+    return serializeScene(concatGaussians(clouds), format);
+}
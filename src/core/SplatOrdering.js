@@ -0,0 +1,147 @@
+import { dimForDegree } from 'spz-js';
+
+export const ORDERINGS = ['linear', 'morton', 'importance'];
+
+// 10 bits per axis keeps the interleaved code within 30 bits (a uint32),
+// i.e. the leaf order of a depth-10 octree over the scene bounds
+const MORTON_BITS = 10;
+
+// Importance ordering spreads splats over the cells of a depth-4 octree (4096 cells)
+const SPREAD_LEVEL = 4;
+
+// Per-splat significance from opacity (after sigmoid) and volume (product of
+// linear scales); a function taking the same object can be configured instead
+export const IMPORTANCE_SCORES = {
+    opacityVolume: ({ opacity, volume }) => opacity * volume,
+    opacity: ({ opacity }) => opacity,
+    volume: ({ volume }) => volume
+};
+
+function spreadBits(v) {
+    let x = v & 0x3ff;
+    x = (x | (x << 16)) & 0x030000ff;
+    x = (x | (x << 8)) & 0x0300f00f;
+    x = (x | (x << 4)) & 0x030c30c3;
+    x = (x | (x << 2)) & 0x09249249;
+    return x;
+}
+
+export function computeBounds(positions, start = 0, end = positions.length / 3) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = start; i < end; i++) {
+        for (let axis = 0; axis < 3; axis++) {
+            const v = positions[i * 3 + axis];
+            if (v < min[axis]) min[axis] = v;
+            if (v > max[axis]) max[axis] = v;
+        }
+    }
+    return { min, max };
+}
+
+// Bounds covering both boxes; `a` may be null to start an accumulation
+export function mergeBounds(a, b) {
+    if (!a) return b;
+    return {
+        min: a.min.map((v, axis) => Math.min(v, b.min[axis])),
+        max: a.max.map((v, axis) => Math.max(v, b.max[axis]))
+    };
+}
+
+export function boundsDiagonal({ min, max }) {
+    return Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+}
+
+export function mortonCodes(positions, numPoints) {
+    const { min, max } = computeBounds(positions, 0, numPoints);
+    const cells = (1 << MORTON_BITS) - 1;
+    const scale = max.map((m, axis) => (m > min[axis] ? cells / (m - min[axis]) : 0));
+    const codes = new Uint32Array(numPoints);
+
+    for (let i = 0; i < numPoints; i++) {
+        const cell = [0, 1, 2].map(axis => {
+            const v = positions[i * 3 + axis];
+            // Non-finite positions all land in cell 0
+            return Number.isFinite(v) ? Math.round((v - min[axis]) * scale[axis]) : 0;
+        });
+        codes[i] = ((spreadBits(cell[0]) | (spreadBits(cell[1]) << 1) | (spreadBits(cell[2]) << 2)) >>> 0);
+    }
+    return codes;
+}
+
+export function importanceScores(cloud, importance = 'opacityVolume') {
+    const score = typeof importance === 'function' ? importance : IMPORTANCE_SCORES[importance];
+    if (!score) {
+        throw new Error(`Unknown importance score "${importance}"`);
+    }
+
+    const scores = new Float64Array(cloud.numPoints);
+    for (let i = 0; i < cloud.numPoints; i++) {
+        const scales = [0, 1, 2].map(axis => Math.exp(cloud.scales[i * 3 + axis]));
+        scores[i] = score({
+            opacity: 1 / (1 + Math.exp(-cloud.alphas[i])),
+            volume: scales[0] * scales[1] * scales[2],
+            scales
+        });
+    }
+    return scores;
+}
+
+// Ranks every splat within its coarse octree cell, then orders by that rank:
+// the first chunks take the most significant splat of every cell, the next
+// chunks the second most significant, and so on
+function importanceOrder(cloud, importance) {
+    const scores = importanceScores(cloud, importance);
+    const cellShift = 3 * (MORTON_BITS - SPREAD_LEVEL);
+    const cells = mortonCodes(cloud.positions, cloud.numPoints).map(code => code >>> cellShift);
+    const bySignificance = (a, b) => scores[b] - scores[a] || a - b;
+
+    const byCell = new Uint32Array(cloud.numPoints).map((_, i) => i)
+        .sort((a, b) => cells[a] - cells[b] || bySignificance(a, b));
+    const ranks = new Uint32Array(cloud.numPoints);
+    for (let i = 0; i < byCell.length; i++) {
+        const sameCell = i > 0 && cells[byCell[i]] === cells[byCell[i - 1]];
+        ranks[byCell[i]] = sameCell ? ranks[byCell[i - 1]] + 1 : 0;
+    }
+
+    return byCell.sort((a, b) => ranks[a] - ranks[b] || bySignificance(a, b));
+}
+
+// Returns the vertex permutation for an ordering, or null for file order.
+// `cloud` needs numPoints and positions (plus alphas and scales for importance),
+// so a GaussianCloud or the attributes read straight from PLY vertex data both
+// work, and give the same order.
+export function computeOrder(ordering, cloud, options = {}) {
+    if (!ordering || ordering === 'linear') {
+        return null;
+    }
+    if (ordering === 'morton') {
+        const codes = mortonCodes(cloud.positions, cloud.numPoints);
+        const order = new Uint32Array(cloud.numPoints).map((_, i) => i);
+        return order.sort((a, b) => codes[a] - codes[b] || a - b);
+    }
+    if (ordering === 'importance') {
+        return importanceOrder(cloud, options.importance);
+    }
+    throw new Error(`Unknown ordering "${ordering}"`);
+}
+
+export function gatherAttribute(source, order, stride) {
+    const target = new source.constructor(order.length * stride);
+    for (let i = 0; i < order.length; i++) {
+        target.set(source.subarray(order[i] * stride, order[i] * stride + stride), i * stride);
+    }
+    return target;
+}
+
+export function reorderGaussians(gs, order) {
+    return {
+        ...gs,
+        positions: gatherAttribute(gs.positions, order, 3),
+        scales: gatherAttribute(gs.scales, order, 3),
+        rotations: gatherAttribute(gs.rotations, order, 4),
+        alphas: gatherAttribute(gs.alphas, order, 1),
+        colors: gatherAttribute(gs.colors, order, 3),
+        sh: gatherAttribute(gs.sh, order, dimForDegree(gs.shDegree) * 3)
+    };
+}
@@ -1,19 +1,50 @@
 import { promises as fs } from 'fs';
-import { createReadStream, createWriteStream, existsSync, mkdirSync, readFileSync, writeFileSync, readdirSync } from 'fs';
-import { Readable } from 'stream';
+import { createReadStream, createWriteStream, existsSync, mkdirSync, readFileSync, writeFileSync, readdirSync, rmSync } from 'fs';
 import path from 'path';
 import { loadPly } from 'spz-js';
 import cliProgress from 'cli-progress';
 import colors from 'ansi-colors';
-import { chunk } from 'lodash-es';
-import { formatConsoleOutput } from '../utils.js';
+import { createProgressReporter, formatConsoleOutput, sha256 } from '../utils.js';
+import { ChunkPacker, reduceShDegree } from './ChunkPacker.js';
+import { ENVELOPE_HEADER_SIZE, createSceneId } from './ChunkEnvelope.js';
+import { computeOrder, computeBounds, boundsDiagonal, importanceScores, mergeBounds } from './SplatOrdering.js';
+import { CostEstimator } from './CostEstimator.js';
+import { dataPayloadLimit } from './ParityCoder.js';
+import { CodebookBuilder, CodebookCodec, RECORD_HEADER_SIZE } from './CodebookCodec.js';
+import { ENCODING_OVERHEAD, payloadCapacity } from './PayloadEncoding.js';
+import { SPZ_TOLERANCES } from './IntegrityVerifier.js';
+import {
+    BufferVertexSource,
+    FileVertexSource,
+    findHeaderEnd,
+    formatPlyHeader,
+    normalizationReasons,
+    normalizedVertexBatches,
+    parsePlyHeader,
+    propertyReader,
+    readPlyHeader,
+    typeSize,
+    validateDataLength
+} from './PlyReader.js';
+import { WorkerPool, CONCURRENCY_LIMIT } from './WorkerPool.js';
+import { FORMAT_EXTENSIONS, convertToPly, detectFileFormat, detectFormat } from './SceneFormats.js';
 
 const EXPECTED_COMPRESSION_RATE = 0.9;
-const BASE64_OVERHEAD = 1.25;
-const CONCURRENCY_LIMIT = 4;
+// Vertices loaded at once while packing or sampling exact payload sizes
+const PACK_WINDOW_VERTICES = 16384;
 
 const format = formatConsoleOutput();
 
+// Vertex properties of a PLY header, which chunks must share to be merged
+function vertexLayout(headerText) {
+    const vertex = parsePlyHeader(headerText).elements.find(element => element.name === 'vertex');
+    return vertex ? vertex.properties.map(prop => `${prop.type} ${prop.name}`).join(', ') : '';
+}
+
+function chunkFileName(index, extension) {
+    return `chunk_${index.toString().padStart(6, '0')}${extension}`;
+}
+
 export class SplatProcesser {
     constructor(config) {
         this.config = config;
@@ -22,20 +53,28 @@ export class SplatProcesser {
         this.propertyTypes = new Map();
         this.maxShDegree = 0;
         this.originalHeader = '';
+        this.sceneId = null;
+        // Scene codebook for split.codec 'codebook', fitted by planSplit
+        this.codec = null;
+        // Format the split input was detected as, see SceneFormats
+        this.inputFormat = null;
+        // PLY the chunks are cut from: the input file, or the pruned scene
+        this.sourceFile = null;
         this.availableTypes = new Set();
 
+        const base = config.outputRoot || 'outputs';
         this.dirs = {
-            base: 'outputs',
-            plySplit: path.join('outputs', 'plysplit'),
-            spzSplit: path.join('outputs', 'spzsplit'),
-            plyChunks: path.join('outputs', 'plysplit', 'chunks'),
-            spzChunks: path.join('outputs', 'spzsplit', 'chunks'),
-            plyGrouped: path.join('outputs', 'plysplit', 'grouped_chunks'),
-            spzGrouped: path.join('outputs', 'spzsplit', 'grouped_chunks'),
+            base,
+            plySplit: path.join(base, 'plysplit'),
+            spzSplit: path.join(base, 'spzsplit'),
+            plyChunks: path.join(base, 'plysplit', 'chunks'),
+            spzChunks: path.join(base, 'spzsplit', 'chunks'),
+            plyGrouped: path.join(base, 'plysplit', 'grouped_chunks'),
+            plyLevels: path.join(base, 'plysplit', 'levels'),
+            spzGrouped: path.join(base, 'spzsplit', 'grouped_chunks'),
+            exported: path.join(base, 'exported'),
         };
 
-        this.ensureDirectories();
-
         this.progressBar = new cliProgress.SingleBar({
             format: `Progress |${colors.cyan('{bar}')}| {percentage}% || {value}/{total} Chunks`,
             barCompleteChar: '=',
@@ -54,25 +93,331 @@ export class SplatProcesser {
     }
 
     getTypeSize(typeName) {
-        const typeSizes = {
-            'float32': 4, 'float': 4, 'float64': 8,
-            'uint8': 1, 'uchar': 1,
-            'int32': 4, 'int': 4,
-            'uint32': 4
+        return typeSize(typeName);
+    }
+
+    getPropertyReader(typeName) {
+        return propertyReader(typeName);
+    }
+
+    getPropertyLayout() {
+        const layout = [];
+        let bytesPerVertex = 0;
+        for (const [name, type] of this.propertyTypes) {
+            const size = this.getTypeSize(type);
+            layout.push({ name, type, offset: bytesPerVertex, size, read: this.getPropertyReader(type) });
+            bytesPerVertex += size;
+        }
+        return { layout, bytesPerVertex };
+    }
+
+    // Reads the named vertex properties out of binary vertex data,
+    // each into one Float32Array laid out like a GaussianCloud attribute
+    readVertexAttributes(vertexData, numVertices, attributes) {
+        const { layout, bytesPerVertex } = this.getPropertyLayout();
+        const offsets = new Map(layout.map(prop => [prop.name, prop]));
+
+        const result = { numPoints: numVertices };
+        for (const [attribute, names] of Object.entries(attributes)) {
+            const props = names.map(name => {
+                if (!offsets.has(name)) {
+                    throw new Error(`PLY is missing vertex property "${name}"`);
+                }
+                return offsets.get(name);
+            });
+            const values = new Float32Array(numVertices * props.length);
+            for (let i = 0; i < numVertices; i++) {
+                props.forEach(({ offset, read }, k) => {
+                    values[i * props.length + k] = read(vertexData, i * bytesPerVertex + offset);
+                });
+            }
+            result[attribute] = values;
+        }
+        return result;
+    }
+
+    // Maps the f_rest_* properties kept at a lower SH degree to their new names.
+    // Coefficients are stored per color channel, so each channel keeps its first ones.
+    getShRemap(targetDegree) {
+        const oldCoeffs = (this.maxShDegree + 1) ** 2 - 1;
+        const newCoeffs = (targetDegree + 1) ** 2 - 1;
+        const remap = new Map();
+        for (let channel = 0; channel < 3; channel++) {
+            for (let j = 0; j < newCoeffs; j++) {
+                remap.set(`f_rest_${channel * oldCoeffs + j}`, `f_rest_${channel * newCoeffs + j}`);
+            }
+        }
+        return remap;
+    }
+
+    // Splats dropped by each pruning rule, in the order the rules apply.
+    // Streams the source once; returns a keep flag per vertex.
+    async selectPrunedVertices(source) {
+        const settings = this.config.prune;
+        const dropped = { degenerate: 0, lowOpacity: 0, tiny: 0, overBudget: 0 };
+        const keep = new Uint8Array(source.vertexCount);
+        const budgeted = settings.maxSplats > 0;
+        const scores = budgeted ? new Float64Array(source.vertexCount) : null;
+        let keptCount = 0;
+
+        for await (const { start, count, data } of source.batches()) {
+            const cloud = this.readVertexAttributes(data, count, {
+                positions: ['x', 'y', 'z'],
+                alphas: ['opacity'],
+                scales: ['scale_0', 'scale_1', 'scale_2'],
+                rotations: ['rot_0', 'rot_1', 'rot_2', 'rot_3']
+            });
+            if (budgeted) {
+                scores.set(importanceScores(cloud, this.config.split.importance), start);
+            }
+
+            for (let i = 0; i < count; i++) {
+                const values = [
+                    ...cloud.positions.subarray(i * 3, i * 3 + 3),
+                    ...cloud.scales.subarray(i * 3, i * 3 + 3),
+                    ...cloud.rotations.subarray(i * 4, i * 4 + 4),
+                    cloud.alphas[i]
+                ];
+                const rotationNorm = Math.hypot(...cloud.rotations.subarray(i * 4, i * 4 + 4));
+
+                if (settings.dropDegenerate && (!values.every(Number.isFinite) || rotationNorm < 1e-8)) {
+                    dropped.degenerate++;
+                } else if (1 / (1 + Math.exp(-cloud.alphas[i])) < (settings.minOpacity || 0)) {
+                    dropped.lowOpacity++;
+                } else if (Math.exp(Math.max(...cloud.scales.subarray(i * 3, i * 3 + 3))) < (settings.minScale || 0)) {
+                    dropped.tiny++;
+                } else {
+                    keep[start + i] = 1;
+                    keptCount++;
+                }
+            }
+        }
+
+        // The budget keeps the most important splats, still in file order
+        if (budgeted && keptCount > settings.maxSplats) {
+            const kept = new Uint32Array(keptCount);
+            let k = 0;
+            keep.forEach((flag, i) => { if (flag) kept[k++] = i; });
+            kept.sort((a, b) => scores[b] - scores[a] || a - b)
+                .subarray(settings.maxSplats)
+                .forEach(i => { keep[i] = 0; });
+            dropped.overBudget = keptCount - settings.maxSplats;
+            keptCount = settings.maxSplats;
+        }
+
+        return { keep, keptCount, dropped };
+    }
+
+    // Loads `count` vertices of a source from `start` as a GaussianCloud
+    async loadGaussians(source, start, count) {
+        const n = Math.min(count, source.vertexCount - start);
+        const plyData = Buffer.concat([Buffer.from(this.createChunkHeader(n)), await source.read(start, n)]);
+        return loadPly(new Blob([plyData]).stream());
+    }
+
+    // Attributes for computing an ordering, read in one streaming pass
+    async readOrderAttributes(source, ordering) {
+        return this.streamVertexAttributes(source, ordering === 'importance'
+            ? { positions: ['x', 'y', 'z'], alphas: ['opacity'], scales: ['scale_0', 'scale_1', 'scale_2'] }
+            : { positions: ['x', 'y', 'z'] });
+    }
+
+    async orderSource(source, ordering) {
+        if (!ordering || ordering === 'linear') {
+            return source;
+        }
+        const attributes = await this.readOrderAttributes(source, ordering);
+        return source.withOrder(computeOrder(ordering, attributes, { importance: this.config.split.importance }));
+    }
+
+    // Samples a few windows of the ordered source instead of loading the scene
+    async estimateCost(source, targetSizeBytes, options = {}) {
+        const ordered = await this.orderSource(source, this.config.split.ordering);
+        return this.estimateOrderedCost(ordered, targetSizeBytes, options);
+    }
+
+    // `options.shDegree` estimates with the higher SH bands dropped, `options.fees`
+    // overrides the CostEstimator fee settings and `options.packTransactions`
+    // counts packed multi-memo transactions; config.parity adds its parity chunks.
+    // `options.codec` (default: the fitted codebook, if any) measures codebook records.
+    async estimateOrderedCost(ordered, targetSizeBytes, options = {}) {
+        const shDegree = Math.min(options.shDegree ?? this.maxShDegree, this.maxShDegree);
+        const estimator = new CostEstimator(targetSizeBytes, {
+            envelope: this.config.split.envelope,
+            codec: options.codec || this.codec,
+            encoding: this.getPayloadEncoding(),
+            packTransactions: options.packTransactions,
+            parity: this.config.parity,
+            ...options.fees
+        });
+        return estimator.estimateWindows(ordered.vertexCount, shDegree,
+            async start => reduceShDegree(await this.loadGaussians(ordered, start, PACK_WINDOW_VERTICES), shDegree));
+    }
+
+    // The splats the prune rules keep, as a view of the source (SH bands are
+    // left to estimateOrderedCost); returns the view and the dropped counts
+    async prunedView(source) {
+        const { keep, keptCount, dropped } = await this.selectPrunedVertices(source);
+        const kept = new Uint32Array(keptCount);
+        let k = 0;
+        for (let i = 0; i < keep.length; i++) {
+            if (keep[i]) kept[k++] = i;
+        }
+        return { source: source.withOrder(kept), dropped };
+    }
+
+    printCostEstimate(label, cost) {
+        console.log(format.info(label, [
+            `${cost.vertexCount.toLocaleString()} splats`,
+            `SH degree ${cost.shDegree}`,
+            cost.parityChunks > 0
+                ? `~${cost.chunks.toLocaleString()} chunks (+${cost.parityChunks.toLocaleString()} parity)`
+                : `~${cost.chunks.toLocaleString()} chunks`,
+            `~${cost.transactions.toLocaleString()} transactions`,
+            `~${cost.sol.toFixed(6)} SOL`
+        ].join(', ')));
+    }
+
+    // Works out which splats and SH bands pruning keeps, and the pruned header;
+    // prunedBatches() then copies the kept records
+    async planPrune(source) {
+        const settings = this.config.prune;
+        const { keep, keptCount, dropped } = await this.selectPrunedVertices(source);
+        const targetShDegree = Math.min(settings.shDegree ?? this.maxShDegree, this.maxShDegree);
+        const shRemap = this.getShRemap(targetShDegree);
+
+        // Properties are copied byte for byte, minus the dropped SH coefficients
+        const { layout, bytesPerVertex } = this.getPropertyLayout();
+        const keptProperties = layout.filter(prop => !prop.name.startsWith('f_rest_') || shRemap.has(prop.name));
+
+        const prunedHeader = this.originalHeader.split('\n')
+            .map(line => {
+                const parts = line.trim().split(' ');
+                if (line.trim().startsWith('element vertex')) {
+                    return `element vertex ${keptCount}`;
+                }
+                if (parts[0] === 'property' && parts[2] && parts[2].startsWith('f_rest_')) {
+                    return shRemap.has(parts[2]) ? `property ${parts[1]} ${shRemap.get(parts[2])}` : null;
+                }
+                return line;
+            })
+            .filter(line => line !== null)
+            .join('\n');
+
+        return {
+            keep,
+            keptProperties,
+            bytesPerVertex,
+            prunedBytesPerVertex: keptProperties.reduce((sum, prop) => sum + prop.size, 0),
+            prunedHeader,
+            report: {
+                settings: { ...settings, shDegree: targetShDegree },
+                originalVertexCount: this.vertexCount,
+                prunedVertexCount: keptCount,
+                dropped,
+                originalShDegree: this.maxShDegree,
+                shDegree: targetShDegree
+            }
         };
-        return typeSizes[typeName] || 4;
     }
 
-    async saveHeaderInfo() {
-        const headerInfo = {
+    async *prunedBatches(source, plan) {
+        for await (const { start, count, data } of source.batches()) {
+            let keptInBatch = 0;
+            for (let i = 0; i < count; i++) keptInBatch += plan.keep[start + i];
+
+            const pruned = Buffer.alloc(keptInBatch * plan.prunedBytesPerVertex);
+            let target = 0;
+            for (let i = 0; i < count; i++) {
+                if (!plan.keep[start + i]) continue;
+                for (const prop of plan.keptProperties) {
+                    const offset = i * plan.bytesPerVertex + prop.offset;
+                    data.copy(pruned, target, offset, offset + prop.size);
+                    target += prop.size;
+                }
+            }
+            yield pruned;
+        }
+    }
+
+    // In-memory pruning for the library: returns the pruned vertex data and
+    // switches the header over to the pruned layout
+    async pruneVertexData(vertexData) {
+        const source = this.createBufferSource(vertexData);
+        const plan = await this.planPrune(source);
+        const batches = [];
+        for await (const batch of this.prunedBatches(source, plan)) {
+            batches.push(batch);
+        }
+        this.parseHeader(plan.prunedHeader);
+
+        return { vertexData: Buffer.concat(batches), report: plan.report };
+    }
+
+    // Prunes before splitting, streaming the pruned scene to disk, and makes it
+    // the split source; returns a source over it (the input source is closed)
+    async prune(source, targetSizeBytes) {
+        console.log(format.subtitle('Pruning Scene'));
+
+        const costBefore = await this.estimateCost(source, targetSizeBytes);
+        const plan = await this.planPrune(source);
+
+        const prunedPath = path.join(this.dirs.base, 'pruned_scene.ply');
+        const output = await fs.open(prunedPath, 'w');
+        try {
+            await output.write(Buffer.from(plan.prunedHeader));
+            for await (const batch of this.prunedBatches(source, plan)) {
+                await output.write(batch);
+            }
+        } finally {
+            await output.close();
+            await source.close();
+        }
+        this.sourceFile = prunedPath;
+
+        const prunedSource = await this.openPly(prunedPath);
+        const costAfter = await this.estimateCost(prunedSource, targetSizeBytes);
+        const { report } = plan;
+
+        console.log(format.info('Degenerate Splats', report.dropped.degenerate.toLocaleString()));
+        console.log(format.info('Below Opacity', report.dropped.lowOpacity.toLocaleString()));
+        console.log(format.info('Below Scale', report.dropped.tiny.toLocaleString()));
+        console.log(format.info('Over Budget', report.dropped.overBudget.toLocaleString()));
+        console.log(format.info('SH Degree', `${report.originalShDegree} -> ${report.shDegree}`));
+        console.log(format.info('Splats Kept', `${report.prunedVertexCount.toLocaleString()} / ${report.originalVertexCount.toLocaleString()}`));
+        console.log(format.subtitle('Cost Estimate'));
+        this.printCostEstimate('Before', costBefore);
+        this.printCostEstimate('After', costAfter);
+
+        const reportPath = path.join(this.dirs.base, 'prune_report.json');
+        await fs.writeFile(reportPath, JSON.stringify({
+            inputFile: this.config.split.inputFile,
+            prunedFile: prunedPath,
+            ...report,
+            costBefore,
+            costAfter
+        }, null, 2));
+        console.log(format.success(`Pruned scene saved to: ${prunedPath}`));
+        console.log(format.success(`Prune report saved to: ${reportPath}`));
+        console.log(format.sectionDivider);
+
+        return prunedSource;
+    }
+
+    getHeaderInfo() {
+        return {
             originalHeader: this.originalHeader,
             vertexCount: this.vertexCount,
             propertyTypes: Array.from(this.propertyTypes.entries()),
-            maxShDegree: this.maxShDegree
+            maxShDegree: this.maxShDegree,
+            sceneId: this.sceneId,
+            codebook: this.codec ? this.codec.serialized.toString('base64') : null
         };
+    }
 
+    async saveHeaderInfo() {
         const headerPath = path.join(this.dirs.base, 'header_info.json');
-        await fs.writeFile(headerPath, JSON.stringify(headerInfo, null, 2));
+        await fs.writeFile(headerPath, JSON.stringify(this.getHeaderInfo(), null, 2));
         return headerPath;
     }
 
@@ -87,6 +432,8 @@ export class SplatProcesser {
             this.vertexCount = headerInfo.vertexCount;
             this.propertyTypes = new Map(headerInfo.propertyTypes);
             this.maxShDegree = headerInfo.maxShDegree;
+            this.sceneId = headerInfo.sceneId || null;
+            this.codec = headerInfo.codebook ? CodebookCodec.deserialize(Buffer.from(headerInfo.codebook, 'base64')) : null;
             
             return true;
         } catch (error) {
@@ -95,33 +442,25 @@ export class SplatProcesser {
         }
     }
 
-    async readPlyHeader() {
-        const data = readFileSync(this.config.split.inputFile);
-        const fileStr = data.toString('utf8');
-        const headerEndIndex = fileStr.indexOf('end_header\n') + 'end_header\n'.length;
-        
-        this.originalHeader = fileStr.slice(0, headerEndIndex);
-        const headerLines = this.originalHeader.split('\n');
+    // Takes the vertex layout from a header already in the binary
+    // little-endian float layout (see openPly for everything else)
+    parseHeader(originalHeader) {
+        const plyHeader = this.inspectPlyHeader(originalHeader);
+        const reasons = normalizationReasons(plyHeader, originalHeader);
+        if (reasons.length > 0) {
+            throw new Error(`Unsupported PLY layout: ${reasons.join(', ')}`);
+        }
 
-        const extraFNames = [];
-        for (const line of headerLines) {
-            const trimmedLine = line.trim();
-            if (!trimmedLine) continue;
+        this.originalHeader = originalHeader;
+        this.propertyTypes = new Map();
+        const vertex = plyHeader.elements.find(element => element.name === 'vertex');
+        this.vertexCount = vertex.count;
 
-            if (trimmedLine.includes('element vertex')) {
-                this.vertexCount = parseInt(trimmedLine.split(' ')[2]);
-            }
-            else if (trimmedLine.startsWith('property')) {
-                const parts = trimmedLine.split(' ');
-                if (parts.length >= 3) {
-                    const propName = parts[2];
-                    const propType = parts[1];
-                    this.propertyTypes.set(propName, propType);
-                    
-                    if (propName.startsWith('f_rest_')) {
-                        extraFNames.push(propName);
-                    }
-                }
+        const extraFNames = [];
+        for (const { name, type } of vertex.properties) {
+            this.propertyTypes.set(name, type);
+            if (name.startsWith('f_rest_')) {
+                extraFNames.push(name);
             }
         }
 
@@ -129,17 +468,144 @@ export class SplatProcesser {
         else if (extraFNames.length === 9) this.maxShDegree = 1;
         else if (extraFNames.length === 24) this.maxShDegree = 2;
         else if (extraFNames.length === 45) this.maxShDegree = 3;
+        else throw new Error(`Unsupported PLY: ${extraFNames.length} f_rest_ properties match no SH degree`);
+    }
 
-        return {
-            headerEndIndex,
-            vertexData: data.slice(headerEndIndex)
-        };
+    // Parses any PLY header and checks it has a usable vertex element
+    inspectPlyHeader(headerText) {
+        const plyHeader = parsePlyHeader(headerText);
+        const vertex = plyHeader.elements.find(element => element.name === 'vertex');
+        if (!vertex) {
+            throw new Error('PLY has no vertex element');
+        }
+        const list = vertex.properties.find(prop => prop.list);
+        if (list) {
+            throw new Error(`PLY vertex property "${list.name}" is a list, which splats cannot hold`);
+        }
+        return plyHeader;
+    }
+
+    // Parses a scene held in memory and returns its vertex data, converted to
+    // binary little-endian float PLY records when the input is in any other
+    // layout or format (.spz, .splat, compressed PLY)
+    async parsePlyBuffer(sceneData) {
+        const data = await convertToPly(sceneData, detectFormat(sceneData));
+        const headerEndIndex = findHeaderEnd(data);
+        if (headerEndIndex === -1) {
+            throw new Error('Input is not a PLY file: no end_header found');
+        }
+        const headerText = data.subarray(0, headerEndIndex).toString('utf8');
+        const plyHeader = this.inspectPlyHeader(headerText);
+        validateDataLength(plyHeader, data.length - headerEndIndex, 'Input PLY');
+
+        const normalized = normalizationReasons(plyHeader, headerText);
+        if (normalized.length === 0) {
+            this.parseHeader(headerText);
+            return { vertexData: data.subarray(headerEndIndex), normalized };
+        }
+
+        const batches = [];
+        for await (const batch of normalizedVertexBatches([data.subarray(headerEndIndex)], plyHeader)) {
+            batches.push(batch);
+        }
+        const vertex = plyHeader.elements.find(element => element.name === 'vertex');
+        this.parseHeader(formatPlyHeader(plyHeader, vertex.count));
+        return { vertexData: Buffer.concat(batches), normalized };
+    }
+
+    createBufferSource(vertexData) {
+        return new BufferVertexSource(vertexData, this.getPropertyLayout().bytesPerVertex, this.vertexCount);
+    }
+
+    // Parses only the header bytes of a PLY file and returns a source that
+    // reads its vertex records on demand. A PLY in any other layout (ASCII,
+    // big-endian, extra elements, non-float properties) is first streamed to
+    // `normalizeTo` as binary little-endian floats, and the source reads that.
+    async openPly(filePath, { normalizeTo = null } = {}) {
+        const { header, headerEndIndex } = await readPlyHeader(filePath);
+        const plyHeader = this.inspectPlyHeader(header);
+        const { size } = await fs.stat(filePath);
+        validateDataLength(plyHeader, size - headerEndIndex, filePath);
+
+        const reasons = normalizationReasons(plyHeader, header);
+        if (reasons.length === 0) {
+            this.parseHeader(header);
+            if (this.vertexCount === 0) {
+                throw new Error(`${filePath} has no vertices`);
+            }
+            return FileVertexSource.open(filePath, headerEndIndex, this.getPropertyLayout().bytesPerVertex, this.vertexCount);
+        }
+        if (!normalizeTo) {
+            throw new Error(`${filePath} must be converted before it can be read (${reasons.join(', ')})`);
+        }
+
+        const vertex = plyHeader.elements.find(element => element.name === 'vertex');
+        await fs.mkdir(path.dirname(normalizeTo), { recursive: true });
+        const output = await fs.open(normalizeTo, 'w');
+        try {
+            await output.write(Buffer.from(formatPlyHeader(plyHeader, vertex.count)));
+            const input = createReadStream(filePath, { start: headerEndIndex });
+            try {
+                for await (const batch of normalizedVertexBatches(input, plyHeader)) {
+                    await output.write(batch);
+                }
+            } finally {
+                input.destroy();
+            }
+        } finally {
+            await output.close();
+        }
+        console.log(format.info('Normalized Input', `${reasons.join(', ')} -> ${normalizeTo}`));
+
+        return this.openPly(normalizeTo);
+    }
+
+    // Opens the split input in any supported format. A .spz, .splat or
+    // compressed PLY is loaded whole, since it is a fraction of the PLY size,
+    // and converted to a PLY at `normalizeTo`; header and SH degree then come
+    // from the converted scene.
+    async openScene(filePath, { normalizeTo }) {
+        const sceneFormat = await detectFileFormat(filePath);
+        this.inputFormat = sceneFormat;
+        if (sceneFormat === 'ply') {
+            return this.openPly(filePath, { normalizeTo });
+        }
+
+        const plyData = await convertToPly(await fs.readFile(filePath), sceneFormat);
+        await fs.mkdir(path.dirname(normalizeTo), { recursive: true });
+        await fs.writeFile(normalizeTo, plyData);
+        console.log(format.info('Converted Input', `${sceneFormat} -> ${normalizeTo}`));
+
+        return this.openPly(normalizeTo);
+    }
+
+    // Reads the named vertex attributes of a whole source, a batch at a time
+    async streamVertexAttributes(source, attributes) {
+        const result = { numPoints: source.vertexCount };
+        for (const [attribute, names] of Object.entries(attributes)) {
+            result[attribute] = new Float32Array(source.vertexCount * names.length);
+        }
+
+        for await (const { start, count, data } of source.batches()) {
+            const batch = this.readVertexAttributes(data, count, attributes);
+            for (const [attribute, names] of Object.entries(attributes)) {
+                result[attribute].set(batch[attribute], start * names.length);
+            }
+        }
+        return result;
+    }
+
+    // Takes the header layout from an existing chunk, for merging chunks
+    // (e.g. decoded or fetched from chain) without the original split outputs
+    async loadHeaderFromChunk(chunkPath) {
+        const { header } = await readPlyHeader(chunkPath);
+        this.parseHeader(header);
     }
 
     createChunkHeader(numVertices) {
         const lines = this.originalHeader.split('\n');
         const modifiedLines = lines.map(line => {
-            if (line.includes('element vertex')) {
+            if (line.trim().startsWith('element vertex')) {
                 return `element vertex ${numVertices}`;
             }
             return line;
@@ -154,26 +620,176 @@ export class SplatProcesser {
 
     writeChunkPly(outputFile, chunkData, numVertices) {
         const chunkHeader = this.createChunkHeader(numVertices);
-        writeFileSync(outputFile, Buffer.concat([
+        const plyData = Buffer.concat([
             Buffer.from(chunkHeader),
             chunkData
-        ]));
+        ]);
+        writeFileSync(outputFile, plyData);
+        return plyData;
     }
 
-    async verifyChunk(filePath, expectedVertices) {
-        try {
-            const fileStream = createReadStream(filePath);
-            const webStream = Readable.toWeb(fileStream);
-            const gs = await loadPly(webStream);
-            if (!gs) {
-                console.error(`Failed to load PLY file: ${filePath}`);
-                return false;
+    describeImportance() {
+        const importance = this.config.split.importance || 'opacityVolume';
+        return typeof importance === 'function' ? 'custom' : importance;
+    }
+
+    async saveIntegrityInfo(chunks, ordering) {
+        const integrityInfo = {
+            algorithm: 'sha256',
+            inputFile: this.sourceFile,
+            vertexCount: this.vertexCount,
+            // Chunk vertex ranges index the input after this ordering is applied
+            ordering,
+            importance: ordering === 'importance' ? this.describeImportance() : undefined,
+            chunks
+        };
+
+        const integrityPath = path.join(this.dirs.base, 'chunks_integrity.json');
+        await fs.writeFile(integrityPath, JSON.stringify(integrityInfo, null, 2));
+        return integrityPath;
+    }
+
+    planEstimatedChunks(targetSizeBytes) {
+        const bytesPerVertex = Array.from(this.propertyTypes.values())
+            .reduce((sum, type) => sum + this.getTypeSize(type), 0);
+        
+        const headerSize = Buffer.from(this.originalHeader).length;
+        // Envelope bytes are encoded as payload text along with the SPZ payload
+        const encoding = this.getPayloadEncoding();
+        const envelopeSize = this.config.split.envelope ? ENVELOPE_HEADER_SIZE : 0;
+        const availableSize = (targetSizeBytes - headerSize - Math.ceil(envelopeSize * ENCODING_OVERHEAD[encoding]));
+        // Codebook records have a fixed size per splat, so no guess is needed
+        const verticesPerChunk = this.codec
+            ? Math.max(1, Math.floor((payloadCapacity(targetSizeBytes, encoding) - envelopeSize - RECORD_HEADER_SIZE) * 8 / this.codec.bitsPerSplat))
+            : Math.max(1, Math.floor(availableSize / (bytesPerVertex * (1 - EXPECTED_COMPRESSION_RATE) * ENCODING_OVERHEAD[encoding])));
+
+        return Array.from(
+            { length: Math.ceil(this.vertexCount / verticesPerChunk) },
+            (_, i) => ({
+                start: i * verticesPerChunk,
+                count: Math.min(verticesPerChunk, this.vertexCount - i * verticesPerChunk)
+            })
+        );
+    }
+
+    // Packs the (already ordered) source by measuring real payload sizes.
+    // Only a window of vertices is loaded at a time; a chunk that runs into
+    // the window's end is packed again from the start of the next window.
+    async planExactChunks(source, targetSizeBytes, onProgress = () => {}) {
+        const packer = new ChunkPacker(targetSizeBytes, {
+            envelope: this.config.split.envelope,
+            codec: this.codec,
+            encoding: this.getPayloadEncoding()
+        });
+        const chunks = [];
+        let windowSize = PACK_WINDOW_VERTICES;
+        let start = 0;
+        let hint = 1;
+
+        while (start < source.vertexCount) {
+            const gs = await this.loadGaussians(source, start, windowSize);
+            const isLastWindow = start + gs.numPoints === source.vertexCount;
+            let offset = 0;
+
+            while (offset < gs.numPoints) {
+                const chunk = await packer.fitChunk(gs, offset, hint);
+                if (!isLastWindow && offset + chunk.count === gs.numPoints) {
+                    break;
+                }
+                chunks.push({ ...chunk, start: start + offset });
+                offset += chunk.count;
+                hint = chunk.count;
+                onProgress({ stage: 'pack', completed: start + offset, total: source.vertexCount });
             }
-            return true;
-        } catch (error) {
-            console.error(`Verification failed for ${filePath}:`, error);
-            return false;
+
+            // A single chunk filling the whole window needs a bigger window
+            if (offset === 0) {
+                windowSize *= 2;
+            }
+            start += offset;
         }
+
+        return chunks;
+    }
+
+    async savePackingReport(chunkRanges, targetSizeBytes) {
+        const payloadSizes = chunkRanges.map(c => c.payloadSize);
+        const report = {
+            targetSizeBytes,
+            ordering: this.config.split.ordering || 'linear',
+            totalChunks: chunkRanges.length,
+            maxPayloadSize: Math.max(...payloadSizes),
+            averageFill: payloadSizes.reduce((sum, size) => sum + size, 0) / (payloadSizes.length * targetSizeBytes),
+            chunks: chunkRanges.map((c, index) => ({
+                index,
+                filename: `chunk_${index.toString().padStart(6, '0')}.ply`,
+                startVertex: c.start,
+                vertexCount: c.count,
+                spzSize: c.spzSize,
+                payloadSize: c.payloadSize,
+                targetSize: targetSizeBytes
+            }))
+        };
+
+        const reportPath = path.join(this.dirs.base, 'packing_report.json');
+        await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+        return reportPath;
+    }
+
+    // Fits the codebook codec to every splat of the source, one window at a time,
+    // with the SH bands above `shDegree` dropped
+    async fitCodebook(source, { shDegree = this.maxShDegree, onProgress = () => {} } = {}) {
+        const builder = new CodebookBuilder();
+        for (let start = 0; start < source.vertexCount; start += PACK_WINDOW_VERTICES) {
+            builder.add(reduceShDegree(await this.loadGaussians(source, start, PACK_WINDOW_VERTICES), shDegree));
+            onProgress({ stage: 'codebook', completed: Math.min(start + PACK_WINDOW_VERTICES, source.vertexCount), total: source.vertexCount });
+        }
+        return builder.build();
+    }
+
+    // Orders and packs a vertex source into chunk ranges; the chunk PLYs are
+    // read afterwards with readChunk(). Progress is reported as { stage, completed, total }.
+    async planSplit(source, targetSizeBytes, onProgress = () => {}) {
+        this.sceneId = createSceneId();
+        const packing = this.config.split.packing || 'estimate';
+        const ordering = this.config.split.ordering || 'linear';
+
+        // The codebook is fitted to the whole scene before any chunk is measured
+        this.codec = this.config.split.codec === 'codebook' ? await this.fitCodebook(source, { onProgress }) : null;
+
+        // Vertices are reordered before chunking so each chunk covers a compact region
+        const ordered = await this.orderSource(source, ordering);
+
+        // Parity payloads are slightly larger than the data payloads they cover,
+        // so data payloads leave room for that within targetSizeBytes
+        const payloadLimit = dataPayloadLimit(targetSizeBytes, this.config.parity);
+        const chunkRanges = packing === 'exact'
+            ? await this.planExactChunks(ordered, payloadLimit, onProgress)
+            : this.planEstimatedChunks(payloadLimit);
+
+        return {
+            sceneId: this.sceneId,
+            packing,
+            ordering,
+            bytesPerVertex: source.bytesPerVertex,
+            chunkRanges,
+            chunks: chunkRanges.map((range, index) => ({
+                index,
+                filename: `chunk_${index.toString().padStart(6, '0')}.ply`,
+                startVertex: range.start,
+                vertexCount: range.count
+            })),
+            source: ordered
+        };
+    }
+
+    async readChunk(source, chunk) {
+        const vertexData = await source.read(chunk.startVertex, chunk.vertexCount);
+        const { positions } = this.readVertexAttributes(vertexData, chunk.vertexCount, { positions: ['x', 'y', 'z'] });
+        return {
+            data: Buffer.concat([Buffer.from(this.createChunkHeader(chunk.vertexCount)), vertexData]),
+            bounds: computeBounds(positions)
+        };
     }
 
     async split(targetSizeBytes) {    
@@ -183,45 +799,79 @@ export class SplatProcesser {
 
         this.ensureDirectories();
 
-        const bytesPerVertex = Array.from(this.propertyTypes.values())
-            .reduce((sum, type) => sum + this.getTypeSize(type), 0);
-        
-        const headerSize = Buffer.from(this.originalHeader).length;
-        const availableSize = (targetSizeBytes - headerSize);
-        const verticesPerChunk = Math.max(1, Math.floor(availableSize / (bytesPerVertex * (1 - EXPECTED_COMPRESSION_RATE) * BASE64_OVERHEAD)));
+        let source = await this.openScene(this.config.split.inputFile, {
+            normalizeTo: path.join(this.dirs.base, 'normalized_scene.ply')
+        });
+        this.sourceFile = source.filePath;
+        if (this.config.prune && this.config.prune.enabled) {
+            source = await this.prune(source, targetSizeBytes);
+        }
 
-        const { vertexData } = await this.readPlyHeader();
-        const actualBytesPerVertex = vertexData.length / this.vertexCount;
-        const numChunks = Math.ceil(this.vertexCount / verticesPerChunk);
+        if (this.config.split.packing === 'exact' || this.config.split.codec === 'codebook') {
+            console.log(format.subtitle('Packing Chunks'));
+        }
+        const plan = await this.planSplit(
+            source,
+            targetSizeBytes,
+            createProgressReporter({
+                codebook: { label: 'Fitting Codebook', unit: 'Vertices' },
+                pack: { label: 'Packing', unit: 'Vertices' }
+            })
+        );
+        const { packing, ordering, bytesPerVertex, chunkRanges, chunks } = plan;
+        const numChunks = chunks.length;
 
         console.log(format.subtitle('Split Configuration'));
+        console.log(format.info('Input Format', this.inputFormat));
+        console.log(format.info('Packing Mode', packing));
+        console.log(format.info('Vertex Ordering', ordering === 'importance'
+            ? `importance (${this.describeImportance()})`
+            : ordering));
+        console.log(format.info('Chunk Envelope', this.config.split.envelope ? `on (scene ${this.sceneId})` : 'off'));
+        console.log(format.info('Chunk Codec', this.codec
+            ? `codebook (${this.codec.id}, ${this.codec.bitsPerSplat} bits per splat)`
+            : 'spz'));
+        console.log(format.info('Payload Encoding', this.getPayloadEncoding()));
+        if (this.config.parity && this.config.parity.enabled) {
+            console.log(format.info('Data Payload Limit', `${dataPayloadLimit(targetSizeBytes, this.config.parity)} bytes (room for parity)`));
+        }
         console.log(format.info('Total Vertices', this.vertexCount.toLocaleString()));
-        console.log(format.info('Bytes per Vertex', actualBytesPerVertex.toFixed(2)));
-        console.log(format.info('Vertices per Chunk', verticesPerChunk.toLocaleString()));
+        console.log(format.info('Bytes per Vertex', bytesPerVertex.toFixed(2)));
+        console.log(format.info('Vertices per Chunk', packing === 'exact'
+            ? `${(this.vertexCount / numChunks).toFixed(2)} (average)`
+            : chunkRanges[0].count.toLocaleString()));
         console.log(format.info('Total Chunks', numChunks.toLocaleString()));
         console.log(format.sectionDivider);
 
         console.log(format.subtitle('Starting Split Process'));
         this.progressBar.start(numChunks, 0);
         let totalProcessedVertices = 0;
+        let sceneBounds = null;
+        const chunkIntegrity = [];
 
-        for (let i = 0; i < numChunks; i++) {
-            const startIdx = i * verticesPerChunk;
-            const endIdx = Math.min((i + 1) * verticesPerChunk, this.vertexCount);
-            const numVertices = endIdx - startIdx;
+        try {
+            for (const chunk of chunks) {
+                const { data, bounds } = await this.readChunk(plan.source, chunk);
+                writeFileSync(path.join(this.dirs.plyChunks, chunk.filename), data);
+                chunkIntegrity.push({ ...chunk, bounds, ply: sha256(data) });
+                sceneBounds = mergeBounds(sceneBounds, bounds);
 
-            const startByte = startIdx * actualBytesPerVertex;
-            const endByte = endIdx * actualBytesPerVertex;
-            const chunkData = vertexData.slice(startByte, endByte);
+                totalProcessedVertices += chunk.vertexCount;
 
-            const outputFile = path.join(this.dirs.plyChunks, `chunk_${i.toString().padStart(6, '0')}.ply`);
-            this.writeChunkPly(outputFile, chunkData, numVertices);
+                this.progressBar.update(chunk.index + 1);
+            }
+        } finally {
+            await source.close();
+        }
+        this.progressBar.stop();
 
-            totalProcessedVertices += numVertices;
+        const averageExtent = chunkIntegrity.reduce((sum, c) => sum + boundsDiagonal(c.bounds), 0) / numChunks;
+        console.log(format.info('Average Chunk Extent', `${averageExtent.toFixed(4)} (bounding box diagonal, scene ${boundsDiagonal(sceneBounds).toFixed(4)})`));
 
-            this.progressBar.update(i + 1);
+        if (packing === 'exact') {
+            const reportPath = await this.savePackingReport(chunkRanges, targetSizeBytes);
+            console.log(format.success(`Packing report saved to: ${reportPath}`));
         }
-        this.progressBar.stop();
 
         console.log(format.subtitle('Starting Verification'));
         this.progressBar.start(numChunks, 0);
@@ -233,10 +883,13 @@ export class SplatProcesser {
             const chunkPath = path.join(this.dirs.plyChunks, `chunk_${i.toString().padStart(6, '0')}.ply`);
             
             try {
-                const chunkContent = readFileSync(chunkPath, 'utf8');
+                const chunkBuffer = readFileSync(chunkPath);
+                const chunkContent = chunkBuffer.toString('utf8');
                 const vertexMatch = chunkContent.match(/element vertex (\d+)/);
                 
-                if (vertexMatch) {
+                if (sha256(chunkBuffer) !== chunkIntegrity[i].ply) {
+                    failedChunks.push({ index: i, error: 'Content hash mismatch after write' });
+                } else if (vertexMatch) {
                     const chunkVertices = parseInt(vertexMatch[1]);
                     verifiedVertices += chunkVertices;
                 } else {
@@ -273,8 +926,10 @@ export class SplatProcesser {
         }
 
         await this.saveHeaderInfo();
+        await this.saveIntegrityInfo(chunkIntegrity, ordering);
     
         console.log(format.success('Header information saved for future operations'));
+        console.log(format.success('Chunk hashes saved to chunks_integrity.json'));
         console.log(format.divider);
         return {
             numChunks,
@@ -284,76 +939,249 @@ export class SplatProcesser {
         };
     }
 
-    async readChunkPly(chunkPath) {
-        const data = readFileSync(chunkPath);
-        const fileStr = data.toString('utf8');
-        const headerEndIndex = fileStr.indexOf('end_header\n') + 'end_header\n'.length;
-        
+    // Streams chunk PLYs sharing the current header layout into one file.
+    // Vertex counts come from the chunk headers, so the merged header goes first.
+    async mergeChunks(chunkPaths, outputPath) {
+        const layout = vertexLayout(this.originalHeader);
+        const chunks = [];
+        for (const chunkPath of chunkPaths) {
+            const { header, headerEndIndex } = await readPlyHeader(chunkPath);
+            if (vertexLayout(header) !== layout) {
+                throw new Error(`${path.basename(chunkPath)} has a different vertex layout than the other chunks`);
+            }
+            const vertexMatch = header.match(/element vertex (\d+)/);
+            chunks.push({ chunkPath, headerEndIndex, vertexCount: vertexMatch ? parseInt(vertexMatch[1]) : 0 });
+        }
+        const totalVertices = chunks.reduce((sum, chunk) => sum + chunk.vertexCount, 0);
+        const { bytesPerVertex } = this.getPropertyLayout();
+
+        let bounds = null;
+        const output = await fs.open(outputPath, 'w');
+        try {
+            await output.write(Buffer.from(this.createChunkHeader(totalVertices)));
+            for (const chunk of chunks) {
+                const source = await FileVertexSource.open(chunk.chunkPath, chunk.headerEndIndex, bytesPerVertex, chunk.vertexCount);
+                try {
+                    for await (const { count, data } of source.batches()) {
+                        await output.write(data);
+                        const { positions } = this.readVertexAttributes(data, count, { positions: ['x', 'y', 'z'] });
+                        bounds = mergeBounds(bounds, computeBounds(positions));
+                    }
+                } finally {
+                    await source.close();
+                }
+            }
+        } finally {
+            await output.close();
+        }
+
         return {
-            headerEndIndex,
-            vertexData: data.slice(headerEndIndex)
+            path: outputPath,
+            vertexCount: totalVertices,
+            bounds: bounds || computeBounds(new Float32Array(0))
         };
     }
 
-    async mergeChunks(chunkIndices, outputPath) {
-        let totalVertices = 0;
-        let mergedVertexData = Buffer.alloc(0);
-        
-        for (const index of chunkIndices) {
-            const chunkPath = path.join(this.dirs.plyChunks, `chunk_${index.toString().padStart(6, '0')}.ply`);
-            const { headerEndIndex, vertexData } = await this.readChunkPly(chunkPath);
-            mergedVertexData = Buffer.concat([mergedVertexData, vertexData]);
-            
-            const chunkContent = readFileSync(chunkPath, 'utf8');
-            const vertexMatch = chunkContent.match(/element vertex (\d+)/);
-            if (vertexMatch) {
-                totalVertices += parseInt(vertexMatch[1]);
-            }
-        }
+    getOutputFormat() {
+        return (this.config.merge && this.config.merge.outputFormat) || 'ply';
+    }
 
-        const mergedHeader = this.createChunkHeader(totalVertices);
-        writeFileSync(outputPath, Buffer.concat([
-            Buffer.from(mergedHeader),
-            mergedVertexData
-        ]));
+    getPayloadEncoding() {
+        return (this.config.split && this.config.split.payloadEncoding) || 'base64';
+    }
 
+    // Writes a merged PLY (group or level) to outputs/exported in
+    // merge.outputFormat, once the worker has checked it loads back within
+    // the format's tolerances
+    async exportMerged(pool, plyPath) {
+        const outputFormat = this.getOutputFormat();
+        const { data, check } = await pool.run('exportScene', { inputPath: plyPath, outputFormat });
+        if (!check.valid) {
+            throw new Error(`${outputFormat} round trip failed: ${check.error}`);
+        }
+
+        const exportPath = path.join(this.dirs.exported, `${path.basename(plyPath, '.ply')}${FORMAT_EXTENSIONS[outputFormat]}`);
+        await fs.writeFile(exportPath, data);
         return {
-            path: outputPath,
-            vertexCount: totalVertices
+            format: outputFormat,
+            path: path.basename(exportPath),
+            size: data.length,
+            maxErrors: check.maxErrors
         };
     }
 
-    async createGroups(groupSize) {
+    // Cumulative previews: level i merges the first levels[i] groups, so with an
+    // importance-ordered split each level refines the one before it
+    async createLevels(chunks, groupSize, totalGroups, levels) {
+        const groupCounts = Array.from(new Set(levels.map(n => Math.min(n, totalGroups)))).sort((a, b) => a - b);
+        if (groupCounts.length === 0) {
+            return [];
+        }
+
+        console.log(format.subtitle('Creating Levels'));
+        const levelsMetadata = [];
+        for (const [level, groupCount] of groupCounts.entries()) {
+            const levelChunks = chunks.filter(chunk => chunk.index < groupCount * groupSize);
+            const outputPath = path.join(this.dirs.plyLevels, `level_${level.toString().padStart(6, '0')}.ply`);
+            const result = await this.mergeChunks(levelChunks.map(chunk => chunk.path), outputPath);
+
+            levelsMetadata.push({
+                level,
+                path: path.basename(outputPath),
+                groupCount,
+                chunkCount: levelChunks.length,
+                vertexCount: result.vertexCount,
+                bounds: result.bounds
+            });
+            console.log(format.info(`Level ${level}`, `${groupCount.toLocaleString()} groups, ${result.vertexCount.toLocaleString()} vertices`));
+        }
+
+        if (this.getOutputFormat() !== 'ply') {
+            const pool = new WorkerPool(this.config.concurrency || CONCURRENCY_LIMIT);
+            try {
+                await Promise.all(levelsMetadata.map(async levelMeta => {
+                    levelMeta.exported = await this.exportMerged(pool, path.join(this.dirs.plyLevels, levelMeta.path));
+                }));
+            } finally {
+                await pool.close();
+            }
+        }
+        return levelsMetadata;
+    }
+
+    // Decodes SPZ chunks to PLYs in plysplit/chunks_from_spz, on the worker pool.
+    // Chunks that fail to decode are returned apart and merged as missing.
+    async decodeSpzChunks(spzChunks) {
+        const outputDir = path.join(this.dirs.plySplit, 'chunks_from_spz');
+        rmSync(outputDir, { recursive: true, force: true });
+        mkdirSync(outputDir, { recursive: true });
+
+        const pool = new WorkerPool(this.config.concurrency || CONCURRENCY_LIMIT);
+        try {
+            const outcomes = await Promise.all(spzChunks.map(chunk => pool.run('spzToPly', { inputPath: chunk.path })
+                .then(({ plyData }) => {
+                    const plyPath = path.join(outputDir, chunkFileName(chunk.index, '.ply'));
+                    writeFileSync(plyPath, plyData);
+                    return { ...chunk, path: plyPath };
+                })
+                .catch(error => ({ ...chunk, error: error.message }))));
+
+            return {
+                chunks: outcomes.filter(chunk => !chunk.error),
+                unreadable: outcomes.filter(chunk => chunk.error).map(({ index, filename, error }) => ({ index, filename, error }))
+            };
+        } finally {
+            await pool.close();
+        }
+    }
+
+    // Chunk files of a merge input directory, sorted by the index in their name.
+    // PLY chunks are merged as they are; a directory holding only SPZ chunks
+    // (e.g. spzsplit/chunks or decoded ones) is decoded to PLYs first.
+    async listMergeChunks(inputDir) {
+        if (!existsSync(inputDir)) {
+            throw new Error(`Merge input directory not found: ${inputDir}`);
+        }
+
+        const listChunks = extension => readdirSync(inputDir)
+            .filter(f => f.endsWith(extension) && /\d+/.test(f))
+            .map(filename => ({
+                index: parseInt(filename.match(/\d+/)[0]),
+                filename,
+                path: path.join(inputDir, filename)
+            }))
+            .sort((a, b) => a.index - b.index);
+
+        const plyChunks = listChunks('.ply');
+        if (plyChunks.length > 0) {
+            return { chunkFormat: 'ply', chunks: plyChunks, unreadable: [] };
+        }
+
+        const spzChunks = listChunks('.spz');
+        if (spzChunks.length === 0) {
+            throw new Error(`No PLY or SPZ chunks found in ${inputDir}`);
+        }
+        return { chunkFormat: 'spz', ...await this.decodeSpzChunks(spzChunks) };
+    }
+
+    // Chunks the split wrote, so gaps at the end of the numbering are noticed
+    // too; without its integrity file, the highest index present is the last
+    async expectedChunkCount(chunks) {
+        const present = chunks.length > 0 ? chunks[chunks.length - 1].index + 1 : 0;
+        try {
+            const integrityInfo = JSON.parse(await fs.readFile(path.join(this.dirs.base, 'chunks_integrity.json'), 'utf8'));
+            return Math.max(integrityInfo.chunks.length, present);
+        } catch {
+            return present;
+        }
+    }
+
+    // Split chunks a group merged from other chunks (decoded, fetched) is diffed
+    // against; null when the input is the split chunks or they are not around
+    originalChunkPaths(inputDir, groupChunks) {
+        if (path.resolve(inputDir) === path.resolve(this.dirs.plyChunks) || !existsSync(this.dirs.plyChunks)) {
+            return null;
+        }
+        const originalPaths = groupChunks.map(chunk => path.join(this.dirs.plyChunks, chunkFileName(chunk.index, '.ply')));
+        return originalPaths.every(existsSync) ? originalPaths : null;
+    }
+
+    // Tolerances for diffing decoded chunks of a codebook-encoded scene: they may
+    // also have been re-encoded as SPZ, so both errors add up. SPZ scenes get
+    // the SPZ tolerances.
+    async diffTolerances() {
+        try {
+            const { codebook } = JSON.parse(await fs.readFile(path.join(this.dirs.base, 'header_info.json'), 'utf8'));
+            if (!codebook) {
+                return SPZ_TOLERANCES;
+            }
+            const { tolerances } = CodebookCodec.deserialize(Buffer.from(codebook, 'base64'));
+            return Object.fromEntries(Object.entries(SPZ_TOLERANCES).map(([attribute, tolerance]) => [attribute, tolerance + tolerances[attribute]]));
+        } catch {
+            return SPZ_TOLERANCES;
+        }
+    }
+
+    async createGroups(groupSize, inputDir = this.dirs.plyChunks, levels = []) {
         console.log(format.divider);
         console.log(format.title('PLY Group Creation Process'));
         console.log(format.divider);
 
-        await this.ensureDirectories();
-        
+        this.ensureDirectories();
+
+        const { chunkFormat, chunks, unreadable } = await this.listMergeChunks(inputDir);
+        if (chunks.length === 0) {
+            throw new Error(`None of the SPZ chunks in ${inputDir} could be decoded`);
+        }
+
+        // Decoded chunks are written by spz-js and need not share the split's
+        // property layout, so the layout is read from the chunks themselves
         if (!this.originalHeader) {
-            const headerLoaded = await this.loadHeaderInfo();
-            if (!headerLoaded) {
-                throw new Error('Header information not found. Please run split operation first.');
-            }
-            console.log(format.success('Header information loaded successfully'));
+            await this.loadHeaderFromChunk(chunks[0].path);
+            console.log(format.success(`Header layout read from ${chunks[0].filename}`));
         }
 
-        const files = readdirSync(this.dirs.plyChunks)
-            .filter(f => f.endsWith('.ply'))
-            .sort((a, b) => {
-                const numA = parseInt(a.match(/\d+/)[0]);
-                const numB = parseInt(b.match(/\d+/)[0]);
-                return numA - numB;
-            });
+        // Groups keep the split's chunk numbering: group g holds chunks
+        // g * groupSize to (g + 1) * groupSize - 1, whichever of them are present
+        const expectedChunks = await this.expectedChunkCount(chunks);
+        const present = new Set(chunks.map(chunk => chunk.index));
+        const missingChunks = [];
+        for (let index = 0; index < expectedChunks; index++) {
+            if (!present.has(index)) missingChunks.push(index);
+        }
 
         const groupsMetadata = [];
-        const effectiveGroupSize = groupSize === -1 ? files.length : groupSize;
-        const totalGroups = Math.ceil(files.length / effectiveGroupSize);
+        const effectiveGroupSize = groupSize === -1 ? expectedChunks : groupSize;
+        const totalGroups = Math.ceil(expectedChunks / effectiveGroupSize);
 
         console.log(format.subtitle('Group Configuration'));
-        console.log(format.info('Total Files', files.length.toLocaleString()));
+        console.log(format.info('Input Directory', inputDir));
+        console.log(format.info('Chunk Format', chunkFormat));
+        console.log(format.info('Total Files', chunks.length.toLocaleString()));
+        console.log(format.info('Missing Chunks', missingChunks.length.toLocaleString()));
         console.log(format.info('Group Size', effectiveGroupSize.toLocaleString()));
         console.log(format.info('Total Groups', totalGroups.toLocaleString()));
+        console.log(format.info('Output Format', this.getOutputFormat()));
         console.log(format.sectionDivider);
 
         console.log(format.subtitle('Creating Groups'));
@@ -363,54 +1191,99 @@ export class SplatProcesser {
         let failureCount = 0;
         const failedGroups = [];
 
-        for (let i = 0; i < files.length; i += effectiveGroupSize) {
-            const groupIndices = Array.from(
-                { length: Math.min(effectiveGroupSize, files.length - i) },
-                (_, idx) => i + idx
-            );
-            
-            const groupId = Math.floor(i / effectiveGroupSize);
-            const outputPath = path.join(
-                this.dirs.plyGrouped,
-                `group_${groupId.toString().padStart(6, '0')}.ply`
-            );
+        const diffTolerances = await this.diffTolerances();
+
+        // Groups are merged one by one (streaming, I/O bound) while the
+        // previous ones are verified (and diffed, exported) on the worker pool
+        const pool = new WorkerPool(this.config.concurrency || CONCURRENCY_LIMIT);
+        const exporting = this.getOutputFormat() !== 'ply';
+        const { bytesPerVertex } = this.getPropertyLayout();
+        const pending = [];
+
+        try {
+            for (let groupId = 0; groupId < totalGroups; groupId++) {
+                const first = groupId * effectiveGroupSize;
+                const groupChunks = chunks.filter(chunk => chunk.index >= first && chunk.index < first + effectiveGroupSize);
+                const chunkPaths = groupChunks.map(chunk => chunk.path);
+                const groupMissing = missingChunks.filter(index => index >= first && index < first + effectiveGroupSize);
+
+                if (groupChunks.length === 0) {
+                    pending.push({ groupId, error: `All ${groupMissing.length} chunks of the group are missing` });
+                    this.progressBar.increment();
+                    continue;
+                }
+
+                const outputPath = path.join(
+                    this.dirs.plyGrouped,
+                    `group_${groupId.toString().padStart(6, '0')}.ply`
+                );
+
+                let result;
+                try {
+                    result = await this.mergeChunks(chunkPaths, outputPath);
+                } catch (error) {
+                    pending.push({ groupId, error: error.message });
+                    this.progressBar.increment();
+                    continue;
+                }
 
-            try {
-                const result = await this.mergeChunks(groupIndices, outputPath);
-                
                 const groupMeta = {
                     groupId,
                     path: path.basename(outputPath),
                     vertexCount: result.vertexCount,
-                    chunks: groupIndices.map(idx => ({
-                        index: idx,
-                        filename: `chunk_${idx.toString().padStart(6, '0')}.ply`,
+                    bounds: result.bounds,
+                    chunks: groupChunks.map(chunk => ({
+                        index: chunk.index,
+                        filename: chunk.filename,
                     })),
+                    missingChunks: groupMissing,
                 };
-                
-                const isValid = await this.verifyChunk(outputPath, result.vertexCount);
-                
-                if (isValid) {
-                    successCount++;
+
+                const originalPaths = this.originalChunkPaths(inputDir, groupChunks);
+                pending.push(pool.run('verifyGroup', { groupPath: outputPath, chunkPaths, bytesPerVertex })
+                    .then(async verification => {
+                        if (verification.valid && originalPaths) {
+                            groupMeta.diff = await pool.run('diffGroup', { groupPath: outputPath, originalPaths, tolerances: diffTolerances });
+                        }
+                        if (verification.valid && exporting) {
+                            groupMeta.exported = await this.exportMerged(pool, outputPath);
+                        }
+                        return { groupId, groupMeta, verification };
+                    })
+                    .catch(error => ({ groupId, error: error.message }))
+                    .finally(() => this.progressBar.increment()));
+            }
+
+            // Outcomes are handled in group order, whatever order the workers finish in
+            for (const outcome of await Promise.all(pending)) {
+                const { groupId, groupMeta, verification, error } = outcome;
+                if (error) {
+                    failureCount++;
+                    failedGroups.push({ groupId, error });
+                    console.log(format.error(`Error processing group ${groupId}: ${error}`));
+                } else if (verification.valid) {
                     groupsMetadata.push(groupMeta);
+                    // The group was merged, but it does not match the chunks it was split into
+                    if (groupMeta.diff && !groupMeta.diff.valid) {
+                        failureCount++;
+                        failedGroups.push({
+                            groupId,
+                            error: `Diff against split chunks failed: ${groupMeta.diff.error || `${groupMeta.diff.outOfTolerance} values out of tolerance`}`
+                        });
+                    } else {
+                        successCount++;
+                    }
                 } else {
                     failureCount++;
                     failedGroups.push({
                         groupId,
-                        error: 'Failed verification after merge'
+                        error: `Failed verification after merge: ${verification.error}`
                     });
                     console.log(format.warning(`Group ${groupId} verification failed`));
                 }
-            } catch (error) {
-                failureCount++;
-                failedGroups.push({
-                    groupId,
-                    error: error.message
-                });
-                console.log(format.error(`Error processing group ${groupId}: ${error.message}`));
             }
-
-            this.progressBar.update(Math.floor(i / effectiveGroupSize) + 1);
+        } finally {
+            await pool.close();
         }
 
         this.progressBar.stop();
@@ -429,15 +1302,37 @@ export class SplatProcesser {
             console.log(format.success('All groups created and verified successfully!'));
         }
 
+        if (missingChunks.length > 0 || unreadable.length > 0) {
+            console.log(format.subtitle('Missing Chunks:'));
+            console.log(format.warning(`  Indices: ${missingChunks.join(", ")}`));
+            unreadable.forEach(({ filename, error }) => {
+                console.log(format.error(`  ${filename}: ${error}`));
+            });
+        }
+
+        const diffs = groupsMetadata.filter(groupMeta => groupMeta.diff);
+        if (diffs.length > 0) {
+            this.printGroupDiffs(diffs);
+        }
+
+        const levelsMetadata = await this.createLevels(chunks, effectiveGroupSize, totalGroups, levels);
+
         const metadataPath = path.join(this.dirs.base, 'chunks_metadata.json');
         const metadata = {
-            originalNodeCount: files.length,
+            inputDir,
+            chunkFormat,
+            originalNodeCount: chunks.length,
+            expectedChunkCount: expectedChunks,
+            missingChunks,
+            unreadableChunks: unreadable,
             totalGroups,
             groupSize,
             nodesPerGroup: effectiveGroupSize,
             successfulGroups: successCount,
             failedGroups: failedGroups,
-            groups: groupsMetadata
+            outputFormat: this.getOutputFormat(),
+            groups: groupsMetadata,
+            levels: levelsMetadata
         };
 
         await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
@@ -446,6 +1341,8 @@ export class SplatProcesser {
         
         return {
             groups: groupsMetadata,
+            levels: levelsMetadata,
+            missingChunks,
             metadataPath,
             stats: {
                 total: totalGroups,
@@ -455,4 +1352,30 @@ export class SplatProcesser {
             }
         };
     }
-}
\ No newline at end of file
+
+    // Largest error per attribute over all diffed groups, and the groups
+    // whose merged splats left the SPZ tolerances
+    printGroupDiffs(diffs) {
+        const maxErrors = {};
+        diffs.filter(groupMeta => groupMeta.diff.maxErrors).forEach(groupMeta => {
+            Object.entries(groupMeta.diff.maxErrors).forEach(([attribute, error]) => {
+                maxErrors[attribute] = Math.max(maxErrors[attribute] || 0, error);
+            });
+        });
+        const failed = diffs.filter(groupMeta => !groupMeta.diff.valid);
+
+        console.log(format.subtitle('Diff Against Split Chunks'));
+        console.log(format.info('Groups Compared', diffs.length.toLocaleString()));
+        Object.entries(maxErrors).forEach(([attribute, error]) => {
+            console.log(format.info(`Max ${attribute} error`, error.toExponential(3)));
+        });
+
+        if (failed.length > 0) {
+            failed.forEach(({ groupId, diff }) => {
+                console.log(format.warning(`  Group ${groupId}: ${diff.error || `${diff.outOfTolerance} values out of tolerance`}`));
+            });
+        } else {
+            console.log(format.success('Merged groups match the split chunks within SPZ tolerances'));
+        }
+    }
+}
@@ -0,0 +1,258 @@
+import { dimForDegree, SH_C0 } from 'spz-js';
+import { boundsDiagonal } from './SplatOrdering.js';
+
+// Real SH basis constants, as in the 3DGS reference rasterizer
+const SH_C1 = 0.4886025119029199;
+const SH_C2 = [1.0925484305920792, -1.0925484305920792, 0.31539156525252005, -1.0925484305920792, 0.5462742152960396];
+const SH_C3 = [-0.5900435899266435, 2.890611442640554, -0.4570457994644658, 0.3731763325901154,
+    -0.4570457994644658, 1.445305721320277, -0.5900435899266435];
+
+// Screen-space blur added to every 2D covariance, so splats are at least a pixel wide
+const LOW_PASS = 0.3;
+// Splats whose center is this far outside the view have their Jacobian clamped
+const FRUSTUM_MARGIN = 1.3;
+const MIN_ALPHA = 1 / 255;
+const MAX_ALPHA = 0.99;
+const MIN_TRANSMITTANCE = 1e-4;
+// Share of the splats on each side left out when fitting cameras, so floaters
+// far from the scene do not shrink it to a dot
+const FIT_PERCENTILE = 0.01;
+const FIT_SAMPLES = 100000;
+
+const sigmoid = x => 1 / (1 + Math.exp(-x));
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const normalize = v => {
+    const length = Math.hypot(...v) || 1;
+    return v.map(c => c / length);
+};
+
+// Camera axes in world space: x right, y down, z forward (view direction)
+function cameraBasis({ position, target, up = [0, -1, 0] }) {
+    const forward = normalize([0, 1, 2].map(a => target[a] - position[a]));
+    let right = cross(forward, up);
+    if (Math.hypot(...right) < 1e-9) {
+        // Looking along the up vector: any right angle will do
+        right = cross(forward, Math.abs(forward[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0]);
+    }
+    right = normalize(right);
+    const down = cross(forward, right);
+    return [right, down, forward];
+}
+
+// Bounds of the scene without its outermost FIT_PERCENTILE on each axis,
+// from an evenly spaced sample of at most FIT_SAMPLES splats
+function robustBounds(positions, numPoints) {
+    const stride = Math.max(1, Math.floor(numPoints / FIT_SAMPLES));
+    const min = [];
+    const max = [];
+    for (let axis = 0; axis < 3; axis++) {
+        const values = [];
+        for (let i = 0; i < numPoints; i += stride) values.push(positions[i * 3 + axis]);
+        const sorted = Float64Array.from(values).sort();
+        const skip = Math.floor(sorted.length * FIT_PERCENTILE);
+        min.push(sorted[skip]);
+        max.push(sorted[sorted.length - 1 - skip]);
+    }
+    return { min, max };
+}
+
+// Cameras orbiting the scene, one per { azimuth, elevation } view (degrees
+// around `up`), each at the distance where the scene's bounding sphere fills
+// the narrower field of view
+export function fitCameras(gs, { views = [{ azimuth: 0, elevation: 20 }], fovDegrees = 50, up = [0, -1, 0], width = 512, height = 512 } = {}) {
+    if (gs.numPoints === 0) {
+        throw new Error('Cannot fit cameras to an empty scene');
+    }
+
+    const bounds = robustBounds(gs.positions, gs.numPoints);
+    const center = [0, 1, 2].map(a => (bounds.min[a] + bounds.max[a]) / 2);
+    const radius = Math.max(boundsDiagonal(bounds) / 2, 1e-6);
+
+    const halfFovY = fovDegrees * Math.PI / 360;
+    const halfFovX = Math.atan(Math.tan(halfFovY) * width / height);
+    const distance = radius / Math.sin(Math.min(halfFovX, halfFovY));
+
+    // Azimuth 0 looks along the world axis least aligned with `up`
+    const worldUp = normalize(up);
+    const axes = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    const axis = axes.reduce((best, a) => (Math.abs(dot(a, worldUp)) < Math.abs(dot(best, worldUp)) ? a : best));
+    const front = normalize(axis.map((c, a) => c - dot(axis, worldUp) * worldUp[a]));
+    const side = cross(worldUp, front);
+
+    return views.map(({ azimuth = 0, elevation = 0 }) => {
+        const az = azimuth * Math.PI / 180;
+        const el = elevation * Math.PI / 180;
+        const direction = [0, 1, 2].map(a => Math.cos(el) * (Math.cos(az) * front[a] + Math.sin(az) * side[a]) + Math.sin(el) * worldUp[a]);
+        return {
+            position: center.map((c, a) => c - direction[a] * distance),
+            target: center,
+            up: worldUp,
+            fovDegrees,
+            near: distance * 1e-3
+        };
+    });
+}
+
+// Reference CPU rasterizer following 3DGS: every splat is projected to a 2D
+// Gaussian (EWA splatting), shaded with its view-dependent SH color and
+// alpha-blended front to back. Images are { width, height, data } with RGB
+// floats in [0, 1], row-major from the top left.
+export class SplatRenderer {
+    constructor({ width = 512, height = 512, background = [0, 0, 0] } = {}) {
+        this.width = width;
+        this.height = height;
+        this.background = background;
+    }
+
+    // View-dependent RGB of splat i seen along the unit direction (x, y, z)
+    shadeSplat(gs, i, x, y, z, shDim, out) {
+        const basis = [];
+        if (shDim >= 3) {
+            basis.push(-SH_C1 * y, SH_C1 * z, -SH_C1 * x);
+        }
+        if (shDim >= 8) {
+            const xx = x * x, yy = y * y, zz = z * z;
+            basis.push(SH_C2[0] * x * y, SH_C2[1] * y * z, SH_C2[2] * (2 * zz - xx - yy), SH_C2[3] * x * z, SH_C2[4] * (xx - yy));
+            if (shDim >= 15) {
+                basis.push(
+                    SH_C3[0] * y * (3 * xx - yy),
+                    SH_C3[1] * x * y * z,
+                    SH_C3[2] * y * (4 * zz - xx - yy),
+                    SH_C3[3] * z * (2 * zz - 3 * xx - 3 * yy),
+                    SH_C3[4] * x * (4 * zz - xx - yy),
+                    SH_C3[5] * z * (xx - yy),
+                    SH_C3[6] * x * (xx - 3 * yy)
+                );
+            }
+        }
+
+        const shBase = i * shDim * 3;
+        for (let c = 0; c < 3; c++) {
+            let value = 0.5 + SH_C0 * gs.colors[i * 3 + c];
+            for (let j = 0; j < basis.length; j++) {
+                value += basis[j] * gs.sh[shBase + j * 3 + c];
+            }
+            out[c] = Math.max(0, value);
+        }
+    }
+
+    render(gs, camera) {
+        const { width, height } = this;
+        const [right, down, forward] = cameraBasis(camera);
+        const focal = (height / 2) / Math.tan((camera.fovDegrees || 50) * Math.PI / 360);
+        const limitX = FRUSTUM_MARGIN * (width / 2) / focal;
+        const limitY = FRUSTUM_MARGIN * (height / 2) / focal;
+        const near = camera.near === undefined ? 0.01 : camera.near;
+        const shDim = dimForDegree(gs.shDegree);
+
+        // Projected splats: center, conic (inverse 2D covariance), pixel radius, color, opacity
+        const n = gs.numPoints;
+        const depths = new Float32Array(n);
+        const screen = new Float32Array(n * 2);
+        const conics = new Float32Array(n * 3);
+        const radii = new Float32Array(n);
+        const rgb = new Float32Array(n * 3);
+        const opacities = new Float32Array(n);
+        const visible = [];
+        const color = [0, 0, 0];
+
+        for (let i = 0; i < n; i++) {
+            const d = [0, 1, 2].map(a => gs.positions[i * 3 + a] - camera.position[a]);
+            const z = dot(d, forward);
+            if (z <= near) continue;
+            const x = dot(d, right);
+            const y = dot(d, down);
+
+            // Columns of R * S, whose outer product is the 3D covariance
+            let [qx, qy, qz, qw] = gs.rotations.subarray(i * 4, i * 4 + 4);
+            const qLength = Math.hypot(qx, qy, qz, qw) || 1;
+            qx /= qLength; qy /= qLength; qz /= qLength; qw /= qLength;
+            const sx = Math.exp(gs.scales[i * 3]);
+            const sy = Math.exp(gs.scales[i * 3 + 1]);
+            const sz = Math.exp(gs.scales[i * 3 + 2]);
+            const columns = [
+                [(1 - 2 * (qy * qy + qz * qz)) * sx, 2 * (qx * qy + qw * qz) * sx, 2 * (qx * qz - qw * qy) * sx],
+                [2 * (qx * qy - qw * qz) * sy, (1 - 2 * (qx * qx + qz * qz)) * sy, 2 * (qy * qz + qw * qx) * sy],
+                [2 * (qx * qz + qw * qy) * sz, 2 * (qy * qz - qw * qx) * sz, (1 - 2 * (qx * qx + qy * qy)) * sz]
+            ];
+
+            // Rows of the projection Jacobian times the view rotation
+            const tx = Math.min(limitX, Math.max(-limitX, x / z));
+            const ty = Math.min(limitY, Math.max(-limitY, y / z));
+            const row0 = [0, 1, 2].map(a => (focal / z) * (right[a] - tx * forward[a]));
+            const row1 = [0, 1, 2].map(a => (focal / z) * (down[a] - ty * forward[a]));
+            let a = LOW_PASS, b = 0, c = LOW_PASS;
+            for (const column of columns) {
+                const u = dot(row0, column);
+                const v = dot(row1, column);
+                a += u * u;
+                b += u * v;
+                c += v * v;
+            }
+            const det = a * c - b * b;
+            if (det <= 0) continue;
+
+            const mid = (a + c) / 2;
+            const radius = Math.ceil(3 * Math.sqrt(mid + Math.sqrt(Math.max(0.1, mid * mid - det))));
+            const px = focal * x / z + width / 2;
+            const py = focal * y / z + height / 2;
+            if (px + radius < 0 || px - radius > width || py + radius < 0 || py - radius > height) continue;
+
+            const viewLength = Math.hypot(...d);
+            this.shadeSplat(gs, i, d[0] / viewLength, d[1] / viewLength, d[2] / viewLength, shDim, color);
+
+            depths[i] = z;
+            screen.set([px, py], i * 2);
+            conics.set([c / det, -b / det, a / det], i * 3);
+            radii[i] = radius;
+            rgb.set(color, i * 3);
+            opacities[i] = sigmoid(gs.alphas[i]);
+            visible.push(i);
+        }
+
+        const order = Uint32Array.from(visible).sort((i, j) => depths[i] - depths[j]);
+        const accumulated = new Float32Array(width * height * 3);
+        const transmittance = new Float32Array(width * height).fill(1);
+
+        for (const i of order) {
+            const px = screen[i * 2];
+            const py = screen[i * 2 + 1];
+            const [ca, cb, cc] = conics.subarray(i * 3, i * 3 + 3);
+            const radius = radii[i];
+            const x0 = Math.max(0, Math.floor(px - radius));
+            const x1 = Math.min(width - 1, Math.ceil(px + radius));
+            const y0 = Math.max(0, Math.floor(py - radius));
+            const y1 = Math.min(height - 1, Math.ceil(py + radius));
+
+            for (let py0 = y0; py0 <= y1; py0++) {
+                const dy = py0 + 0.5 - py;
+                for (let px0 = x0; px0 <= x1; px0++) {
+                    const p = py0 * width + px0;
+                    const t = transmittance[p];
+                    if (t < MIN_TRANSMITTANCE) continue;
+
+                    const dx = px0 + 0.5 - px;
+                    const power = -0.5 * (ca * dx * dx + cc * dy * dy) - cb * dx * dy;
+                    if (power > 0) continue;
+                    const alpha = Math.min(MAX_ALPHA, opacities[i] * Math.exp(power));
+                    if (alpha < MIN_ALPHA) continue;
+
+                    const weight = t * alpha;
+                    accumulated[p * 3] += weight * rgb[i * 3];
+                    accumulated[p * 3 + 1] += weight * rgb[i * 3 + 1];
+                    accumulated[p * 3 + 2] += weight * rgb[i * 3 + 2];
+                    transmittance[p] = t * (1 - alpha);
+                }
+            }
+        }
+
+        const data = new Float32Array(width * height * 3);
+        for (let p = 0; p < width * height; p++) {
+            for (let ch = 0; ch < 3; ch++) {
+                data[p * 3 + ch] = Math.min(1, accumulated[p * 3 + ch] + transmittance[p] * this.background[ch]);
+            }
+        }
+        return { width, height, data, splatsDrawn: visible.length };
+    }
+}
@@ -0,0 +1,93 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import path from 'path';
+import { sha256 } from '../utils.js';
+
+export const CHUNK_STATES = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed'
+};
+
+// Append-only JSON Lines log: every state change is one line, and the
+// latest line for a chunk index wins when the journal is replayed
+export class UploadJournal {
+    constructor(journalPath) {
+        this.journalPath = journalPath;
+        this.entries = new Map();
+    }
+
+    load() {
+        if (existsSync(this.journalPath)) {
+            const lines = readFileSync(this.journalPath, 'utf8').split('\n').filter(Boolean);
+            for (const line of lines) {
+                try {
+                    const entry = JSON.parse(line);
+                    this.entries.set(entry.index, entry);
+                } catch {
+                    // A run killed mid-write can leave a partial last line
+                }
+            }
+        }
+        this.compact();
+        return this;
+    }
+
+    // Rewrites the log with one line per chunk, via a temp file so an
+    // interruption never leaves a truncated journal behind
+    compact() {
+        const dir = path.dirname(this.journalPath);
+        if (!existsSync(dir)) {
+            mkdirSync(dir, { recursive: true });
+        }
+
+        const tempPath = `${this.journalPath}.tmp`;
+        const lines = Array.from(this.entries.values())
+            .sort((a, b) => a.index - b.index)
+            .map(entry => `${JSON.stringify(entry)}\n`);
+        writeFileSync(tempPath, lines.join(''));
+        renameSync(tempPath, this.journalPath);
+    }
+
+    append(entry) {
+        this.entries.set(entry.index, entry);
+        appendFileSync(this.journalPath, `${JSON.stringify(entry)}\n`);
+        return entry;
+    }
+
+    // Registers a chunk payload. A chunk whose payload changed since it was
+    // journaled (e.g. after re-encoding) starts over as pending.
+    track(index, filename, payload) {
+        const payloadHash = sha256(payload);
+        const entry = this.entries.get(index);
+
+        if (entry && entry.payloadHash === payloadHash) {
+            return entry;
+        }
+        return this.append({
+            index,
+            filename,
+            payloadHash,
+            size: Buffer.byteLength(payload),
+            state: CHUNK_STATES.PENDING,
+            attempts: 0,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    get(index) {
+        return this.entries.get(index);
+    }
+
+    update(index, fields) {
+        const entry = { ...this.entries.get(index), ...fields, updatedAt: new Date().toISOString() };
+        Object.keys(entry).forEach(key => entry[key] === undefined && delete entry[key]);
+        return this.append(entry);
+    }
+
+    countByState() {
+        const counts = Object.fromEntries(Object.values(CHUNK_STATES).map(state => [state, 0]));
+        this.entries.forEach(entry => counts[entry.state]++);
+        return counts;
+    }
+}
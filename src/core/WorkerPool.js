@@ -0,0 +1,88 @@
+import { Worker } from 'worker_threads';
+
+// Default number of worker threads for encode, decode and group verification
+export const CONCURRENCY_LIMIT = 4;
+
+const WORKER_URL = new URL('./ChunkWorker.js', import.meta.url);
+
+// Runs ChunkWorker tasks on a fixed number of worker threads. Tasks queue up
+// and resolve independently, so callers keep their own result order
+// (e.g. with Promise.all over the input list).
+export class WorkerPool {
+    constructor(size = CONCURRENCY_LIMIT) {
+        this.size = size;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.running = new Map();
+    }
+
+    spawn() {
+        const worker = new Worker(WORKER_URL);
+        worker.on('message', ({ result, error }) => {
+            const task = this.running.get(worker);
+            // The pool closed while the task ran
+            if (!task) return;
+            this.running.delete(worker);
+            if (error) {
+                task.reject(new Error(error));
+            } else {
+                task.resolve(result);
+            }
+            this.release(worker);
+        });
+
+        // A crashed worker fails its task and is replaced. 'exit' also follows
+        // 'error', and by then the worker is already retired.
+        worker.on('error', error => this.retire(worker, error));
+        worker.on('exit', code => this.retire(worker, new Error(`Worker exited with code ${code}`)));
+
+        this.workers.push(worker);
+        return worker;
+    }
+
+    retire(worker, error) {
+        if (!this.workers.includes(worker)) {
+            return;
+        }
+        const task = this.running.get(worker);
+        this.running.delete(worker);
+        this.workers = this.workers.filter(w => w !== worker);
+        this.idle = this.idle.filter(w => w !== worker);
+        if (task) task.reject(error);
+        if (this.queue.length > 0) this.release(this.spawn());
+    }
+
+    release(worker) {
+        const next = this.queue.shift();
+        if (!next) {
+            this.idle.push(worker);
+            return;
+        }
+        this.running.set(worker, next);
+        worker.postMessage({ task: next.task, args: next.args });
+    }
+
+    run(task, args) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, args, resolve, reject });
+            if (this.idle.length > 0) {
+                this.release(this.idle.pop());
+            } else if (this.workers.length < this.size) {
+                this.release(this.spawn());
+            }
+        });
+    }
+
+    // Tasks still queued or running when the pool closes are rejected
+    async close() {
+        const workers = this.workers;
+        const tasks = [...this.running.values(), ...this.queue];
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.running.clear();
+        tasks.forEach(task => task.reject(new Error('Worker pool closed')));
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+}
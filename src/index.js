@@ -0,0 +1,14 @@
+// Library entry point: in-memory split/assemble with no filesystem side effects
+export { splitScene, assembleScene, encodeChunk, decodePayload } from './core/ScenePipeline.js';
+export { SceneManifest } from './core/SceneManifest.js';
+export { ChunkEnvelope } from './core/ChunkEnvelope.js';
+export { ParityCoder } from './core/ParityCoder.js';
+export { CODECS, CodebookBuilder, CodebookCodec } from './core/CodebookCodec.js';
+export { PAYLOAD_ENCODINGS, encodePayloadText, decodePayloadText } from './core/PayloadEncoding.js';
+export { ChunkPacker, sliceGaussians, concatGaussians } from './core/ChunkPacker.js';
+export { CostEstimator } from './core/CostEstimator.js';
+export { ORDERINGS, IMPORTANCE_SCORES } from './core/SplatOrdering.js';
+export { INPUT_FORMATS, detectFormat, loadGaussianCloud, convertToPly } from './core/SceneFormats.js';
+export { SplatRenderer, fitCameras } from './core/SplatRenderer.js';
+export { imagePsnr, imageSsim, differenceImage } from './core/ImageMetrics.js';
+export { encodePng } from './core/PngEncoder.js';
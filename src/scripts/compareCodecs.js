@@ -0,0 +1,140 @@
+import { createReadStream, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { Readable } from 'stream';
+import path from 'path';
+import { loadPly, loadSpz, serializeSpz } from 'spz-js';
+import cliProgress from 'cli-progress';
+import colors from 'ansi-colors';
+import { formatConsoleOutput } from '../utils.js';
+import { ChunkPacker, sliceGaussians, concatGaussians } from '../core/ChunkPacker.js';
+import { CODECS, CodebookBuilder } from '../core/CodebookCodec.js';
+import { encodePayloadText } from '../core/PayloadEncoding.js';
+import { computeOrder, reorderGaussians } from '../core/SplatOrdering.js';
+import { compareGaussians, SPZ_TOLERANCES, SPZ_RANGES } from '../core/IntegrityVerifier.js';
+import { config } from '../../configs/preprocess.config.js';
+
+const format = formatConsoleOutput();
+const outputRoot = config.outputRoot || 'outputs';
+const reportPath = path.join(outputRoot, 'codec_comparison.json');
+
+// Packs the scene exactly, as `packing: 'exact'` would, with one chunk codec,
+// then decodes every chunk to measure the error against the source
+const packWithCodec = async (gs, codecName) => {
+    let codebook = null;
+    if (codecName === 'codebook') {
+        const builder = new CodebookBuilder();
+        builder.add(gs);
+        codebook = builder.build();
+    }
+    const encoding = config.split.payloadEncoding || 'base64';
+    const packer = new ChunkPacker(config.split.targetSizeBytes, { envelope: config.split.envelope, codec: codebook, encoding });
+
+    const progressBar = new cliProgress.SingleBar({
+        format: `${codecName.padEnd(10)} |${colors.cyan('{bar}')}| {percentage}% || {value}/{total} Vertices`,
+        barCompleteChar: '=',
+        barIncompleteChar: '-',
+        hideCursor: true
+    }, cliProgress.Presets.shades_classic);
+
+    progressBar.start(gs.numPoints, 0);
+    const chunks = await packer.pack(gs, packed => progressBar.update(packed));
+    progressBar.stop();
+
+    const decoded = [];
+    for (const chunk of chunks) {
+        const slice = sliceGaussians(gs, chunk.start, chunk.start + chunk.count);
+        decoded.push(codebook ? codebook.decode(codebook.encode(slice)) : await loadSpz(await serializeSpz(slice)));
+    }
+    // SPZ_TOLERANCES are what verify accepts for SPZ chunks, so both codecs are held to them
+    const { maxErrors, violations } = compareGaussians(gs, concatGaussians(decoded), SPZ_TOLERANCES, codebook ? codebook.ranges : SPZ_RANGES);
+
+    const headerPayloads = codebook
+        ? codebook.toHeaderPieces(config.split.targetSizeBytes, encoding).map(piece => encodePayloadText(piece, encoding))
+        : [];
+    const chunkBytes = chunks.reduce((sum, c) => sum + c.spzSize, 0);
+    const payloadBytes = chunks.reduce((sum, c) => sum + c.payloadSize, 0)
+        + headerPayloads.reduce((sum, payload) => sum + Buffer.byteLength(payload), 0);
+
+    return {
+        codec: codecName,
+        codebookId: codebook ? codebook.id : null,
+        bitsPerSplat: codebook ? codebook.bitsPerSplat : null,
+        totalChunks: chunks.length,
+        headerPayloads: headerPayloads.length,
+        averageVerticesPerChunk: gs.numPoints / chunks.length,
+        chunkBytes,
+        totalPayloadBytes: payloadBytes,
+        chunkBytesPerSplat: chunkBytes / gs.numPoints,
+        payloadBytesPerSplat: payloadBytes / gs.numPoints,
+        maxErrors,
+        valuesOutOfSpzTolerance: violations.length
+    };
+};
+
+const main = async () => {
+    try {
+        console.log(format.divider);
+        console.log(format.title('Chunk Codec Comparison'));
+        console.log(format.divider);
+
+        const loaded = await loadPly(Readable.toWeb(createReadStream(config.split.inputFile)));
+        const ordering = config.split.ordering || 'linear';
+        const order = computeOrder(ordering, loaded, { importance: config.split.importance });
+        const gs = order ? reorderGaussians(loaded, order) : loaded;
+
+        console.log(format.subtitle('Comparison Configuration'));
+        console.log(format.info('Input File', config.split.inputFile));
+        console.log(format.info('Total Vertices', gs.numPoints.toLocaleString()));
+        console.log(format.info('SH Degree', gs.shDegree));
+        console.log(format.info('Target Size', `${config.split.targetSizeBytes} bytes`));
+        console.log(format.info('Vertex Ordering', ordering));
+        console.log(format.info('Payload Encoding', config.split.payloadEncoding || 'base64'));
+        console.log(format.sectionDivider);
+
+        console.log(format.subtitle('Packing'));
+        const results = [];
+        for (const codec of CODECS) {
+            results.push(await packWithCodec(gs, codec));
+        }
+
+        const baseline = results[0];
+        console.log(format.subtitle('Comparison Results'));
+        results.forEach(result => {
+            const byteChange = ((result.totalPayloadBytes / baseline.totalPayloadBytes - 1) * 100).toFixed(1);
+            console.log(format.info(result.codec, [
+                `${result.totalChunks.toLocaleString()} chunks${result.headerPayloads > 0 ? ` + ${result.headerPayloads} header` : ''}`,
+                `${result.payloadBytesPerSplat.toFixed(2)} payload bytes/splat (${byteChange}%)`,
+                `${result.valuesOutOfSpzTolerance.toLocaleString()} values out of SPZ tolerance`
+            ].join(', ')));
+        });
+
+        console.log(format.subtitle('Max Error per Attribute'));
+        Object.keys(SPZ_TOLERANCES).forEach(attribute => {
+            console.log(format.info(attribute, results
+                .map(result => `${result.codec} ${(result.maxErrors[attribute] || 0).toExponential(3)}`)
+                .join(', ')));
+        });
+
+        if (!existsSync(outputRoot)) {
+            mkdirSync(outputRoot, { recursive: true });
+        }
+        writeFileSync(reportPath, JSON.stringify({
+            inputFile: config.split.inputFile,
+            vertexCount: gs.numPoints,
+            shDegree: gs.shDegree,
+            targetSizeBytes: config.split.targetSizeBytes,
+            ordering,
+            payloadEncoding: config.split.payloadEncoding || 'base64',
+            tolerances: SPZ_TOLERANCES,
+            results
+        }, null, 2));
+
+        console.log(format.success(`\nComparison saved to: ${reportPath}`));
+        console.log(format.divider);
+    } catch (error) {
+        console.log(format.error('Fatal error during comparison:'));
+        console.error(error);
+        process.exit(1);
+    }
+};
+
+main().catch(console.error);
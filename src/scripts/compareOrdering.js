@@ -0,0 +1,105 @@
+import { createReadStream, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { Readable } from 'stream';
+import path from 'path';
+import { loadPly } from 'spz-js';
+import cliProgress from 'cli-progress';
+import colors from 'ansi-colors';
+import { formatConsoleOutput } from '../utils.js';
+import { ChunkPacker } from '../core/ChunkPacker.js';
+import { ORDERINGS, computeOrder, reorderGaussians, computeBounds, boundsDiagonal } from '../core/SplatOrdering.js';
+import { config } from '../../configs/preprocess.config.js';
+
+const format = formatConsoleOutput();
+const outputRoot = config.outputRoot || 'outputs';
+const reportPath = path.join(outputRoot, 'ordering_comparison.json');
+
+// Packs the scene exactly, as `packing: 'exact'` would, under one ordering
+const packWithOrdering = async (gs, ordering) => {
+    const order = computeOrder(ordering, gs, { importance: config.split.importance });
+    const ordered = order ? reorderGaussians(gs, order) : gs;
+    const packer = new ChunkPacker(config.split.targetSizeBytes, {
+        envelope: config.split.envelope,
+        encoding: config.split.payloadEncoding
+    });
+
+    const progressBar = new cliProgress.SingleBar({
+        format: `${ordering.padEnd(10)} |${colors.cyan('{bar}')}| {percentage}% || {value}/{total} Vertices`,
+        barCompleteChar: '=',
+        barIncompleteChar: '-',
+        hideCursor: true
+    }, cliProgress.Presets.shades_classic);
+
+    progressBar.start(gs.numPoints, 0);
+    const chunks = await packer.pack(ordered, packed => progressBar.update(packed));
+    progressBar.stop();
+
+    const totalSpz = chunks.reduce((sum, c) => sum + c.spzSize, 0);
+    const totalPayload = chunks.reduce((sum, c) => sum + c.payloadSize, 0);
+    const extents = chunks.map(c => boundsDiagonal(computeBounds(ordered.positions, c.start, c.start + c.count)));
+
+    return {
+        ordering,
+        totalChunks: chunks.length,
+        averageVerticesPerChunk: gs.numPoints / chunks.length,
+        totalSpzBytes: totalSpz,
+        totalPayloadBytes: totalPayload,
+        spzBytesPerVertex: totalSpz / gs.numPoints,
+        averageChunkExtent: extents.reduce((sum, e) => sum + e, 0) / extents.length,
+        maxChunkExtent: Math.max(...extents)
+    };
+};
+
+const main = async () => {
+    try {
+        console.log(format.divider);
+        console.log(format.title('Chunk Ordering Comparison'));
+        console.log(format.divider);
+
+        const gs = await loadPly(Readable.toWeb(createReadStream(config.split.inputFile)));
+        const sceneExtent = boundsDiagonal(computeBounds(gs.positions));
+
+        console.log(format.subtitle('Comparison Configuration'));
+        console.log(format.info('Input File', config.split.inputFile));
+        console.log(format.info('Total Vertices', gs.numPoints.toLocaleString()));
+        console.log(format.info('Target Size', `${config.split.targetSizeBytes} bytes`));
+        console.log(format.info('Scene Extent', sceneExtent.toFixed(4)));
+        console.log(format.sectionDivider);
+
+        console.log(format.subtitle('Packing'));
+        const results = [];
+        for (const ordering of ORDERINGS) {
+            results.push(await packWithOrdering(gs, ordering));
+        }
+
+        const baseline = results[0];
+        console.log(format.subtitle('Comparison Results'));
+        results.forEach(result => {
+            const chunkChange = ((result.totalChunks / baseline.totalChunks - 1) * 100).toFixed(1);
+            console.log(format.info(result.ordering, [
+                `${result.totalChunks.toLocaleString()} chunks (${chunkChange}%)`,
+                `${result.spzBytesPerVertex.toFixed(2)} SPZ bytes/vertex`,
+                `avg chunk extent ${result.averageChunkExtent.toFixed(4)}`
+            ].join(', ')));
+        });
+
+        if (!existsSync(outputRoot)) {
+            mkdirSync(outputRoot, { recursive: true });
+        }
+        writeFileSync(reportPath, JSON.stringify({
+            inputFile: config.split.inputFile,
+            vertexCount: gs.numPoints,
+            targetSizeBytes: config.split.targetSizeBytes,
+            sceneExtent,
+            results
+        }, null, 2));
+
+        console.log(format.success(`\nComparison saved to: ${reportPath}`));
+        console.log(format.divider);
+    } catch (error) {
+        console.log(format.error('Fatal error during comparison:'));
+        console.error(error);
+        process.exit(1);
+    }
+};
+
+main().catch(console.error);
@@ -0,0 +1,221 @@
+import { readdirSync, readFileSync, writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import path from 'path';
+import { Connection } from '@solana/web3.js';
+import cliProgress from 'cli-progress';
+import colors from 'ansi-colors';
+import { formatConsoleOutput, getOutputDirectories } from '../utils.js';
+import { ChainFetcher } from '../core/ChainFetcher.js';
+import { PayloadDecoder } from '../core/PayloadDecoder.js';
+import { SplatProcesser } from '../core/SplatProcesser.js';
+import { config, validateConfig } from '../../configs/fetch.config.js';
+
+const format = formatConsoleOutput();
+
+const directories = getOutputDirectories(config.outputRoot);
+const fetchDirectories = [directories.base64Chunks, directories.spzDecoded, directories.plyDecoded];
+
+function ensureDirectoryExists(directory) {
+    if (!existsSync(directory)) {
+        mkdirSync(directory, { recursive: true });
+    }
+}
+
+function chunkFileName(index, extension) {
+    return `chunk_${index.toString().padStart(6, '0')}${extension}`;
+}
+
+function createProgressBar(unit) {
+    return new cliProgress.SingleBar({
+        format: `Fetching |${colors.cyan('{bar}')}| {percentage}% || {value}/{total} ${unit}`,
+        barCompleteChar: '=',
+        barIncompleteChar: '-',
+        hideCursor: true
+    }, cliProgress.Presets.shades_classic);
+}
+
+// Payloads listed in an upload manifest, keyed by their chunk index
+async function fetchFromManifest(fetcher, missing, corrupted) {
+    const manifest = JSON.parse(readFileSync(config.manifestPath, 'utf8'));
+
+    const progressBar = createProgressBar('Chunks');
+    progressBar.start(manifest.totalChunks, 0);
+    const result = await fetcher.fetchManifestPayloads(manifest, done => progressBar.update(done));
+    progressBar.stop();
+
+    missing.push(...result.missing);
+    corrupted.push(...result.corrupted);
+    return { totalChunks: manifest.totalChunks, payloads: result.payloads };
+}
+
+// Memo transactions sent after the scene manifest by the same payer,
+// placed by matching their hash against the manifest's chunk hashes
+async function fetchFromScene(fetcher, missing) {
+    const { manifest, feePayer } = await fetcher.fetchSceneManifest(config.sceneSignature);
+    writeFileSync(directories.sceneManifest, JSON.stringify(manifest, null, 2));
+    console.log(format.success(`Scene manifest read: ${manifest.chunkCount.toLocaleString()} chunks, SH degree ${manifest.maxShDegree}`));
+
+    const signatures = await fetcher.listSignatures(feePayer, { until: config.sceneSignature });
+    const payloads = new Map();
+
+    const progressBar = createProgressBar('Transactions');
+    progressBar.start(signatures.length, 0);
+
+    for (let i = 0; i < signatures.length && payloads.size < manifest.chunkCount; i++) {
+        try {
+            const memos = await fetcher.fetchMemos(signatures[i]);
+            memos.forEach(payload => {
+                manifest.indicesOfPayload(payload).forEach(index => payloads.set(index, payload));
+            });
+        } catch (error) {
+            // Unreadable transactions are simply not matched to a chunk
+        }
+        progressBar.update(i + 1);
+    }
+
+    progressBar.stop();
+
+    for (let index = 0; index < manifest.chunkCount; index++) {
+        if (!payloads.has(index)) {
+            missing.push({ index, error: 'No memo matching the scene manifest hash' });
+        }
+    }
+
+    return { totalChunks: manifest.chunkCount, payloads };
+}
+
+// Memo transactions sent from an address, their memos taken as chunks in on-chain order
+async function fetchFromAddress(fetcher, missing) {
+    const signatures = await fetcher.listSignatures(config.address, {
+        before: config.before || undefined,
+        until: config.until || undefined
+    });
+    const payloads = new Map();
+
+    const progressBar = createProgressBar('Transactions');
+    progressBar.start(signatures.length, 0);
+
+    for (let i = 0; i < signatures.length; i++) {
+        try {
+            const memos = await fetcher.fetchMemos(signatures[i]);
+            memos.forEach(payload => payloads.set(payloads.size, payload));
+        } catch (error) {
+            // Without a manifest a transaction that cannot be read has no known index
+            missing.push({ index: null, signature: signatures[i], error: error.message });
+        }
+        progressBar.update(i + 1);
+    }
+
+    progressBar.stop();
+    return { totalChunks: payloads.size, payloads };
+}
+
+const main = async () => {
+    try {
+        validateConfig(config);
+
+        console.log(format.divider);
+        console.log(format.title('Solana Memo -> Base64 Fetch Process'));
+        console.log(format.divider);
+
+        console.log(format.subtitle('Fetch Configuration'));
+        console.log(format.info('RPC Endpoint', config.rpcUrl));
+        console.log(format.info('Source', {
+            manifest: config.manifestPath,
+            scene: config.sceneSignature,
+            address: config.address
+        }[config.source]));
+        console.log(format.info('Output Root', config.outputRoot));
+        console.log(format.sectionDivider);
+
+        // Stale chunks from an earlier fetch would otherwise be merged in
+        fetchDirectories.forEach(dir => rmSync(dir, { recursive: true, force: true }));
+        fetchDirectories.forEach(ensureDirectoryExists);
+
+        const connection = new Connection(config.rpcUrl, config.commitment);
+        const fetcher = new ChainFetcher(connection, {
+            memoProgramId: config.memoProgramId,
+            commitment: config.commitment
+        });
+
+        console.log(format.subtitle('Fetching Payloads'));
+        const missing = [];
+        const corrupted = [];
+        const { totalChunks, payloads } = await {
+            manifest: () => fetchFromManifest(fetcher, missing, corrupted),
+            scene: () => fetchFromScene(fetcher, missing),
+            address: () => fetchFromAddress(fetcher, missing)
+        }[config.source]();
+
+        payloads.forEach((payload, index) => {
+            writeFileSync(path.join(directories.base64Chunks, chunkFileName(index, '.txt')), payload);
+        });
+        console.log(format.success(`${payloads.size.toLocaleString()} payloads written to ${directories.base64Chunks}`));
+
+        const decoder = new PayloadDecoder({ spz: directories.spzDecoded, ply: directories.plyDecoded }, { concurrency: config.concurrency });
+        const decodeResults = await decoder.decodeDirectory(directories.base64Chunks);
+        decodeResults.filter(r => !r.success).forEach(result => {
+            corrupted.push({ index: parseInt(result.fileName.match(/\d+/)[0]), error: result.error });
+        });
+        // Chunks rebuilt from parity payloads no longer count as lost
+        const recovered = decodeResults.filter(r => r.success && r.recovered).map(r => parseInt(r.fileName.match(/\d+/)[0]));
+        const lost = [...missing, ...corrupted].filter(({ index }) => !recovered.includes(index));
+
+        let mergeResult = null;
+        const decodedChunks = readdirSync(directories.plyDecoded).filter(f => f.endsWith('.ply')).sort();
+        if (decodedChunks.length > 0) {
+            const processer = new SplatProcesser({ outputRoot: config.outputRoot, concurrency: config.concurrency });
+            mergeResult = await processer.createGroups(config.groupSize, directories.plyDecoded, config.levels);
+        }
+
+        const reportPath = path.join(config.outputRoot, 'fetch_report.json');
+        writeFileSync(reportPath, JSON.stringify({
+            source: config.source,
+            rpcUrl: config.rpcUrl,
+            fetchedAt: new Date().toISOString(),
+            totalChunks,
+            fetchedChunks: payloads.size,
+            decodedChunks: decodedChunks.length,
+            missingChunks: missing,
+            corruptedChunks: corrupted.sort((a, b) => a.index - b.index),
+            recoveredChunks: recovered.sort((a, b) => a - b),
+            groups: mergeResult ? mergeResult.groups : []
+        }, null, 2));
+
+        console.log(format.subtitle('Fetch Results'));
+        console.log(format.info('Total Chunks', totalChunks.toLocaleString()));
+        console.log(format.info('Fetched', payloads.size.toLocaleString()));
+        console.log(format.info('Decoded', decodedChunks.length.toLocaleString()));
+        console.log(format.info('Missing', missing.length.toLocaleString()));
+        console.log(format.info('Corrupted', corrupted.length.toLocaleString()));
+        console.log(format.info('Recovered from Parity', recovered.length.toLocaleString()));
+
+        if (missing.length > 0) {
+            console.log(format.subtitle('Missing Chunks:'));
+            missing.forEach(({ index, signature, error }) => {
+                console.log(format.error(`  Chunk ${index ?? '?'}${signature ? ` (${signature})` : ''}: ${error}`));
+            });
+        }
+
+        if (corrupted.length > 0) {
+            console.log(format.subtitle('Corrupted Chunks:'));
+            corrupted.forEach(({ index, error }) => {
+                console.log(format.error(`  Chunk ${index}: ${error}`));
+            });
+        }
+
+        if (lost.length === 0 && decodedChunks.length > 0) {
+            console.log(format.success('\nScene rebuilt from chain successfully!'));
+        } else {
+            console.log(format.warning('\nScene rebuilt with missing or corrupted chunks'));
+        }
+
+        console.log(format.success(`Fetch report saved to: ${reportPath}`));
+        console.log(format.divider);
+    } catch (error) {
+        console.log(format.error('Fatal error during fetch:'));
+        console.error(error);
+        process.exit(1);
+    }
+};
+
+main().catch(console.error);
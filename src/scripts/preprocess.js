@@ -1,18 +1,8 @@
-import { SplatProcesser } from '../core/SplatProcesser.js';
+import { runSplit } from '../commands/split.js';
+import { runMerge } from '../commands/merge.js';
+import { getOutputDirectories } from '../utils.js';
 import { config, validateConfig } from '../../configs/preprocess.config.js';
 
-async function runSplit(processer, config) {
-    await processer.readPlyHeader();
-    await processer.split(config.split.targetSizeBytes);
-    console.log('Split operation complete!\n');
-}
-
-async function runMerge(processer, config) {
-    const result = await processer.createGroups(config.merge.groupSize);
-    console.log('Merge operation complete!\n');
-    return result;
-}
-
 async function main() {
     try {
         validateConfig(config);
@@ -21,15 +11,22 @@ async function main() {
         console.log(JSON.stringify(config, null, 2));
         console.log('\n');
 
-        const processer = new SplatProcesser(config);
-
         // Execute operations based on mode
         if (config.operation === 'split' || config.operation === 'all') {
-            await runSplit(processer, config);
+            await runSplit(config);
+            console.log('Split operation complete!\n');
         }
         
         if (config.operation === 'merge' || config.operation === 'all') {
-            await runMerge(processer, config);
+            // Right after a split nothing has been decoded yet, so 'all' merges the split chunks
+            const { stats } = await runMerge(config, config.operation === 'all'
+                ? { inputDir: getOutputDirectories(config.outputRoot).plyChunks }
+                : {});
+            if (stats.failed > 0) {
+                console.error(`Merge failed for ${stats.failed} of ${stats.total} groups`);
+                process.exit(1);
+            }
+            console.log('Merge operation complete!\n');
         }
         
         console.log('All operations completed successfully!\n');
@@ -39,4 +36,4 @@ async function main() {
     }
 }
 
-main();
\ No newline at end of file
+main();
@@ -0,0 +1,18 @@
+import { runQuality } from '../commands/quality.js';
+import { formatConsoleOutput } from '../utils.js';
+import { config, validateConfig } from '../../configs/preprocess.config.js';
+
+const main = async () => {
+    const format = formatConsoleOutput();
+    try {
+        const qualityConfig = { ...config, operation: 'quality' };
+        validateConfig(qualityConfig);
+        await runQuality(qualityConfig);
+    } catch (error) {
+        console.log(format.error('Fatal error during quality report:'));
+        console.error(error);
+        process.exit(1);
+    }
+};
+
+main().catch(console.error);
@@ -0,0 +1,21 @@
+import { runRender } from '../commands/render.js';
+import { formatConsoleOutput } from '../utils.js';
+import { config, validateConfig } from '../../configs/preprocess.config.js';
+
+const main = async () => {
+    const format = formatConsoleOutput();
+    try {
+        const renderConfig = { ...config, operation: 'render' };
+        validateConfig(renderConfig);
+        const passed = await runRender(renderConfig);
+        if (!passed) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.log(format.error('Fatal error during rendering:'));
+        console.error(error);
+        process.exit(1);
+    }
+};
+
+main().catch(console.error);
@@ -0,0 +1,219 @@
+import { readdirSync, readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { Connection } from '@solana/web3.js';
+import cliProgress from 'cli-progress';
+import colors from 'ansi-colors';
+import { formatConsoleOutput } from '../utils.js';
+import { MemoUploader, loadKeypair } from '../core/MemoUploader.js';
+import { UploadJournal, CHUNK_STATES } from '../core/UploadJournal.js';
+import { SceneManifest } from '../core/SceneManifest.js';
+import { config, validateConfig } from '../../configs/upload.config.js';
+import { config as preprocessConfig } from '../../configs/preprocess.config.js';
+
+function ensureDirectoryExists(directory) {
+    if (!existsSync(directory)) {
+        mkdirSync(directory, { recursive: true });
+    }
+}
+
+const readPayloadFile = (inputFilePath, journal) => {
+    const fileName = path.basename(inputFilePath);
+    const index = parseInt(fileName.match(/\d+/)[0]);
+
+    const payload = readFileSync(inputFilePath, 'utf8');
+    journal.track(index, fileName, payload);
+    return { index, payload };
+};
+
+const uploadBatch = async (batch, uploader, journal, progressBar) => {
+    const entries = await uploader.uploadChunks(batch, journal);
+
+    entries.filter(entry => entry.state === CHUNK_STATES.FAILED).forEach(entry => {
+        console.log(`\n${colors.red('✗')} Error uploading ${entry.filename}: ${entry.error}`);
+    });
+
+    progressBar.increment(batch.length);
+    return entries;
+};
+
+// Chunks sharing a signature, in the order of their memos in the transaction
+const listTransactions = (chunks) => {
+    const transactions = new Map();
+    chunks.forEach(chunk => {
+        transactions.set(chunk.signature, [...(transactions.get(chunk.signature) || []), chunk]);
+    });
+    return Array.from(transactions, ([signature, members]) => ({
+        signature,
+        chunks: members.sort((a, b) => a.memoIndex - b.memoIndex).map(chunk => chunk.index)
+    }));
+};
+
+// Pieces go up last-first so each one can carry the signature of the piece after it;
+// the signature of piece 0 is then the scene's on-chain entry point
+const uploadSceneManifest = async (uploader) => {
+    const format = formatConsoleOutput();
+    const manifest = SceneManifest.fromJSON(JSON.parse(readFileSync(config.sceneManifestPath, 'utf8')));
+    const pieces = manifest.toMemoPieces(preprocessConfig.split.targetSizeBytes);
+    const journal = new UploadJournal(config.sceneJournalPath).load();
+
+    console.log(format.subtitle('Uploading Scene Manifest'));
+    console.log(format.info('Manifest Memos', pieces.length.toLocaleString()));
+
+    let nextSignature = null;
+    for (let part = pieces.length - 1; part >= 0; part--) {
+        const memo = SceneManifest.formatMemo(part, pieces.length, nextSignature, pieces[part]);
+        journal.track(part, `scene_manifest_${part}`, memo);
+
+        const entry = await uploader.uploadChunk({ index: part, payload: memo }, journal);
+        if (entry.state !== CHUNK_STATES.CONFIRMED) {
+            throw new Error(`Scene manifest piece ${part} failed to upload: ${entry.error}`);
+        }
+        nextSignature = entry.signature;
+    }
+
+    console.log(format.success(`Scene manifest uploaded, entry signature: ${nextSignature}`));
+    return nextSignature;
+};
+
+const uploadDirectory = async (inputDir, uploader, journal, sceneSignature) => {
+    const format = formatConsoleOutput();
+    console.log(format.divider);
+    console.log(format.title('Base64 -> Solana Memo Upload Process'));
+    console.log(format.divider);
+
+    const files = readdirSync(inputDir)
+        .filter(file => path.extname(file).toLowerCase() === '.txt')
+        .sort((a, b) => {
+            const numA = parseInt(a.match(/\d+/)[0]);
+            const numB = parseInt(b.match(/\d+/)[0]);
+            return numA - numB;
+        });
+
+    if (files.length === 0) {
+        console.log(format.warning('No Base64 files found in input directory'));
+        return false;
+    }
+
+    console.log(format.subtitle('Upload Configuration'));
+    const chunks = files.map(file => readPayloadFile(path.join(inputDir, file), journal));
+    const batches = config.packTransactions
+        ? uploader.packChunks(chunks)
+        : chunks.map(chunk => [chunk]);
+
+    console.log(format.info('Total Files', files.length.toLocaleString()));
+    console.log(format.info('Transactions', `${batches.length.toLocaleString()}${config.packTransactions ? ' (packed)' : ''}`));
+    console.log(format.info('Input Directory', inputDir));
+    console.log(format.info('RPC Endpoint', config.rpcUrl));
+    console.log(format.info('Payer', uploader.payer.publicKey.toBase58()));
+    console.log(format.info('Commitment', config.commitment));
+    if (config.priorityFeeMicroLamports > 0) {
+        console.log(format.info('Priority Fee', `${config.priorityFeeMicroLamports} micro-lamports/CU on ${config.computeUnitLimit.toLocaleString()} CU`));
+    }
+    console.log(format.info('Journal', config.journalPath));
+    console.log(format.info('Already Confirmed', journal.countByState()[CHUNK_STATES.CONFIRMED].toLocaleString()));
+    console.log(format.sectionDivider);
+
+    console.log(format.subtitle('Starting Upload'));
+    const progressBar = new cliProgress.SingleBar({
+        format: `Uploading |${colors.cyan('{bar}')}| {percentage}% || {value}/{total} Memos`,
+        barCompleteChar: '=',
+        barIncompleteChar: '-',
+        hideCursor: true
+    }, cliProgress.Presets.shades_classic);
+
+    progressBar.start(files.length, 0);
+
+    const results = [];
+    for (const batch of batches) {
+        results.push(...await uploadBatch(batch, uploader, journal, progressBar));
+    }
+
+    progressBar.stop();
+
+    const confirmed = results.filter(r => r.state === CHUNK_STATES.CONFIRMED);
+    const skipped = confirmed.filter(r => r.skipped);
+    const failed = results.filter(r => r.state === CHUNK_STATES.FAILED);
+    const chunkEntries = confirmed.map(({ index, filename, size, signature, memoIndex }) => ({
+        index,
+        filename,
+        size,
+        signature,
+        // Journals written before packing have no memo index: one memo per transaction
+        memoIndex: memoIndex || 0
+    }));
+    const transactions = listTransactions(chunkEntries);
+
+    const manifest = {
+        rpcUrl: config.rpcUrl,
+        memoProgramId: config.memoProgramId,
+        payer: uploader.payer.publicKey.toBase58(),
+        commitment: config.commitment,
+        sceneSignature,
+        uploadedAt: new Date().toISOString(),
+        totalChunks: files.length,
+        totalTransactions: transactions.length,
+        chunks: chunkEntries,
+        transactions,
+        failedChunks: failed.map(({ index, filename, error }) => ({
+            index,
+            filename,
+            error
+        }))
+    };
+
+    ensureDirectoryExists(path.dirname(config.manifestPath));
+    writeFileSync(config.manifestPath, JSON.stringify(manifest, null, 2));
+
+    console.log(format.subtitle('Upload Results'));
+    console.log(format.info('Total Processed', files.length.toLocaleString()));
+    console.log(format.info('Uploaded', (confirmed.length - skipped.length).toLocaleString()));
+    console.log(format.info('Skipped (Already Confirmed)', skipped.length.toLocaleString()));
+    console.log(format.info('Failed', failed.length.toLocaleString()));
+    console.log(format.info('Confirmed Transactions', transactions.length.toLocaleString()));
+
+    if (failed.length > 0) {
+        console.log(format.subtitle('Failed Uploads:'));
+        failed.forEach(result => {
+            console.log(format.error(`  ${result.filename}: ${result.error}`));
+        });
+        console.log(format.warning(`\nCompleted with ${failed.length} failures, re-run to retry them`));
+    } else {
+        console.log(format.success('\nAll chunks uploaded successfully!'));
+    }
+
+    console.log(format.success(`Manifest saved to: ${config.manifestPath}`));
+    console.log(format.divider);
+    return failed.length === 0;
+};
+
+const main = async () => {
+    const format = formatConsoleOutput();
+    try {
+        validateConfig(config);
+
+        const connection = new Connection(config.rpcUrl, config.commitment);
+        const uploader = new MemoUploader(connection, loadKeypair(config.keypairPath), {
+            memoProgramId: config.memoProgramId,
+            commitment: config.commitment,
+            maxRetries: config.maxRetries,
+            retryDelayMs: config.retryDelayMs,
+            priorityFeeMicroLamports: config.priorityFeeMicroLamports,
+            computeUnitLimit: config.computeUnitLimit
+        });
+        const journal = new UploadJournal(config.journalPath).load();
+
+        const sceneSignature = config.uploadSceneManifest
+            ? await uploadSceneManifest(uploader)
+            : null;
+        const passed = await uploadDirectory(config.inputDir, uploader, journal, sceneSignature);
+        if (!passed) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.log(format.error('Fatal error during upload:'));
+        console.error(error);
+        process.exit(1);
+    }
+};
+
+main().catch(console.error);
@@ -0,0 +1,21 @@
+import { runVerify } from '../commands/verify.js';
+import { formatConsoleOutput } from '../utils.js';
+import { config, validateConfig } from '../../configs/preprocess.config.js';
+
+const main = async () => {
+    const format = formatConsoleOutput();
+    try {
+        const verifyConfig = { ...config, operation: 'verify' };
+        validateConfig(verifyConfig);
+        const passed = await runVerify(verifyConfig);
+        if (!passed) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.log(format.error('Fatal error during verification:'));
+        console.error(error);
+        process.exit(1);
+    }
+};
+
+main().catch(console.error);
@@ -1,4 +1,7 @@
 import colors from 'ansi-colors';
+import cliProgress from 'cli-progress';
+import { createHash } from 'crypto';
+import path from 'path';
 
 export function formatConsoleOutput() {
     const divider = colors.gray('='.repeat(50));
@@ -15,4 +18,61 @@ export function formatConsoleOutput() {
         warning: (text) => `${colors.yellow('⚠')} ${colors.yellow(text)}`,
         progress: (current, total, label) => `${colors.gray('>')} ${label}: ${colors.cyan(current)}/${colors.cyan(total)}`
     };
-}
\ No newline at end of file
+}
+
+// Turns the library's { stage, completed, total } progress events into
+// console progress bars, one per stage; `stages` names the bar for each stage
+export function createProgressReporter(stages) {
+    let current = null;
+    let bar = null;
+
+    return ({ stage, completed, total }) => {
+        if (!stages[stage]) return;
+
+        if (stage !== current) {
+            if (bar) bar.stop();
+            current = stage;
+            bar = new cliProgress.SingleBar({
+                format: `${stages[stage].label} |${colors.cyan('{bar}')}| {percentage}% || {value}/{total} ${stages[stage].unit}`,
+                barCompleteChar: '=',
+                barIncompleteChar: '-',
+                hideCursor: true
+            }, cliProgress.Presets.shades_classic);
+            bar.start(total, 0);
+        }
+
+        bar.update(completed);
+        if (completed >= total) {
+            bar.stop();
+            current = null;
+            bar = null;
+        }
+    };
+}
+
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function sha256(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+// Layout of everything the pipeline writes under an output root
+export function getOutputDirectories(outputRoot = 'outputs') {
+    return {
+        root: outputRoot,
+        plyChunks: path.join(outputRoot, 'plysplit', 'chunks'),
+        spzChunks: path.join(outputRoot, 'spzsplit', 'chunks'),
+        base64Chunks: path.join(outputRoot, 'base64split', 'chunks'),
+        plyDecoded: path.join(outputRoot, 'plysplit', 'chunks_decoded'),
+        spzDecoded: path.join(outputRoot, 'spzsplit', 'chunks_decoded'),
+        headerInfo: path.join(outputRoot, 'header_info.json'),
+        integrityInfo: path.join(outputRoot, 'chunks_integrity.json'),
+        sceneManifest: path.join(outputRoot, 'scene_manifest.json'),
+        verifyReport: path.join(outputRoot, 'verify_report.json'),
+        qualityReport: path.join(outputRoot, 'quality_report.json'),
+        renders: path.join(outputRoot, 'renders'),
+        renderReport: path.join(outputRoot, 'render_report.json')
+    };
+}
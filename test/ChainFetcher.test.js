@@ -0,0 +1,74 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { Keypair } from '@solana/web3.js';
+import { MemoUploader } from '../src/core/MemoUploader.js';
+import { UploadJournal } from '../src/core/UploadJournal.js';
+import { ChainFetcher } from '../src/core/ChainFetcher.js';
+import { StubConnection, randomBytes, tempDirectory } from './helpers.js';
+
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+const CHUNKS = 9;
+
+const { directory, cleanup } = tempDirectory();
+after(cleanup);
+let uploads = 0;
+
+// Uploads the chunks packed into as few transactions as fit, and returns the
+// upload manifest fields fetch reads
+async function uploadPacked(connection, payloads) {
+    const uploader = new MemoUploader(connection, Keypair.generate(), { memoProgramId: MEMO_PROGRAM_ID, pollIntervalMs: 1 });
+    const journal = new UploadJournal(path.join(directory, `journal_${uploads++}.jsonl`)).load();
+    const chunks = payloads.map((payload, index) => {
+        journal.track(index, `chunk_${index}.txt`, payload);
+        return { index, payload };
+    });
+
+    const entries = [];
+    for (const batch of uploader.packChunks(chunks)) {
+        entries.push(...await uploader.uploadChunks(batch, journal));
+    }
+    return {
+        totalChunks: payloads.length,
+        chunks: entries.map(({ index, signature, memoIndex }) => ({ index, signature, memoIndex }))
+    };
+}
+
+const payloads = Array.from({ length: CHUNKS }, (_, index) => randomBytes(200 + index * 10, index + 1).toString('base64'));
+
+test('chunks packed into shared transactions come back at their memo index', async () => {
+    const connection = new StubConnection();
+    const manifest = await uploadPacked(connection, payloads);
+    assert.ok(connection.sent.length > 1 && connection.sent.length < CHUNKS, `${connection.sent.length} transactions`);
+
+    const fetcher = new ChainFetcher(connection, { memoProgramId: MEMO_PROGRAM_ID });
+    const fetched = [];
+    const result = await fetcher.fetchManifestPayloads(manifest, done => fetched.push(done));
+
+    assert.deepEqual(result.missing, []);
+    assert.deepEqual(result.corrupted, []);
+    assert.deepEqual(Array.from(result.payloads.keys()).sort((a, b) => a - b), payloads.map((_, index) => index));
+    result.payloads.forEach((payload, index) => assert.equal(payload, payloads[index]));
+    assert.equal(fetched.length, CHUNKS);
+});
+
+test('chunks without a signature or memo are reported, not fetched', async () => {
+    const connection = new StubConnection();
+    const manifest = await uploadPacked(connection, payloads.slice(0, 3));
+    const [first, second] = manifest.chunks;
+    manifest.totalChunks = 5;
+    manifest.chunks = [
+        first,
+        { ...second, memoIndex: 7 },
+        { index: 3, signature: 'never-sent', memoIndex: 0 }
+    ];
+
+    const fetcher = new ChainFetcher(connection, { memoProgramId: MEMO_PROGRAM_ID });
+    const { payloads: fetched, missing, corrupted } = await fetcher.fetchManifestPayloads(manifest);
+
+    assert.deepEqual(Array.from(fetched.keys()), [0]);
+    assert.deepEqual(corrupted.map(c => c.index), [1]);
+    assert.match(corrupted[0].error, /no memo instruction at position 7/);
+    assert.deepEqual(missing.map(m => m.index), [2, 3, 4]);
+    assert.match(missing.find(m => m.index === 3).error, /not found/);
+});
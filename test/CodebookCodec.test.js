@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CodebookBuilder, CodebookCodec } from '../src/core/CodebookCodec.js';
+import { sliceGaussians } from '../src/core/ChunkPacker.js';
+import { compareGaussians } from '../src/core/IntegrityVerifier.js';
+import { syntheticCloud } from './helpers.js';
+
+const POINTS = 400;
+
+// A codebook fitted over the cloud one window at a time, as split fits it
+function fitCodebook(gs, windowSize = 150) {
+    const builder = new CodebookBuilder();
+    for (let start = 0; start < gs.numPoints; start += windowSize) {
+        builder.add(sliceGaussians(gs, start, Math.min(start + windowSize, gs.numPoints)));
+    }
+    return builder.build();
+}
+
+for (const shDegree of [0, 1, 2, 3]) {
+    test(`SH degree ${shDegree}: encode, serialize, deserialize and decode stays within the tolerances`, () => {
+        const gs = syntheticCloud(POINTS, { shDegree, seed: shDegree + 1 });
+        const codec = fitCodebook(gs);
+        const restored = CodebookCodec.deserialize(codec.serialize());
+        assert.equal(restored.id, codec.id);
+        assert.deepEqual(restored.tolerances, codec.tolerances);
+
+        // Chunks are encoded against the codebook one at a time
+        for (const [start, end] of [[0, 1], [1, 101], [101, POINTS]]) {
+            const chunk = sliceGaussians(gs, start, end);
+            const record = codec.encode(chunk);
+            assert.ok(CodebookCodec.isRecord(record));
+            assert.equal(CodebookCodec.recordCodebookId(record), codec.id);
+
+            const decoded = restored.decode(record);
+            const { violations } = compareGaussians(chunk, decoded, codec.tolerances, codec.ranges);
+            assert.deepEqual(violations, [], `chunk ${start}-${end}`);
+        }
+    });
+}
+
+test('header payloads rebuild the codebook in any order', () => {
+    const codec = fitCodebook(syntheticCloud(POINTS, { shDegree: 3 }));
+    const pieces = codec.toHeaderPieces(200, 'base85');
+    assert.ok(pieces.length > 1, `${pieces.length} header payloads`);
+    pieces.forEach(piece => assert.ok(CodebookCodec.isHeaderPiece(piece)));
+
+    assert.equal(CodebookCodec.fromHeaderPieces([...pieces].reverse()).id, codec.id);
+    assert.throws(() => CodebookCodec.fromHeaderPieces(pieces.slice(1)), /missing: parts 0 of/);
+});
+
+test('a record needs the SH degree of its codebook', () => {
+    const codec = fitCodebook(syntheticCloud(50, { shDegree: 2 }));
+    assert.throws(() => codec.encode(syntheticCloud(5, { shDegree: 1 })), /SH degree 1, the codebook 2/);
+});
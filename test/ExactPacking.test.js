@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializePly } from 'spz-js';
+import { ChunkPacker } from '../src/core/ChunkPacker.js';
+import { PAYLOAD_ENCODINGS } from '../src/core/PayloadEncoding.js';
+import { CODECS } from '../src/core/CodebookCodec.js';
+import { splitScene } from '../src/core/ScenePipeline.js';
+import { syntheticCloud } from './helpers.js';
+
+const TARGETS = [300, 566, 1200];
+
+const plyFile = gs => Buffer.from(new Uint8Array(serializePly(gs)));
+
+for (const encoding of PAYLOAD_ENCODINGS) {
+    test(`${encoding}: ChunkPacker fills chunks up to targetSizeBytes and no further`, async () => {
+        const gs = syntheticCloud(120, { shDegree: 1, seed: 3 });
+        for (const target of TARGETS) {
+            for (const envelope of [false, true]) {
+                const packer = new ChunkPacker(target, { envelope, encoding });
+                const chunks = await packer.pack(gs);
+
+                let start = 0;
+                for (const [index, chunk] of chunks.entries()) {
+                    assert.equal(chunk.start, start, 'chunks cover the vertices in order');
+                    assert.ok(chunk.payloadSize <= target, `chunk ${index} is ${chunk.payloadSize} bytes at target ${target}`);
+                    // Every chunk but the last overflows with one more vertex
+                    if (index < chunks.length - 1) {
+                        const grown = await packer.measure(gs, chunk.start, chunk.count + 1);
+                        assert.ok(grown.payloadSize > target, `chunk ${index} could take another vertex`);
+                    }
+                    start += chunk.count;
+                }
+                assert.equal(start, gs.numPoints);
+            }
+        }
+    });
+}
+
+for (const codec of CODECS) {
+    test(`${codec}: exact packing keeps every split payload within targetSizeBytes`, async () => {
+        const buffer = plyFile(syntheticCloud(200, { shDegree: 2, seed: 5 }));
+        for (const payloadEncoding of PAYLOAD_ENCODINGS) {
+            for (const targetSizeBytes of TARGETS) {
+                const { payloads, chunks } = await splitScene(buffer, {
+                    targetSizeBytes, packing: 'exact', codec, payloadEncoding, envelope: true
+                });
+                assert.ok(chunks.length > 1);
+                assert.equal(chunks.reduce((sum, c) => sum + c.vertexCount, 0), 200);
+                payloads.forEach((payload, index) => {
+                    const size = Buffer.byteLength(payload);
+                    assert.ok(size <= targetSizeBytes,
+                        `${payloadEncoding} payload ${index} is ${size} bytes at target ${targetSizeBytes}`);
+                });
+            }
+        }
+    });
+
+    test(`${codec}: a vertex that cannot fit is an error, not an oversized payload`, async () => {
+        const buffer = plyFile(syntheticCloud(10, { shDegree: 3, seed: 7 }));
+        await assert.rejects(splitScene(buffer, { targetSizeBytes: 40, packing: 'exact', codec }),
+            /alone exceeds targetSizeBytes/);
+    });
+}
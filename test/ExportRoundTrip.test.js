@@ -0,0 +1,48 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { serializePly } from 'spz-js';
+import { WorkerPool } from '../src/core/WorkerPool.js';
+import { loadGaussianCloud } from '../src/core/SceneFormats.js';
+import { compareExport } from '../src/core/IntegrityVerifier.js';
+import { syntheticCloud, tempDirectory } from './helpers.js';
+
+const { directory, cleanup } = tempDirectory();
+const pool = new WorkerPool(1);
+after(async () => {
+    await pool.close();
+    cleanup();
+});
+
+// The exported group is checked against the PLY it was written from, as merge does
+const inputPath = path.join(directory, 'group_000000.ply');
+writeFileSync(inputPath, Buffer.from(new Uint8Array(serializePly(syntheticCloud(500)))));
+const source = await loadGaussianCloud(readFileSync(inputPath), 'ply');
+
+for (const outputFormat of ['spz', 'splat', 'compressed-ply']) {
+    test(`${outputFormat} export round-trips against the original PLY`, async () => {
+        const { data, check } = await pool.run('exportScene', { inputPath, outputFormat });
+        assert.equal(check.valid, true, check.error);
+
+        const exported = await loadGaussianCloud(Buffer.from(data), outputFormat);
+        assert.equal(exported.numPoints, source.numPoints);
+        assert.deepEqual(compareExport(source, exported, outputFormat), check);
+    });
+}
+
+test('an export that moved its splats fails the round trip', async () => {
+    for (const outputFormat of ['spz', 'splat', 'compressed-ply']) {
+        const { data } = await pool.run('exportScene', { inputPath, outputFormat });
+        const exported = await loadGaussianCloud(Buffer.from(data), outputFormat);
+        exported.positions[0] += 10;
+        assert.equal(compareExport(source, exported, outputFormat).valid, false, outputFormat);
+    }
+});
+
+test('an export with missing splats fails the round trip', () => {
+    for (const outputFormat of ['spz', 'splat', 'compressed-ply']) {
+        const check = compareExport(source, syntheticCloud(499), outputFormat);
+        assert.equal(check.valid, false, outputFormat);
+    }
+});
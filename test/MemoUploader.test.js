@@ -0,0 +1,124 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { ComputeBudgetProgram, Keypair } from '@solana/web3.js';
+import { MemoUploader, memosPerTransaction } from '../src/core/MemoUploader.js';
+import { UploadJournal, CHUNK_STATES } from '../src/core/UploadJournal.js';
+import { StubConnection, tempDirectory } from './helpers.js';
+
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+
+const { directory, cleanup } = tempDirectory();
+after(cleanup);
+
+const memos = transaction => transaction.instructions
+    .filter(instruction => instruction.programId.toBase58() === MEMO_PROGRAM_ID)
+    .map(instruction => instruction.data.toString('utf8'));
+
+const chunks = count => Array.from({ length: count }, (_, index) => ({
+    index,
+    filename: `chunk_${index}.txt`,
+    payload: `payload ${index}`
+}));
+
+const createUploader = (connection, payer = Keypair.generate(), options = {}) => new MemoUploader(connection, payer, {
+    memoProgramId: MEMO_PROGRAM_ID,
+    pollIntervalMs: 1,
+    maxRetries: 2,
+    retryDelayMs: 0,
+    ...options
+});
+
+const createJournal = (name, chunkList) => {
+    const journal = new UploadJournal(path.join(directory, `${name}.jsonl`)).load();
+    chunkList.forEach(chunk => journal.track(chunk.index, chunk.filename, chunk.payload));
+    return journal;
+};
+
+test('sends chunks as the memos of one confirmed transaction', async () => {
+    const connection = new StubConnection();
+    const list = chunks(3);
+    const journal = createJournal('success', list);
+
+    const entries = await createUploader(connection).uploadChunks(list, journal);
+
+    assert.equal(connection.sent.length, 1);
+    assert.deepEqual(memos(connection.sent[0]), list.map(chunk => chunk.payload));
+    entries.forEach((entry, index) => {
+        assert.equal(entry.state, CHUNK_STATES.CONFIRMED);
+        assert.equal(entry.memoIndex, index);
+        assert.equal(entry.attempts, 1);
+        assert.equal(entry.signature, entries[0].signature);
+        assert.equal(entry.rawTransaction, undefined);
+    });
+});
+
+test('retries a failed broadcast', async () => {
+    const connection = new StubConnection({ failSends: 1 });
+    const list = chunks(2);
+    const journal = createJournal('retry', list);
+
+    const entries = await createUploader(connection).uploadChunks(list, journal);
+
+    assert.equal(connection.sendAttempts, 2);
+    entries.forEach(entry => assert.equal(entry.state, CHUNK_STATES.CONFIRMED));
+});
+
+test('marks the chunks failed once the retries run out', async () => {
+    const connection = new StubConnection({ failSends: Infinity });
+    const list = chunks(2);
+    const journal = createJournal('failure', list);
+
+    const entries = await createUploader(connection).uploadChunks(list, journal);
+
+    // The first attempt and maxRetries retries
+    assert.equal(connection.sendAttempts, 3);
+    entries.forEach(entry => {
+        assert.equal(entry.state, CHUNK_STATES.FAILED);
+        assert.equal(entry.error, 'RPC unavailable');
+    });
+    assert.deepEqual(journal.countByState(), { pending: 0, sent: 0, confirmed: 0, failed: 2 });
+});
+
+test('a resumed journal skips confirmed chunks and settles sent ones', async () => {
+    const list = chunks(4);
+    const payer = Keypair.generate();
+    const first = new StubConnection();
+    const journal = createJournal('resume', list);
+    await createUploader(first, payer).uploadChunks(list.slice(0, 2), journal);
+
+    // Chunk 2 was signed and broadcast, but the run died before it saw the confirmation
+    const uploader = createUploader(first, payer);
+    const signed = await uploader.signMemos([list[2].payload]);
+    journal.update(2, { state: CHUNK_STATES.SENT, attempts: 1, memoIndex: 0, ...signed });
+    await uploader.submit(signed.rawTransaction);
+
+    const resumed = new UploadJournal(journal.journalPath).load();
+    const sentBefore = first.sent.length;
+    const entries = await createUploader(first, payer).uploadChunks(list, resumed);
+
+    assert.deepEqual(entries.map(entry => entry.state), new Array(4).fill(CHUNK_STATES.CONFIRMED));
+    assert.deepEqual(entries.map(entry => !!entry.skipped), [true, true, false, false]);
+    assert.equal(entries[2].signature, signed.signature);
+    // Only chunk 3 needed a new transaction
+    assert.equal(first.sent.length, sentBefore + 1);
+    assert.deepEqual(memos(first.sent[first.sent.length - 1]), [list[3].payload]);
+});
+
+test('a priority fee adds compute budget instructions ahead of the memos', async () => {
+    const connection = new StubConnection();
+    const list = chunks(2);
+    const journal = createJournal('priority', list);
+    const fees = { priorityFeeMicroLamports: 5000, computeUnitLimit: 50000 };
+
+    await createUploader(connection, Keypair.generate(), fees).uploadChunks(list, journal);
+
+    const [transaction] = connection.sent;
+    const [limit, price] = transaction.instructions;
+    assert.ok(limit.programId.equals(ComputeBudgetProgram.programId));
+    assert.ok(price.programId.equals(ComputeBudgetProgram.programId));
+    assert.equal(limit.data.readUInt32LE(1), fees.computeUnitLimit);
+    assert.equal(Number(price.data.readBigUInt64LE(1)), fees.priorityFeeMicroLamports);
+    assert.deepEqual(memos(transaction), list.map(chunk => chunk.payload));
+    assert.ok(memosPerTransaction(200, fees) < memosPerTransaction(200));
+});
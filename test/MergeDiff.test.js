@@ -0,0 +1,61 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { serializePly, serializeSpz, loadSpz } from 'spz-js';
+import { SplatProcesser } from '../src/core/SplatProcesser.js';
+import { sliceGaussians } from '../src/core/ChunkPacker.js';
+import { getOutputDirectories } from '../src/utils.js';
+import { syntheticCloud, tempDirectory } from './helpers.js';
+
+const CHUNKS = 4;
+const VERTICES_PER_CHUNK = 50;
+
+const { directory, cleanup } = tempDirectory();
+after(cleanup);
+
+const plyFile = gs => Buffer.from(new Uint8Array(serializePly(gs)));
+const chunkName = index => `chunk_${index.toString().padStart(6, '0')}.ply`;
+
+// Split chunks of an SPZ scene, and the same chunks after the SPZ round trip
+const directories = getOutputDirectories(directory);
+mkdirSync(directories.plyChunks, { recursive: true });
+mkdirSync(directories.plyDecoded, { recursive: true });
+// An SPZ split writes header_info.json without a codebook
+writeFileSync(directories.headerInfo, JSON.stringify({ sceneId: null }));
+
+// The same decoded chunks, with one splat of chunk 2 moved far beyond quantization error
+const tamperedDir = path.join(directory, 'tampered');
+mkdirSync(tamperedDir, { recursive: true });
+
+const scene = syntheticCloud(CHUNKS * VERTICES_PER_CHUNK);
+for (let index = 0; index < CHUNKS; index++) {
+    const chunk = sliceGaussians(scene, index * VERTICES_PER_CHUNK, (index + 1) * VERTICES_PER_CHUNK);
+    const decoded = await loadSpz(await serializeSpz(chunk));
+    writeFileSync(path.join(directories.plyChunks, chunkName(index)), plyFile(chunk));
+    writeFileSync(path.join(directories.plyDecoded, chunkName(index)), plyFile(decoded));
+    if (index === 2) decoded.positions[0] += 0.5;
+    writeFileSync(path.join(tamperedDir, chunkName(index)), plyFile(decoded));
+}
+
+test('decoded chunks of an SPZ scene diff within the SPZ tolerances', async () => {
+    const processer = new SplatProcesser({ outputRoot: directory, concurrency: 1 });
+    const { groups, stats } = await processer.createGroups(2, directories.plyDecoded);
+
+    assert.equal(stats.failed, 0, JSON.stringify(stats.failedGroups));
+    assert.equal(groups.length, 2);
+    groups.forEach(group => {
+        assert.equal(group.diff.valid, true, group.diff.error);
+        assert.ok(group.diff.maxErrors.position > 0);
+    });
+});
+
+test('a group out of tolerance counts as failed', async () => {
+    const processer = new SplatProcesser({ outputRoot: directory, concurrency: 1 });
+    const { stats } = await processer.createGroups(2, tamperedDir);
+
+    assert.equal(stats.success, 1);
+    assert.equal(stats.failed, 1);
+    assert.equal(stats.failedGroups[0].groupId, 1);
+    assert.match(stats.failedGroups[0].error, /Diff against split chunks failed: 1 values out of tolerance/);
+});
@@ -0,0 +1,110 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import path from 'path';
+import { serializePly } from 'spz-js';
+import { ParityCoder } from '../src/core/ParityCoder.js';
+import { PayloadDecoder } from '../src/core/PayloadDecoder.js';
+import { splitScene, assembleScene } from '../src/core/ScenePipeline.js';
+import { encodePayloadText, decodePayloadText } from '../src/core/PayloadEncoding.js';
+import { ChunkEnvelope } from '../src/core/ChunkEnvelope.js';
+import { randomBytes, syntheticCloud, tempDirectory } from './helpers.js';
+
+const GROUP_SIZE = 6;
+const PARITY_CHUNKS = 3;
+
+const { directory, cleanup } = tempDirectory();
+after(cleanup);
+
+const chunkFileName = (index, extension) => `chunk_${index.toString().padStart(6, '0')}${extension}`;
+
+// Every way of choosing `count` positions out of `length`
+const combinations = (length, count, first = 0) => count === 0
+    ? [[]]
+    : Array.from({ length: length - first }, (_, i) => first + i)
+        .flatMap(i => combinations(length, count - 1, i + 1).map(rest => [i, ...rest]));
+
+// Parity payloads for the data payloads, in groups of GROUP_SIZE
+const parityFor = data => Array.from({ length: Math.ceil(data.length / GROUP_SIZE) }, (_, group) => {
+    const firstIndex = group * GROUP_SIZE;
+    return ParityCoder.encode(data.slice(firstIndex, firstIndex + GROUP_SIZE), { firstIndex, parityCount: PARITY_CHUNKS });
+}).flat();
+
+test('any parityChunks lost payloads of a group are rebuilt byte for byte', () => {
+    // Payloads of different lengths, so shards carry padding
+    const data = Array.from({ length: GROUP_SIZE }, (_, i) => randomBytes(40 + i * 7, i + 1));
+    const parities = ParityCoder.encode(data, { firstIndex: 12, parityCount: PARITY_CHUNKS }).map(p => ParityCoder.parse(p));
+    assert.deepEqual(parities.map(p => [p.firstIndex, p.dataCount, p.parityCount, p.parityIndex]),
+        [[12, GROUP_SIZE, PARITY_CHUNKS, 0], [12, GROUP_SIZE, PARITY_CHUNKS, 1], [12, GROUP_SIZE, PARITY_CHUNKS, 2]]);
+
+    for (let lost = 1; lost <= PARITY_CHUNKS; lost++) {
+        for (const dropped of combinations(GROUP_SIZE, lost)) {
+            // Any `lost` of the parity payloads will do
+            for (const used of combinations(PARITY_CHUNKS, lost)) {
+                const damaged = data.map((payload, i) => (dropped.includes(i) ? null : payload));
+                const rebuilt = ParityCoder.recover(damaged, used.map(j => parities[j]));
+                rebuilt.forEach((payload, i) => assert.deepEqual(Buffer.from(payload), data[i], `payload ${i} with [${dropped}] lost`));
+            }
+        }
+    }
+});
+
+test('losing more payloads than there are parity payloads is an error', () => {
+    const data = Array.from({ length: GROUP_SIZE }, (_, i) => randomBytes(30, i + 1));
+    const parities = ParityCoder.encode(data, { firstIndex: 0, parityCount: PARITY_CHUNKS }).map(p => ParityCoder.parse(p));
+    const damaged = data.map((payload, i) => (i <= PARITY_CHUNKS ? null : payload));
+    assert.throws(() => ParityCoder.recover(damaged, parities), /4 payloads missing, but only 3 parity payloads/);
+
+    const [corrupt] = ParityCoder.encode(data, { firstIndex: 0, parityCount: 1 });
+    corrupt[corrupt.length - 1] ^= 1;
+    assert.throws(() => ParityCoder.parse(corrupt), /checksum mismatch/);
+});
+
+const plyFile = Buffer.from(new Uint8Array(serializePly(syntheticCloud(120, { shDegree: 1 }))));
+const scene = await splitScene(plyFile, { targetSizeBytes: 500, envelope: true });
+const dataPayloads = scene.payloads.map(decodePayloadText);
+const parityPayloads = parityFor(dataPayloads).map(payload => encodePayloadText(payload, 'base64'));
+// The last PARITY_CHUNKS chunks of the first group, and the first chunk of the second
+const droppedChunks = [GROUP_SIZE - PARITY_CHUNKS, GROUP_SIZE - 2, GROUP_SIZE - 1, GROUP_SIZE];
+
+test('the decoder rebuilds dropped chunk files from the parity files', async () => {
+    assert.ok(scene.payloads.length > GROUP_SIZE, `${scene.payloads.length} chunks`);
+    const inputDir = path.join(directory, 'payloads');
+    const outputDirs = { spz: path.join(directory, 'spz'), ply: path.join(directory, 'ply') };
+    mkdirSync(inputDir, { recursive: true });
+    [...scene.payloads, ...parityPayloads].forEach((payload, index) => {
+        writeFileSync(path.join(inputDir, chunkFileName(index, '.txt')), payload);
+    });
+    droppedChunks.forEach(index => rmSync(path.join(inputDir, chunkFileName(index, '.txt'))));
+
+    const results = await new PayloadDecoder(outputDirs, { concurrency: 1 }).decodeDirectory(inputDir);
+
+    const recovered = results.filter(r => r.recovered).map(r => r.fileName).sort();
+    assert.deepEqual(recovered, droppedChunks.map(index => chunkFileName(index, '')));
+    scene.payloads.forEach((payload, index) => {
+        const spzPath = path.join(outputDirs.spz, chunkFileName(index, '.spz'));
+        assert.ok(existsSync(spzPath), `chunk ${index} decoded`);
+        assert.deepEqual(readFileSync(spzPath), Buffer.from(ChunkEnvelope.unwrap(decodePayloadText(payload)).payload));
+    });
+});
+
+test('assembleScene rebuilds dropped chunks from parity payloads', async () => {
+    const expected = await assembleScene(scene.payloads, scene.manifest);
+    const kept = scene.payloads.filter((_, index) => !droppedChunks.includes(index));
+    const shuffled = [...parityPayloads, ...kept].reverse();
+
+    assert.deepEqual(Buffer.from(await assembleScene(shuffled, scene.manifest)), Buffer.from(expected));
+    // Without a manifest, the envelopes place the chunks
+    assert.deepEqual(Buffer.from(await assembleScene(shuffled)), Buffer.from(expected));
+    await assert.rejects(assembleScene(kept, scene.manifest), /Missing chunks: 3, 4, 5, 6/);
+});
+
+test('assembleScene rebuilds a dropped codebook header payload before decoding', async () => {
+    const codebookScene = await splitScene(plyFile, { targetSizeBytes: 500, codec: 'codebook' });
+    const parities = parityFor(codebookScene.payloads.map(decodePayloadText)).map(payload => encodePayloadText(payload, 'base64'));
+    const firstHeader = codebookScene.payloads.length - codebookScene.headerPayloads;
+    const kept = codebookScene.payloads.filter((_, index) => index !== firstHeader && index !== 0);
+
+    const expected = await assembleScene(codebookScene.payloads, codebookScene.manifest);
+    assert.deepEqual(Buffer.from(await assembleScene([...kept, ...parities], codebookScene.manifest)), Buffer.from(expected));
+});
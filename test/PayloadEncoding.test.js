@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PAYLOAD_ENCODINGS, encodePayloadText, decodePayloadText, payloadTextEncoding, encodedSize, payloadCapacity
+} from '../src/core/PayloadEncoding.js';
+import { randomBytes } from './helpers.js';
+
+// 7-bit values base122 writes as two-byte characters
+const BASE122_ILLEGAL = [0, 10, 13, 34, 38, 92];
+
+function assertRoundTrip(data, encoding) {
+    const text = encodePayloadText(data, encoding);
+    assert.deepEqual(decodePayloadText(text), data, `${encoding} round trip of [${[...data].join(', ')}]`);
+    assert.equal(payloadTextEncoding(text), encoding);
+    assert.ok(Buffer.byteLength(text, 'utf8') <= encodedSize(data.length, encoding),
+        `${encoding} text of ${data.length} bytes is larger than encodedSize`);
+    return text;
+}
+
+for (const encoding of PAYLOAD_ENCODINGS) {
+    test(`${encoding}: every byte value at every length up to two full blocks`, () => {
+        // Lengths 0 to 16 cover every partial block: 3 bytes for base64,
+        // 4 for base85 and 7 (8 groups) for base122
+        for (let value = 0; value < 256; value++) {
+            for (let length = 0; length <= 16; length++) {
+                assertRoundTrip(Buffer.alloc(length, value), encoding);
+            }
+        }
+    });
+
+    test(`${encoding}: every byte value at every position of a block`, () => {
+        for (let value = 0; value < 256; value++) {
+            for (let position = 0; position < 8; position++) {
+                const data = randomBytes(8, value * 8 + position + 1);
+                data[position] = value;
+                assertRoundTrip(data, encoding);
+                assertRoundTrip(data.subarray(0, position + 1), encoding);
+            }
+        }
+    });
+
+    test(`${encoding}: random payloads`, () => {
+        for (let seed = 1; seed <= 200; seed++) {
+            assertRoundTrip(randomBytes(seed * 3, seed), encoding);
+        }
+    });
+
+    test(`${encoding}: payloadCapacity fits the text size`, () => {
+        // Below the size of an empty payload (its prefix) nothing fits
+        for (let textBytes = encodedSize(0, encoding); textBytes <= 600; textBytes++) {
+            const capacity = payloadCapacity(textBytes, encoding);
+            assert.ok(encodedSize(capacity, encoding) <= textBytes);
+            assert.ok(encodedSize(capacity + 1, encoding) > textBytes);
+        }
+    });
+}
+
+test('base64 payloads carry no prefix', () => {
+    const data = randomBytes(30);
+    assert.equal(encodePayloadText(data, 'base64'), data.toString('base64'));
+    assert.deepEqual(decodePayloadText(data.toString('base64')), data);
+});
+
+test('base122: an illegal value in the last 7-bit group', () => {
+    // 7 bytes are exactly 8 groups, so the last group is the low 7 bits of the last byte
+    BASE122_ILLEGAL.forEach((illegal, index) => {
+        for (const highBit of [0, 0x80]) {
+            const data = randomBytes(7, illegal + 1);
+            data[6] = highBit | illegal;
+            const text = assertRoundTrip(data, 'base122');
+            // Written alone, as the two-byte character of tag 7
+            assert.equal(text.codePointAt(text.length - 1), (7 << 7) | index);
+        }
+    });
+});
+
+test('base122: an illegal value followed by another group', () => {
+    BASE122_ILLEGAL.forEach(illegal => {
+        const data = randomBytes(14, illegal + 100);
+        data[6] = illegal;
+        assertRoundTrip(data, 'base122');
+    });
+});
+
+test('base122 text has no quotes, backslashes, ampersands or line breaks', () => {
+    const all = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+    const text = encodePayloadText(Buffer.concat([all, all.reverse()]), 'base122');
+    assert.doesNotMatch(text.slice(1), /["\\&\r\n\0]/);
+});
+
+test('corrupt payloads are rejected', () => {
+    assert.throws(() => decodePayloadText('~abcdef'), /truncated block/);
+    assert.throws(() => decodePayloadText('~ab"de'), /unexpected character/);
+    assert.throws(() => decodePayloadText('^a"b'), /unexpected byte/);
+});
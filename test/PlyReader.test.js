@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parsePlyHeader, findHeaderEnd, normalizedVertexBatches, normalizationReasons, validateDataLength, elementStride
+} from '../src/core/PlyReader.js';
+
+// Every scalar type under both of its names, with a value it holds exactly
+// and the Buffer write method suffix
+const SCALARS = [
+    ['char', 'int8', -100, 'Int8', 1],
+    ['uchar', 'uint8', 200, 'UInt8', 1],
+    ['short', 'int16', -30000, 'Int16', 2],
+    ['ushort', 'uint16', 60000, 'UInt16', 2],
+    ['int', 'int32', -2000000, 'Int32', 4],
+    ['uint', 'uint32', 4000000000, 'UInt32', 4],
+    ['float', 'float32', 1.5, 'Float', 4],
+    ['double', 'float64', -0.125, 'Double', 8]
+];
+const PROPERTIES = SCALARS.flatMap(([name, sized, value, method, size]) => [
+    { name: `${name}_value`, type: name, value, method, size },
+    { name: `${sized}_value`, type: sized, value, method, size }
+]);
+
+const headerText = (format, elements) => [
+    'ply',
+    `format ${format} 1.0`,
+    'comment made in memory',
+    ...elements.flatMap(({ name, count, properties }) => [
+        `element ${name} ${count}`,
+        ...properties.map(prop => (prop.list ? `property list ${prop.countType} ${prop.type} ${prop.name}` : `property ${prop.type} ${prop.name}`))
+    ]),
+    'end_header',
+    ''
+].join('\n');
+
+// Binary records of `rows`, each a list of values in property order
+function binaryRecords(properties, rows, littleEndian) {
+    return Buffer.concat(rows.map(row => {
+        const record = Buffer.alloc(properties.reduce((sum, prop) => sum + prop.size, 0));
+        let offset = 0;
+        properties.forEach((prop, k) => {
+            const method = `write${prop.method}${prop.size > 1 ? (littleEndian ? 'LE' : 'BE') : ''}`;
+            record[method](row[k], offset);
+            offset += prop.size;
+        });
+        return record;
+    }));
+}
+
+async function readVertices(text, data, batchVertices) {
+    const header = parsePlyHeader(text);
+    const batches = [];
+    for await (const batch of normalizedVertexBatches([data], header, batchVertices)) {
+        batches.push(batch);
+    }
+    const vertexData = Buffer.concat(batches);
+    return { header, batches, values: Array.from({ length: vertexData.length / 4 }, (_, i) => vertexData.readFloatLE(i * 4)) };
+}
+
+// Row i of `count` holds each float value times i + 1, and each integer value
+// scaled by (i + 1) / count, so the last row holds the extremes
+const rowsFor = (properties, count) => Array.from({ length: count }, (_, i) => properties.map(prop => (
+    prop.method === 'Float' || prop.method === 'Double'
+        ? prop.value * (i + 1)
+        : Math.trunc(prop.value * (i + 1) / count)
+)));
+
+for (const format of ['binary_little_endian', 'binary_big_endian']) {
+    test(`${format}: every scalar type reads back as float`, async () => {
+        const rows = rowsFor(PROPERTIES, 5);
+        const text = headerText(format, [{ name: 'vertex', count: rows.length, properties: PROPERTIES }]);
+        const data = binaryRecords(PROPERTIES, rows, format === 'binary_little_endian');
+
+        const { header, batches, values } = await readVertices(text, data, 2);
+        assert.deepEqual(header.elements[0].properties.map(prop => prop.type), PROPERTIES.map(prop => prop.type));
+        assert.equal(elementStride(header.elements[0]), data.length / rows.length);
+        assert.equal(batches.length, 3);
+        assert.deepEqual(values, rows.flat().map(Math.fround));
+    });
+}
+
+test('binary_little_endian: float-only records pass through unchanged', async () => {
+    const properties = PROPERTIES.filter(prop => prop.method === 'Float');
+    const rows = rowsFor(properties, 3);
+    const data = binaryRecords(properties, rows, true);
+    const { batches } = await readVertices(headerText('binary_little_endian', [{ name: 'vertex', count: 3, properties }]), data);
+    assert.deepEqual(Buffer.concat(batches), data);
+});
+
+test('ascii: values, nan and the elements before the vertex element', async () => {
+    const vertexProperties = [{ name: 'x', type: 'float' }, { name: 'y', type: 'double' }, { name: 'red', type: 'uchar' }];
+    const text = headerText('ascii', [
+        { name: 'camera', count: 2, properties: [{ name: 'id', type: 'int' }] },
+        { name: 'face', count: 1, properties: [{ name: 'vertex_indices', list: true, countType: 'uchar', type: 'int' }] },
+        { name: 'vertex', count: 3, properties: vertexProperties }
+    ]);
+    const data = Buffer.from(['7', '8', '3 0 1 2', '1.5 -2 255', '  0.25\t1e-3  0 ', 'nan -0.5 12', ''].join('\n'));
+
+    const { header, values } = await readVertices(text, data);
+    assert.deepEqual(header.elements.map(element => element.name), ['camera', 'face', 'vertex']);
+    assert.deepEqual(values.slice(0, 6), [1.5, -2, 255, 0.25, 0.001, 0].map(Math.fround));
+    assert.ok(Number.isNaN(values[6]));
+    assert.deepEqual(values.slice(7), [-0.5, 12]);
+});
+
+test('ascii: a malformed vertex line is an error', async () => {
+    const text = headerText('ascii', [{ name: 'vertex', count: 2, properties: [{ name: 'x', type: 'float' }, { name: 'y', type: 'float' }] }]);
+    await assert.rejects(readVertices(text, Buffer.from('1 2\n3\n')), /vertex 1 has 1 values, expected 2/);
+    await assert.rejects(readVertices(text, Buffer.from('1 2\n3 abc\n')), /"abc" is not a valid float for y/);
+    await assert.rejects(readVertices(text, Buffer.from('1 2\n')), /ends early in element "vertex"/);
+});
+
+test('binary: elements with list properties are skipped record by record', async () => {
+    const text = headerText('binary_big_endian', [
+        { name: 'face', count: 2, properties: [{ name: 'vertex_indices', list: true, countType: 'uchar', type: 'int' }] },
+        { name: 'vertex', count: 1, properties: [{ name: 'x', type: 'float' }] }
+    ]);
+    const faces = Buffer.from([2, 0, 0, 0, 1, 0, 0, 0, 2, 1, 0, 0, 0, 3]);
+    const vertex = Buffer.alloc(4);
+    vertex.writeFloatBE(0.75, 0);
+
+    const { values } = await readVertices(text, Buffer.concat([faces, vertex]));
+    assert.deepEqual(values, [0.75]);
+    // The data length of list elements cannot be checked from the header
+    assert.doesNotThrow(() => validateDataLength(parsePlyHeader(text), 0));
+});
+
+test('validateDataLength: binary data must match the header exactly', () => {
+    const properties = [{ name: 'x', type: 'float' }, { name: 'flags', type: 'ushort' }];
+    const header = parsePlyHeader(headerText('binary_little_endian', [
+        { name: 'vertex', count: 10, properties },
+        { name: 'extra', count: 3, properties: [{ name: 'v', type: 'double' }] }
+    ]));
+
+    assert.doesNotThrow(() => validateDataLength(header, 10 * 6 + 3 * 8));
+    assert.throws(() => validateDataLength(header, 10 * 6 + 3 * 8 + 1, 'scene.ply'),
+        { message: 'scene.ply: data after the header is 85 bytes, but the header describes 84 (vertex: 10 x 6 bytes, extra: 3 x 8 bytes)' });
+    assert.throws(() => validateDataLength(header, 10 * 8), /data after the header is 80 bytes/);
+    // ASCII records have no fixed size
+    assert.doesNotThrow(() => validateDataLength({ ...header, format: 'ascii' }, 1));
+});
+
+test('headers: normalization reasons and malformed lines', () => {
+    const text = headerText('binary_big_endian', [
+        { name: 'vertex', count: 1, properties: [{ name: 'x', type: 'float' }, { name: 'red', type: 'uchar' }] },
+        { name: 'face', count: 0, properties: [{ name: 'vertex_indices', list: true, countType: 'uchar', type: 'int' }] }
+    ]).replace(/\n/g, '\r\n');
+    assert.equal(findHeaderEnd(Buffer.from(`${text}data`)), Buffer.byteLength(text));
+    assert.deepEqual(normalizationReasons(parsePlyHeader(text), text),
+        ['binary_big_endian format', 'extra elements (face: 0)', 'non-float properties (uchar)', 'CRLF header']);
+
+    assert.throws(() => parsePlyHeader('ply\nformat binary_little_endian 1.0\nelement vertex 1\nproperty half x\nend_header\n'), /Unknown PLY property type "half"/);
+    assert.throws(() => parsePlyHeader('ply\nelement vertex 1\nend_header\n'), /no format line/);
+    assert.throws(() => parsePlyHeader('ply\nformat binary_middle_endian 1.0\nend_header\n'), /Unsupported PLY format/);
+    assert.throws(() => parsePlyHeader('ply\nformat ascii 1.0\nproperty float x\nend_header\n'), /comes before any element/);
+    assert.throws(() => parsePlyHeader('ply\nformat ascii 1.0\nelement vertex -1\nend_header\n'), /Invalid PLY element line/);
+    assert.throws(() => parsePlyHeader('solid\n'), /missing "ply" magic line/);
+});
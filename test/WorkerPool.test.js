@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import path from 'path';
+import { serializePly } from 'spz-js';
+import { WorkerPool } from '../src/core/WorkerPool.js';
+import { syntheticCloud, tempDirectory } from './helpers.js';
+
+const plyPath = directory => {
+    const filePath = path.join(directory, 'scene.ply');
+    writeFileSync(filePath, Buffer.from(new Uint8Array(serializePly(syntheticCloud(50)))));
+    return filePath;
+};
+
+test('a worker that exits fails its task and is replaced for the next one', async () => {
+    const { directory, cleanup } = tempDirectory();
+    const pool = new WorkerPool(1);
+    try {
+        const inputPath = plyPath(directory);
+        const crashed = pool.run('exportScene', { inputPath, outputFormat: 'splat' });
+        const queued = pool.run('exportScene', { inputPath, outputFormat: 'splat' });
+        await pool.workers[0].terminate();
+
+        await assert.rejects(crashed, /Worker exited with code/);
+        const { check } = await queued;
+        assert.ok(check.valid);
+        assert.equal(pool.workers.length, 1);
+    } finally {
+        await pool.close();
+        cleanup();
+    }
+});
+
+test('closing the pool rejects running and queued tasks', async () => {
+    const { directory, cleanup } = tempDirectory();
+    const pool = new WorkerPool(1);
+    try {
+        const inputPath = plyPath(directory);
+        const settled = Promise.allSettled([0, 1, 2].map(() => pool.run('exportScene', { inputPath, outputFormat: 'splat' })));
+        await pool.close();
+
+        const results = await settled;
+        assert.equal(results.length, 3);
+        results.forEach(({ status, reason }) => {
+            assert.equal(status, 'rejected');
+            assert.match(reason.message, /Worker pool closed/);
+        });
+    } finally {
+        cleanup();
+    }
+});
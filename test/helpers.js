@@ -0,0 +1,104 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { dimForDegree } from 'spz-js';
+import { Keypair, Transaction } from '@solana/web3.js';
+import bs58 from 'bs58';
+
+// Deterministic pseudo-random numbers in [0, 1) (mulberry32)
+export function random(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function randomBytes(length, seed = 1) {
+    const next = random(seed);
+    return Buffer.from(Array.from({ length }, () => Math.floor(next() * 256)));
+}
+
+// A GaussianCloud with every value inside the ranges SPZ and .splat can store
+export function syntheticCloud(numPoints, { shDegree = 3, seed = 1 } = {}) {
+    const next = random(seed);
+    const uniform = (min, max) => min + (max - min) * next();
+    const fill = (length, min, max) => Float32Array.from({ length }, () => uniform(min, max));
+
+    const rotations = new Float32Array(numPoints * 4);
+    for (let i = 0; i < numPoints; i++) {
+        const q = [0, 1, 2, 3].map(() => uniform(-1, 1));
+        const length = Math.hypot(...q) || 1;
+        q.forEach((c, k) => { rotations[i * 4 + k] = c / length; });
+    }
+
+    return {
+        numPoints,
+        shDegree,
+        antialiased: false,
+        positions: fill(numPoints * 3, -2, 2),
+        scales: fill(numPoints * 3, -5, -1),
+        rotations,
+        alphas: fill(numPoints, -3, 3),
+        colors: fill(numPoints * 3, -1.5, 1.5),
+        sh: fill(numPoints * dimForDegree(shDegree) * 3, -0.5, 0.5)
+    };
+}
+
+// A fresh directory under the system temp directory, removed by the returned cleanup
+export function tempDirectory(prefix = 'onchaings-test-') {
+    const directory = mkdtempSync(path.join(tmpdir(), prefix));
+    return { directory, cleanup: () => rmSync(directory, { recursive: true, force: true }) };
+}
+
+// Stands in for a web3.js Connection: every transaction it accepts is confirmed
+// on the next status poll and can be fetched back, and `failSends` broadcasts
+// are rejected first
+export class StubConnection {
+    constructor({ failSends = 0 } = {}) {
+        this.failSends = failSends;
+        this.sendAttempts = 0;
+        this.sent = [];
+        this.transactions = new Map();
+        this.blockhash = Keypair.generate().publicKey.toBase58();
+    }
+
+    async getLatestBlockhash() {
+        return { blockhash: this.blockhash, lastValidBlockHeight: 1000 };
+    }
+
+    async getBlockHeight() {
+        return 1;
+    }
+
+    async sendRawTransaction(raw) {
+        this.sendAttempts++;
+        if (this.failSends > 0) {
+            this.failSends--;
+            throw new Error('RPC unavailable');
+        }
+        const transaction = Transaction.from(raw);
+        const signature = bs58.encode(transaction.signature);
+        this.sent.push(transaction);
+        this.transactions.set(signature, transaction);
+        return signature;
+    }
+
+    async getSignatureStatuses(signatures) {
+        return {
+            value: signatures.map(signature => (this.transactions.has(signature)
+                ? { err: null, confirmationStatus: 'confirmed' }
+                : null))
+        };
+    }
+
+    async getTransaction(signature) {
+        const transaction = this.transactions.get(signature);
+        return transaction
+            ? { transaction: { message: transaction.compileMessage() }, meta: { err: null } }
+            : null;
+    }
+}